@@ -8,7 +8,16 @@ import userRoute from "./routes/user.route.js";
 import chatRoute from "./routes/chat.route.js";
 import messageRoute from "./routes/message.route.js";
 import debugRoute from "./routes/debug.route.js";
+import uploadRoute from "./routes/upload.route.js";
+import adminRoute from "./routes/admin.route.js";
+import reportRoute from "./routes/report.route.js";
+import internalRoute from "./routes/internal.route.js";
 import mongoose from "mongoose";
+import { ensureGeoIndex } from "./utils/geo.js";
+import { ensureSearchIndexes } from "./utils/search.js";
+import { startExpirySweep } from "./utils/listingStatus.js";
+import { backfillCoordinates } from "./utils/coordinateBackfill.js";
+import { UPLOAD_DIR } from "./utils/storage.js";
 
 const app = express();
 
@@ -19,14 +28,14 @@ app.use(cors({
     process.env.NODE_ENV === 'development' ? 'http://localhost:5173' : undefined
   ].filter(Boolean),
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 // Custom CORS headers
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', 'https://property-state-1.onrender.com');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.header('Access-Control-Allow-Credentials', 'true');
   
@@ -38,9 +47,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// Middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Middleware - images go through /api/uploads, so JSON bodies stay small
+app.use(express.json({ limit: '2mb' }));
+app.use(express.urlencoded({ limit: '2mb', extended: true }));
 app.use(cookieParser());
 
 // Routes
@@ -51,6 +60,18 @@ app.use("/api/users", userRoute);
 app.use("/api/chat", chatRoute);
 app.use("/api/messages", messageRoute);
 app.use('/api/debug', debugRoute);
+app.use("/api/uploads", uploadRoute);
+app.use("/api/admin", adminRoute);
+app.use("/api/reports", reportRoute);
+app.use("/api/internal", internalRoute);
+
+// Files written by the local storage driver. Upload keys are unique, so
+// they can be cached forever.
+app.use("/uploads", express.static(UPLOAD_DIR, {
+  maxAge: "1y",
+  immutable: true,
+  setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff")
+}));
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -72,6 +93,7 @@ app.get("/", (req, res) => {
       users: "/api/users",
       chats: "/api/chats",
       messages: "/api/messages",
+      uploads: "/api/uploads",
       test: "/api/test"
     }
   });
@@ -106,4 +128,23 @@ mongoose.connect(process.env.DATABASE_URL, {
   console.error('❌ MongoDB connection error:', err);
 });
 
+// Posts saved with string coordinates can't be read until this has run.
+// A failure only leaves them for the next boot or `npm run migrate`.
+backfillCoordinates().catch(err => {
+  console.error('❌ Coordinate backfill failed:', err.message);
+});
+
+// Geo search on /api/posts relies on a 2dsphere index on Post.location
+ensureGeoIndex().catch(err => {
+  console.error('❌ Failed to create geo index:', err.message);
+});
+
+// Full-text search (?q=) relies on text indexes on Post and PostDetail
+ensureSearchIndexes().catch(err => {
+  console.error('❌ Failed to create search indexes:', err.message);
+});
+
+// Listings expire LISTING_TTL_DAYS after going live unless renewed
+startExpirySweep();
+
 export default app;
@@ -0,0 +1,616 @@
+import prisma from "../lib/prisma.js";
+import { ROLES, roleOf, isVerifiedAgent } from "../utils/roles.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+import { REPORT_STATUSES, REPORT_TARGET_TYPES, describeReportTargets } from "../utils/reports.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+const REPORT_CLOSED_STATUSES = [REPORT_STATUSES.RESOLVED, REPORT_STATUSES.DISMISSED];
+
+// Listings hidden because their owner was suspended carry this reason, so
+// reinstating the owner only brings back those and not ones suspended on
+// their own merits
+const OWNER_SUSPENDED_REASON = "Owner account suspended";
+
+const NOT_SET = { isSet: false };
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Answers 400 for a route id Prisma would reject with a 500. Returns true
+// when it did, so handlers can `return` straight away.
+const rejectMalformedId = (res, id) => {
+  if (OBJECT_ID_PATTERN.test(id)) return false;
+  res.status(400).json({ message: "Invalid id" });
+  return true;
+};
+
+const ADMIN_USER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  fullName: true,
+  avatar: true,
+  role: true,
+  agentVerifiedAt: true,
+  verified: true,
+  suspendedAt: true,
+  suspendedReason: true,
+  flaggedAt: true,
+  flagReason: true,
+  createdAt: true,
+  _count: { select: { posts: true } },
+};
+
+const ADMIN_POST_SELECT = {
+  id: true,
+  title: true,
+  price: true,
+  images: true,
+  city: true,
+  type: true,
+  property: true,
+  createdAt: true,
+  suspendedAt: true,
+  suspendedReason: true,
+  flaggedAt: true,
+  flagReason: true,
+  user: { select: { id: true, username: true, email: true } },
+};
+
+const toAdminUser = ({ _count, ...user }) => ({
+  ...user,
+  role: roleOf(user),
+  agentVerified: isVerifiedAgent(user),
+  postCount: _count.posts,
+});
+
+// ?page=2&limit=50, 1-based
+const parsePage = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const parseReason = (body) => {
+  const reason = typeof body?.reason === "string" ? body.reason.trim() : "";
+  if (!reason) {
+    return { error: "A reason is required" };
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { error: `reason must be at most ${MAX_REASON_LENGTH} characters` };
+  }
+  return { reason };
+};
+
+// status=active|suspended|flagged
+const statusWhere = (status) => {
+  if (status === "suspended") return { suspendedAt: { isSet: true } };
+  if (status === "flagged") return { flaggedAt: { isSet: true } };
+  if (status === "active") return { suspendedAt: NOT_SET };
+  return {};
+};
+
+export const getAdminStats = async (req, res) => {
+  try {
+    const [users, suspendedUsers, flaggedUsers, posts, suspendedPosts, flaggedPosts, openReports] = await Promise.all([
+      prisma.user.count(),
+      prisma.user.count({ where: statusWhere("suspended") }),
+      prisma.user.count({ where: statusWhere("flagged") }),
+      prisma.post.count(),
+      prisma.post.count({ where: statusWhere("suspended") }),
+      prisma.post.count({ where: statusWhere("flagged") }),
+      prisma.report.count({ where: { status: REPORT_STATUSES.OPEN } }),
+    ]);
+
+    res.status(200).json({
+      users: { total: users, suspended: suspendedUsers, flagged: flaggedUsers },
+      posts: { total: posts, suspended: suspendedPosts, flagged: flaggedPosts },
+      reports: { open: openReports },
+    });
+  } catch (err) {
+    console.error("❌ Error loading admin stats:", err);
+    res.status(500).json({ message: "Failed to load stats" });
+  }
+};
+
+// GET /api/admin/users?q=&role=&status=&page=
+export const listUsers = async (req, res) => {
+  const { page, limit, skip } = parsePage(req.query);
+  const where = { ...statusWhere(req.query.status) };
+
+  if (req.query.role) {
+    if (!Object.values(ROLES).includes(req.query.role)) {
+      return res.status(400).json({ message: `role must be one of: ${Object.values(ROLES).join(", ")}` });
+    }
+    // Users from before roles existed have no role and count as buyers
+    where.AND = [
+      req.query.role === ROLES.BUYER
+        ? { OR: [{ role: ROLES.BUYER }, { role: null }, { role: NOT_SET }] }
+        : { role: req.query.role },
+    ];
+  }
+
+  if (req.query.q) {
+    const contains = { contains: String(req.query.q).trim(), mode: "insensitive" };
+    where.OR = [{ username: contains }, { email: contains }, { fullName: contains }];
+  }
+
+  try {
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({ where, select: ADMIN_USER_SELECT, orderBy: { createdAt: "desc" }, skip, take: limit }),
+      prisma.user.count({ where }),
+    ]);
+
+    res.status(200).json({ items: users.map(toAdminUser), total, page, limit });
+  } catch (err) {
+    console.error("❌ Error listing users:", err);
+    res.status(500).json({ message: "Failed to list users" });
+  }
+};
+
+// Suspending also hides the user's visible listings and ends their sessions
+export const suspendUser = async (req, res) => {
+  const userId = req.params.id;
+  if (rejectMalformedId(res, userId)) return;
+  const { reason, error } = parseReason(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  if (userId === req.userId) {
+    return res.status(400).json({ message: "You cannot suspend your own account" });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { role: true, suspendedAt: true } });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (roleOf(user) === ROLES.ADMIN) {
+      return res.status(400).json({ message: "Remove the admin role before suspending this account" });
+    }
+    if (user.suspendedAt) {
+      return res.status(409).json({ message: "User is already suspended" });
+    }
+
+    const suspendedAt = new Date();
+    const [updated, hiddenPosts] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { suspendedAt, suspendedReason: reason },
+        select: ADMIN_USER_SELECT,
+      }),
+      prisma.post.updateMany({
+        where: { userId, suspendedAt: NOT_SET },
+        data: { suspendedAt, suspendedReason: OWNER_SUSPENDED_REASON },
+      }),
+    ]);
+    const revokedSessions = await revokeAllSessions(userId);
+
+    recordAudit({
+      actorId: req.userId,
+      action: AUDIT_ACTIONS.USER_SUSPENDED,
+      targetType: "user",
+      targetId: userId,
+      details: { reason, hiddenPosts: hiddenPosts.count, revokedSessions },
+    });
+
+    console.log(`⛔ User ${userId} suspended by ${req.userId}; hid ${hiddenPosts.count} posts`);
+    res.status(200).json(toAdminUser(updated));
+  } catch (err) {
+    console.error("❌ Error suspending user:", err);
+    res.status(500).json({ message: "Failed to suspend user" });
+  }
+};
+
+export const unsuspendUser = async (req, res) => {
+  const userId = req.params.id;
+  if (rejectMalformedId(res, userId)) return;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { suspendedAt: true } });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.suspendedAt) {
+      return res.status(409).json({ message: "User is not suspended" });
+    }
+
+    const [updated, restoredPosts] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { suspendedAt: { unset: true }, suspendedReason: { unset: true } },
+        select: ADMIN_USER_SELECT,
+      }),
+      prisma.post.updateMany({
+        where: { userId, suspendedReason: OWNER_SUSPENDED_REASON },
+        data: { suspendedAt: { unset: true }, suspendedReason: { unset: true } },
+      }),
+    ]);
+
+    recordAudit({
+      actorId: req.userId,
+      action: AUDIT_ACTIONS.USER_UNSUSPENDED,
+      targetType: "user",
+      targetId: userId,
+      details: { restoredPosts: restoredPosts.count },
+    });
+
+    res.status(200).json(toAdminUser(updated));
+  } catch (err) {
+    console.error("❌ Error reinstating user:", err);
+    res.status(500).json({ message: "Failed to reinstate user" });
+  }
+};
+
+export const flagUser = async (req, res) => {
+  const userId = req.params.id;
+  if (rejectMalformedId(res, userId)) return;
+  const { reason, error } = parseReason(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: { flaggedAt: new Date(), flagReason: reason },
+      select: ADMIN_USER_SELECT,
+    });
+
+    recordAudit({ actorId: req.userId, action: AUDIT_ACTIONS.USER_FLAGGED, targetType: "user", targetId: userId, details: { reason } });
+    res.status(200).json(toAdminUser(updated));
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "User not found" });
+    }
+    console.error("❌ Error flagging user:", err);
+    res.status(500).json({ message: "Failed to flag user" });
+  }
+};
+
+// Clears the flag once the user has been reviewed
+export const unflagUser = async (req, res) => {
+  const userId = req.params.id;
+  if (rejectMalformedId(res, userId)) return;
+
+  try {
+    const updated = await prisma.user.update({
+      where: { id: userId },
+      data: { flaggedAt: { unset: true }, flagReason: { unset: true } },
+      select: ADMIN_USER_SELECT,
+    });
+
+    recordAudit({ actorId: req.userId, action: AUDIT_ACTIONS.USER_UNFLAGGED, targetType: "user", targetId: userId });
+    res.status(200).json(toAdminUser(updated));
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "User not found" });
+    }
+    console.error("❌ Error clearing user flag:", err);
+    res.status(500).json({ message: "Failed to clear flag" });
+  }
+};
+
+export const deleteUser = async (req, res) => {
+  const userId = req.params.id;
+  if (rejectMalformedId(res, userId)) return;
+  if (userId === req.userId) {
+    return res.status(400).json({ message: "You cannot delete your own account from the admin console" });
+  }
+
+  try {
+    const removed = await prisma.user.delete({
+      where: { id: userId },
+      select: { username: true, email: true },
+    });
+
+    recordAudit({ actorId: req.userId, action: AUDIT_ACTIONS.USER_DELETED, targetType: "user", targetId: userId, details: removed });
+    console.log(`🗑️ User ${removed.username} deleted by ${req.userId}`);
+    res.status(200).json({ message: "User deleted" });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "User not found" });
+    }
+    console.error("❌ Error deleting user:", err);
+    res.status(500).json({ message: "Failed to delete user" });
+  }
+};
+
+// GET /api/admin/posts?q=&status=&userId=&page=
+export const listPosts = async (req, res) => {
+  const { page, limit, skip } = parsePage(req.query);
+  const where = { ...statusWhere(req.query.status) };
+
+  if (req.query.userId) {
+    where.userId = String(req.query.userId);
+    if (!OBJECT_ID_PATTERN.test(where.userId)) {
+      return res.status(400).json({ message: "userId must be a valid id" });
+    }
+  }
+
+  if (req.query.q) {
+    const contains = { contains: String(req.query.q).trim(), mode: "insensitive" };
+    where.OR = [{ title: contains }, { city: contains }, { address: contains }];
+  }
+
+  try {
+    const [posts, total] = await Promise.all([
+      prisma.post.findMany({ where, select: ADMIN_POST_SELECT, orderBy: { createdAt: "desc" }, skip, take: limit }),
+      prisma.post.count({ where }),
+    ]);
+
+    res.status(200).json({ items: posts, total, page, limit });
+  } catch (err) {
+    console.error("❌ Error listing posts:", err);
+    res.status(500).json({ message: "Failed to list posts" });
+  }
+};
+
+export const suspendPost = async (req, res) => {
+  const postId = req.params.id;
+  if (rejectMalformedId(res, postId)) return;
+  const { reason, error } = parseReason(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const updated = await prisma.post.update({
+      where: { id: postId },
+      data: { suspendedAt: new Date(), suspendedReason: reason },
+      select: ADMIN_POST_SELECT,
+    });
+
+    recordAudit({ actorId: req.userId, action: AUDIT_ACTIONS.POST_SUSPENDED, targetType: "post", targetId: postId, details: { reason } });
+    res.status(200).json(updated);
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    console.error("❌ Error suspending post:", err);
+    res.status(500).json({ message: "Failed to suspend post" });
+  }
+};
+
+export const unsuspendPost = async (req, res) => {
+  const postId = req.params.id;
+  if (rejectMalformedId(res, postId)) return;
+
+  try {
+    const updated = await prisma.post.update({
+      where: { id: postId },
+      data: { suspendedAt: { unset: true }, suspendedReason: { unset: true } },
+      select: ADMIN_POST_SELECT,
+    });
+
+    recordAudit({ actorId: req.userId, action: AUDIT_ACTIONS.POST_UNSUSPENDED, targetType: "post", targetId: postId });
+    res.status(200).json(updated);
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    console.error("❌ Error reinstating post:", err);
+    res.status(500).json({ message: "Failed to reinstate post" });
+  }
+};
+
+export const flagPost = async (req, res) => {
+  const postId = req.params.id;
+  if (rejectMalformedId(res, postId)) return;
+  const { reason, error } = parseReason(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const updated = await prisma.post.update({
+      where: { id: postId },
+      data: { flaggedAt: new Date(), flagReason: reason },
+      select: ADMIN_POST_SELECT,
+    });
+
+    recordAudit({ actorId: req.userId, action: AUDIT_ACTIONS.POST_FLAGGED, targetType: "post", targetId: postId, details: { reason } });
+    res.status(200).json(updated);
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    console.error("❌ Error flagging post:", err);
+    res.status(500).json({ message: "Failed to flag post" });
+  }
+};
+
+export const unflagPost = async (req, res) => {
+  const postId = req.params.id;
+  if (rejectMalformedId(res, postId)) return;
+
+  try {
+    const updated = await prisma.post.update({
+      where: { id: postId },
+      data: { flaggedAt: { unset: true }, flagReason: { unset: true } },
+      select: ADMIN_POST_SELECT,
+    });
+
+    recordAudit({ actorId: req.userId, action: AUDIT_ACTIONS.POST_UNFLAGGED, targetType: "post", targetId: postId });
+    res.status(200).json(updated);
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    console.error("❌ Error clearing post flag:", err);
+    res.status(500).json({ message: "Failed to clear flag" });
+  }
+};
+
+export const deletePost = async (req, res) => {
+  const postId = req.params.id;
+  if (rejectMalformedId(res, postId)) return;
+
+  try {
+    const removed = await prisma.post.delete({
+      where: { id: postId },
+      select: { title: true, userId: true },
+    });
+
+    recordAudit({
+      actorId: req.userId,
+      action: AUDIT_ACTIONS.POST_DELETED,
+      targetType: "post",
+      targetId: postId,
+      details: { title: removed.title, ownerId: removed.userId },
+    });
+    res.status(200).json({ message: "Post deleted" });
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    console.error("❌ Error deleting post:", err);
+    res.status(500).json({ message: "Failed to delete post" });
+  }
+};
+
+// The review queue: flagged users and posts, oldest flag first
+export const getFlagged = async (req, res) => {
+  try {
+    const [users, posts] = await Promise.all([
+      prisma.user.findMany({ where: statusWhere("flagged"), select: ADMIN_USER_SELECT, orderBy: { flaggedAt: "asc" } }),
+      prisma.post.findMany({ where: statusWhere("flagged"), select: ADMIN_POST_SELECT, orderBy: { flaggedAt: "asc" } }),
+    ]);
+
+    res.status(200).json({ users: users.map(toAdminUser), posts });
+  } catch (err) {
+    console.error("❌ Error loading flagged content:", err);
+    res.status(500).json({ message: "Failed to load flagged content" });
+  }
+};
+
+// GET /api/admin/reports?status=open&targetType=&page=, oldest first so
+// nothing waits forever. Each report carries a summary of its target, or
+// null if the target has since been deleted.
+export const listReports = async (req, res) => {
+  const { page, limit, skip } = parsePage(req.query);
+  const status = req.query.status || REPORT_STATUSES.OPEN;
+  if (!Object.values(REPORT_STATUSES).includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${Object.values(REPORT_STATUSES).join(", ")}` });
+  }
+  const where = { status };
+  if (req.query.targetType) {
+    if (!REPORT_TARGET_TYPES.includes(req.query.targetType)) {
+      return res.status(400).json({ message: `targetType must be one of: ${REPORT_TARGET_TYPES.join(", ")}` });
+    }
+    where.targetType = req.query.targetType;
+  }
+
+  try {
+    const [reports, total] = await Promise.all([
+      prisma.report.findMany({
+        where,
+        include: { reporter: { select: { id: true, username: true } } },
+        orderBy: { createdAt: status === REPORT_STATUSES.OPEN ? "asc" : "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.report.count({ where }),
+    ]);
+    const targets = await describeReportTargets(reports);
+
+    res.status(200).json({
+      items: reports.map((report) => ({ ...report, target: targets.get(`${report.targetType}:${report.targetId}`) || null })),
+      total,
+      page,
+      limit,
+    });
+  } catch (err) {
+    console.error("❌ Error listing reports:", err);
+    res.status(500).json({ message: "Failed to list reports" });
+  }
+};
+
+// PATCH /api/admin/reports/:id { status: resolved|dismissed, note }
+// Closes every open report on the same target, since they all describe
+// the same problem and one decision covers them.
+export const closeReport = async (req, res) => {
+  if (rejectMalformedId(res, req.params.id)) return;
+  const { status } = req.body || {};
+  const note = typeof req.body?.note === "string" ? req.body.note.trim() : "";
+  if (!REPORT_CLOSED_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${REPORT_CLOSED_STATUSES.join(", ")}` });
+  }
+  if (note.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({ message: `note must be at most ${MAX_REASON_LENGTH} characters` });
+  }
+
+  try {
+    const report = await prisma.report.findUnique({ where: { id: req.params.id } });
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+    if (report.status !== REPORT_STATUSES.OPEN) {
+      return res.status(409).json({ message: `Report is already ${report.status}` });
+    }
+
+    const sameTarget = { targetType: report.targetType, targetId: report.targetId, status: REPORT_STATUSES.OPEN };
+    const openReports = await prisma.report.findMany({ where: sameTarget, select: { id: true, reason: true } });
+    const closed = await prisma.report.updateMany({
+      where: sameTarget,
+      data: { status, resolvedById: req.userId, resolvedAt: new Date(), resolution: note || null },
+    });
+
+    recordAudit({
+      actorId: req.userId,
+      action: status === REPORT_STATUSES.RESOLVED ? AUDIT_ACTIONS.REPORT_RESOLVED : AUDIT_ACTIONS.REPORT_DISMISSED,
+      targetType: report.targetType,
+      targetId: report.targetId,
+      details: {
+        reportIds: openReports.map(({ id }) => id),
+        reasons: [...new Set(openReports.map(({ reason }) => reason))],
+        note: note || null,
+      },
+    });
+
+    res.status(200).json({ message: `Closed ${closed.count} report(s)`, closed: closed.count });
+  } catch (err) {
+    console.error("❌ Error closing report:", err);
+    res.status(500).json({ message: "Failed to update report" });
+  }
+};
+
+// GET /api/admin/audit?targetType=&targetId=&actorId=&action=&page=
+export const getAuditLog = async (req, res) => {
+  const { page, limit, skip } = parsePage(req.query);
+  const where = {};
+  for (const field of ["targetType", "targetId", "actorId", "action"]) {
+    if (req.query[field]) where[field] = String(req.query[field]);
+  }
+  for (const field of ["targetId", "actorId"]) {
+    if (where[field] && !OBJECT_ID_PATTERN.test(where[field])) {
+      return res.status(400).json({ message: `${field} must be a valid id` });
+    }
+  }
+
+  try {
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({ where, orderBy: { createdAt: "desc" }, skip, take: limit }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    // Actors are looked up separately since entries outlive deleted accounts
+    const actorIds = [...new Set(entries.map((entry) => entry.actorId))];
+    const actors = await prisma.user.findMany({
+      where: { id: { in: actorIds } },
+      select: { id: true, username: true },
+    });
+    const actorNames = new Map(actors.map((actor) => [actor.id, actor.username]));
+
+    res.status(200).json({
+      items: entries.map((entry) => ({ ...entry, actorUsername: actorNames.get(entry.actorId) || null })),
+      total,
+      page,
+      limit,
+    });
+  } catch (err) {
+    console.error("❌ Error loading audit log:", err);
+    res.status(500).json({ message: "Failed to load audit log" });
+  }
+};
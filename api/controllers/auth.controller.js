@@ -1,9 +1,45 @@
-import * as bcrypt from "bcryptjs";
+import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import prisma from "../lib/prisma.js";
+import { readAccessToken } from "../middleware/verifyToken.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  sessionIdFromRefreshToken,
+  setAuthCookies,
+  clearAuthCookies
+} from "../utils/sessions.js";
+import { AUTH_TOKEN_TYPES, issueAuthToken, consumeAuthToken } from "../utils/authTokens.js";
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/authEmails.js";
+import { parseUserProfile } from "../utils/userProfile.js";
+import { roleOf, roleForUserType, isVerifiedAgent } from "../utils/roles.js";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Mail problems must not fail the request that triggered them
+const sendVerification = (user) =>
+  issueAuthToken(user.id, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION)
+    .then((token) => sendVerificationEmail(user, token))
+    .catch((err) => console.error(`❌ Failed to send verification email to ${user.email}:`, err.message));
 
 export const register = async (req, res) => {
-  const { username, email, password } = req.body;
+  const { username, email, password } = req.body || {};
+
+  if (typeof username !== "string" || !username.trim() || typeof email !== "string" || !email.trim()) {
+    return res.status(400).json({ message: "Username and email are required" });
+  }
+  // Same rule as resetPassword
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  // Everything else the registration wizard collects goes to UserProfile/UserPreferences
+  const { fullName, profile, preferences, error } = parseUserProfile(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
   try {
     console.log('📝 Registration attempt:', { username, email });
@@ -33,10 +69,15 @@ export const register = async (req, res) => {
         username,
         email,
         password: hashedPassword,
+        fullName,
+        role: roleForUserType(profile.userType),
+        profile: { create: profile },
+        preferences: { create: preferences },
       },
     });
 
     console.log('✅ User created successfully:', newUser.username);
+    sendVerification(newUser);
 
     res.status(201).json({ 
       message: "User created successfully!",
@@ -45,6 +86,9 @@ export const register = async (req, res) => {
         username: newUser.username,
         email: newUser.email,
         avatar: newUser.avatar,
+        fullName: newUser.fullName || newUser.username,
+        role: roleOf(newUser),
+        verified: false,
         createdAt: newUser.createdAt
       }
     });
@@ -96,29 +140,31 @@ export const login = async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET_KEY,
-      { expiresIn: "7d" }
-    );
+    if (user.suspendedAt) {
+      console.log('⛔ Login refused for suspended account:', user.email);
+      return res.status(403).json({ message: "This account has been suspended", code: "ACCOUNT_SUSPENDED" });
+    }
+
+    // Short-lived access token plus a rotating refresh token for this session
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
     console.log('✅ Login successful for:', user.email);
-    console.log('🔑 Generated JWT token for user ID:', user.id);
+    console.log('🔑 Started session for user ID:', user.id);
 
-    // Set token as cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    setAuthCookies(res, { accessToken, refreshToken });
 
-    // Return user data and token
+    // Return user data and the access token; the refresh token only travels
+    // in its httpOnly cookie so page scripts can never read it
     res.status(200).json({
       id: user.id,
       email: user.email,
       username: user.username,
       avatar: user.avatar,
-      token: token,
+      verified: Boolean(user.verified),
+      role: roleOf(user),
+      agentVerified: isVerifiedAgent(user),
+      token: accessToken,
+      expiresIn,
       createdAt: user.createdAt,
       fullName: user.fullName || user.username
     });
@@ -128,10 +174,165 @@ export const login = async (req, res) => {
   }
 };
 
-export const logout = (req, res) => {
-  console.log('👋 User logout');
-  res
-    .clearCookie("token")
-    .status(200)
-    .json({ message: "Logout Successful!" });
+// Rotates the session named by the httpOnly refreshToken cookie
+export const refresh = async (req, res) => {
+  const presented = req.cookies?.refreshToken;
+  if (!presented) {
+    return res.status(401).json({ message: "No refresh token provided" });
+  }
+
+  try {
+    const rotated = await rotateSession(presented);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    setAuthCookies(res, rotated);
+    res.status(200).json({
+      token: rotated.accessToken,
+      expiresIn: rotated.expiresIn
+    });
+  } catch (err) {
+    console.error('❌ Refresh error:', err);
+    res.status(500).json({ message: "Failed to refresh session" });
+  }
+};
+
+// Revokes the caller's session, found from the refresh token cookie or the
+// access token's sid. Always clears the cookies, even for an unknown session.
+export const logout = async (req, res) => {
+  let sessionId = sessionIdFromRefreshToken(req.cookies?.refreshToken);
+
+  if (!sessionId) {
+    const accessToken = readAccessToken(req);
+    if (accessToken) {
+      try {
+        // An expired access token still identifies the session to end
+        sessionId = jwt.verify(accessToken, process.env.JWT_SECRET_KEY, { ignoreExpiration: true }).sid || null;
+      } catch {
+        sessionId = null;
+      }
+    }
+  }
+
+  try {
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+    console.log('👋 User logout', sessionId ? `(session ${sessionId})` : '');
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Logout Successful!" });
+  } catch (err) {
+    console.error('❌ Logout error:', err);
+    res.status(500).json({ message: "Failed to log out" });
+  }
+};
+
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.userId);
+    console.log(`👋 Logged out user ${req.userId} from ${revoked} session(s)`);
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Logged out from all devices", revoked });
+  } catch (err) {
+    console.error('❌ Logout-all error:', err);
+    res.status(500).json({ message: "Failed to log out from all devices" });
+  }
+};
+
+// Always answers the same way so the endpoint can't be used to find out
+// which emails have accounts
+export const forgotPassword = async (req, res) => {
+  const email = typeof req.body?.email === "string" ? req.body.email.trim() : "";
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+      console.log('🔑 Password reset requested for:', email);
+      // Not awaited, so response time doesn't reveal whether the account exists
+      issueAuthToken(user.id, AUTH_TOKEN_TYPES.PASSWORD_RESET)
+        .then((token) => sendPasswordResetEmail(user, token))
+        .catch((err) => console.error(`❌ Failed to send reset email to ${email}:`, err.message));
+    }
+
+    res.status(200).json({ message: "If an account exists for that email, a reset link has been sent." });
+  } catch (err) {
+    console.error('❌ Forgot password error:', err);
+    res.status(500).json({ message: "Failed to send reset email" });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body || {};
+
+  if (typeof token !== "string" || !token) {
+    return res.status(400).json({ message: "This reset link is invalid or has expired" });
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const userId = await consumeAuthToken(token, AUTH_TOKEN_TYPES.PASSWORD_RESET);
+    if (!userId) {
+      return res.status(400).json({ message: "This reset link is invalid or has expired" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: hashedPassword }
+    });
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions(userId);
+
+    console.log('✅ Password reset for user:', userId);
+    res.status(200).json({ message: "Password updated. You can now log in." });
+  } catch (err) {
+    console.error('❌ Reset password error:', err);
+    res.status(500).json({ message: "Failed to reset password" });
+  }
+};
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeAuthToken(req.body.token, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION);
+    if (!userId) {
+      return res.status(400).json({ message: "This verification link is invalid or has expired" });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { verified: true, verifiedAt: new Date() }
+    });
+
+    console.log('✅ Email verified for user:', userId);
+    res.status(200).json({ message: "Email verified", verified: true });
+  } catch (err) {
+    console.error('❌ Verify email error:', err);
+    res.status(500).json({ message: "Failed to verify email" });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.verified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const token = await issueAuthToken(user.id, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION);
+    await sendVerificationEmail(user, token);
+    res.status(200).json({ message: `Verification email sent to ${user.email}` });
+  } catch (err) {
+    console.error('❌ Resend verification error:', err);
+    res.status(500).json({ message: "Failed to send verification email" });
+  }
 };
@@ -1,5 +1,18 @@
 import { PrismaClient } from '@prisma/client';
 import { ObjectId } from 'mongodb';
+import { notify, NOTIFICATION_TYPES } from '../utils/notifications.js';
+import { trackPostStat } from '../utils/postStats.js';
+import { emitToUser } from '../utils/socketBridge.js';
+import {
+  MESSAGE_TYPES,
+  SHARED_POST_SELECT,
+  isShareableListing,
+  messagePreview,
+  ATTACHMENT_KINDS,
+  prepareAttachments,
+  storeAttachments,
+  readDocument
+} from '../utils/messageAttachments.js';
 
 const prisma = new PrismaClient();
 
@@ -13,6 +26,94 @@ const isValidObjectId = (id) => {
   }
 };
 
+// Unread messages handed to a socket on connect are capped per conversation
+// and overall; the rest load when the conversation is opened
+const MAX_UNREAD_PER_CONVERSATION = 50;
+const MAX_UNREAD_CONVERSATIONS = 20;
+
+const messageSenderSelect = {
+  id: true,
+  username: true,
+  avatar: true
+};
+
+const messageInclude = {
+  sender: {
+    select: messageSenderSelect
+  },
+  sharedPost: {
+    select: SHARED_POST_SELECT
+  }
+};
+
+// The card for a shared listing, or null once it is no longer public
+const formatSharedPost = (post) => {
+  if (!isShareableListing(post)) return null;
+  const { suspendedAt, ...card } = post;
+  return card;
+};
+
+// Storage keys stay on the server; clients download documents by position
+const formatAttachment = ({ key, ...attachment }) => attachment;
+
+// The shape clients receive for a message, over REST and the socket alike
+const formatMessage = (message) => ({
+  id: message.id,
+  chatId: message.conversationId,
+  type: message.type || MESSAGE_TYPES.TEXT,
+  content: message.content,
+  attachments: (message.attachments || []).map(formatAttachment),
+  sharedPost: message.sharedPostId ? formatSharedPost(message.sharedPost) : null,
+  senderId: message.senderId,
+  sender: message.sender,
+  createdAt: message.createdAt,
+  deliveredAt: message.deliveredAt || null,
+  readAt: message.readAt || null
+});
+
+// Stamps deliveredAt on `messages` ([{ id, senderId }]) that don't have it
+// yet and tells each sender, so their ticks turn double. Never throws.
+const markDelivered = async (conversationId, messages) => {
+  try {
+    const deliveredAt = new Date();
+    const bySender = new Map();
+    for (const { id, senderId } of messages) {
+      bySender.set(senderId, [...(bySender.get(senderId) || []), id]);
+    }
+
+    for (const [senderId, messageIds] of bySender) {
+      const { count } = await prisma.message.updateMany({
+        where: { id: { in: messageIds }, deliveredAt: { isSet: false } },
+        data: { deliveredAt }
+      });
+      if (count > 0) {
+        emitToUser(senderId, 'message:delivered', { conversationId, messageIds, deliveredAt });
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error marking messages delivered in conversation ${conversationId}:`, error);
+  }
+};
+
+// Marks everything the other participant sent in `conversation` as read by
+// `readerId` and sends them a message:read event. Messages that were never
+// pushed live are marked delivered at the same moment.
+const markMessagesRead = async (conversation, readerId) => {
+  const senderId = conversation.user1Id === readerId ? conversation.user2Id : conversation.user1Id;
+  const readAt = new Date();
+  const unread = { conversationId: conversation.id, senderId, readAt: { isSet: false } };
+
+  await prisma.message.updateMany({
+    where: { ...unread, deliveredAt: { isSet: false } },
+    data: { deliveredAt: readAt }
+  });
+  const { count } = await prisma.message.updateMany({ where: unread, data: { readAt } });
+
+  if (count > 0) {
+    emitToUser(senderId, 'message:read', { conversationId: conversation.id, readerId, readAt });
+  }
+};
+
 // Get all conversations for the current user
 export const getConversations = async (req, res) => {
   try {
@@ -76,7 +177,7 @@ export const getConversations = async (req, res) => {
         id: conversation.id,
         createdAt: conversation.createdAt,
         updatedAt: conversation.updatedAt,
-        lastMessage: conversation.messages[0]?.content || '',
+        lastMessage: conversation.messages[0] ? messagePreview(conversation.messages[0]) : '',
         unreadCount: conversation.user1Id === userId 
           ? conversation.user1Unread 
           : conversation.user2Unread,
@@ -236,7 +337,8 @@ export const createConversation = async (req, res) => {
             title: true,
             images: true,
             price: true,
-            type: true
+            type: true,
+            userId: true
           }
         } : false
       }
@@ -244,6 +346,19 @@ export const createConversation = async (req, res) => {
     
     console.log('✅ Created new conversation:', newConversation.id);
     
+    // Let the owner know someone started a conversation about their listing
+    if (newConversation.property?.userId === otherUserId) {
+      trackPostStat(propertyId, 'inquiries');
+      notify({
+        userId: otherUserId,
+        type: NOTIFICATION_TYPES.NEW_CONVERSATION,
+        message: `${currentUser.username} is interested in ${newConversation.property.title}`,
+        actorId: currentUserId,
+        postId: propertyId,
+        conversationId: newConversation.id
+      });
+    }
+    
     // Format response
     const otherUserData = newConversation.user1Id === currentUserId 
       ? newConversation.user2 
@@ -303,26 +418,11 @@ export const getMessages = async (req, res) => {
       orderBy: {
         createdAt: 'asc'
       },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true,
-            avatar: true
-          }
-        }
-      }
+      include: messageInclude
     });
     
     // Format messages
-    const formattedMessages = messages.map(message => ({
-      id: message.id,
-      chatId: message.conversationId,
-      content: message.content,
-      senderId: message.senderId,
-      sender: message.sender,
-      createdAt: message.createdAt
-    }));
+    const formattedMessages = messages.map(formatMessage);
     
     // Mark messages as read
     if (conversation.user1Id === userId && conversation.user1Unread > 0) {
@@ -336,6 +436,7 @@ export const getMessages = async (req, res) => {
         data: { user2Unread: 0 }
       });
     }
+    await markMessagesRead(conversation, userId);
     
     res.status(200).json(formattedMessages);
   } catch (error) {
@@ -344,79 +445,260 @@ export const getMessages = async (req, res) => {
   }
 };
 
-// Send a message in a conversation
+// The conversation with `chatId` if `userId` is in it, otherwise null
+const findMemberConversation = (chatId, userId) =>
+  prisma.conversation.findFirst({
+    where: {
+      id: chatId,
+      OR: [
+        { user1Id: userId },
+        { user2Id: userId }
+      ]
+    }
+  });
+
+// Stores a message from `senderId`, bumps the recipient's unread count,
+// pushes it to them and notifies them. Returns the formatted message.
+const postMessage = async (conversation, senderId, data) => {
+  const recipientId = conversation.user1Id === senderId ? conversation.user2Id : conversation.user1Id;
+
+  const message = await prisma.message.create({
+    data: {
+      ...data,
+      senderId,
+      conversationId: conversation.id
+    },
+    include: messageInclude
+  });
+  const preview = messagePreview(message);
+
+  await prisma.conversation.update({
+    where: { id: conversation.id },
+    data: {
+      updatedAt: new Date(),
+      // Increment unread count for the recipient
+      user1Unread: conversation.user1Id === recipientId ? { increment: 1 } : undefined,
+      user2Unread: conversation.user2Id === recipientId ? { increment: 1 } : undefined,
+      lastMessage: preview
+    }
+  });
+
+  // The API is the only writer: the recipient's tabs get the stored
+  // message, with its real id and timestamp, through the socket server.
+  // If they are offline it is replayed from the database when they connect.
+  const formattedMessage = formatMessage(message);
+  emitToUser(recipientId, 'getMessage', formattedMessage).then((delivered) => {
+    if (delivered) markDelivered(conversation.id, [message]);
+  });
+
+  notify({
+    userId: recipientId,
+    type: NOTIFICATION_TYPES.NEW_MESSAGE,
+    message: `${message.sender.username}: ${preview.length > 80 ? `${preview.slice(0, 77)}...` : preview}`,
+    actorId: senderId,
+    conversationId: conversation.id
+  });
+
+  return formattedMessage;
+};
+
+// Send a message in a conversation: { content } for text, or
+// { sharedPostId, content? } to share a listing as a card
 export const sendMessage = async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { content } = req.body;
+    const { content = '', sharedPostId } = req.body;
     const senderId = req.user.id;
     
     // Validate input
-    if (!content) {
+    if (typeof content !== 'string' || (!content && !sharedPostId)) {
       return res.status(400).json({ message: 'Message content is required' });
     }
     
     console.log('🔄 Sending message in conversation:', chatId);
     
     // Verify user is part of the conversation
-    const conversation = await prisma.conversation.findFirst({
-      where: {
-        id: chatId,
-        OR: [
-          { user1Id: senderId },
-          { user2Id: senderId }
-        ]
+    const conversation = await findMemberConversation(chatId, senderId);
+    if (!conversation) {
+      return res.status(403).json({ message: 'Access denied to this conversation' });
+    }
+
+    const data = { type: MESSAGE_TYPES.TEXT, content };
+    if (sharedPostId) {
+      const post = isValidObjectId(sharedPostId)
+        ? await prisma.post.findUnique({ where: { id: sharedPostId }, select: SHARED_POST_SELECT })
+        : null;
+      if (!isShareableListing(post)) {
+        return res.status(400).json({ message: 'This listing cannot be shared' });
       }
-    });
+      Object.assign(data, { type: MESSAGE_TYPES.LISTING, sharedPostId });
+    }
     
+    res.status(201).json(await postMessage(conversation, senderId, data));
+  } catch (error) {
+    console.error('❌ Error sending message:', error);
+    res.status(500).json({ message: 'Failed to send message' });
+  }
+};
+
+// POST /api/chat/:chatId/attachments - multipart "files" (photos and PDFs)
+// plus an optional "content" caption. Files go to the upload store before
+// the message is created.
+export const sendAttachments = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const content = typeof req.body.content === 'string' ? req.body.content : '';
+    const senderId = req.user.id;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No files attached. Send them in the "files" field.' });
+    }
+
+    const conversation = await findMemberConversation(chatId, senderId);
     if (!conversation) {
       return res.status(403).json({ message: 'Access denied to this conversation' });
     }
-    
-    // Determine recipient ID
-    const recipientId = conversation.user1Id === senderId ? conversation.user2Id : conversation.user1Id;
-    
-    // Create message
-    const message = await prisma.message.create({
-      data: {
-        content,
-        senderId,
-        conversationId: chatId
+
+    const { prepared, error } = await prepareAttachments(files);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const attachments = await storeAttachments(prepared, req);
+    console.log(`📎 Stored ${attachments.length} attachment(s) in conversation ${chatId}`);
+
+    res.status(201).json(await postMessage(conversation, senderId, {
+      type: MESSAGE_TYPES.ATTACHMENT,
+      content,
+      attachments
+    }));
+  } catch (error) {
+    console.error('❌ Error sending attachments:', error);
+    res.status(500).json({ message: 'Failed to send attachments' });
+  }
+};
+
+// GET /api/chat/:chatId/messages/:messageId/attachments/:index - a
+// document attachment, for members of the conversation only. It is always
+// sent as a PDF download so a browser never renders it on the API's origin.
+export const downloadAttachment = async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const index = Number(req.params.index);
+
+    if (!isValidObjectId(chatId) || !isValidObjectId(messageId) || !Number.isInteger(index) || index < 0) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const conversation = await findMemberConversation(chatId, req.user.id);
+    if (!conversation) {
+      return res.status(403).json({ message: 'Access denied to this conversation' });
+    }
+
+    const message = await prisma.message.findFirst({
+      where: { id: messageId, conversationId: chatId },
+      select: { attachments: true }
+    });
+    const attachment = message?.attachments?.[index];
+    if (attachment?.kind !== ATTACHMENT_KINDS.DOCUMENT || !attachment.key) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const file = await readDocument(attachment);
+    const fallbackName = attachment.name.replace(/[^\w.\- ]/g, '_');
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fallbackName}"; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.status(200).send(file);
+  } catch (error) {
+    console.error('❌ Error downloading attachment:', error);
+    res.status(500).json({ message: 'Failed to download attachment' });
+  }
+};
+
+// GET /api/internal/users/:userId/unread-messages, called by the socket
+// server when a user connects. Responds with { messages }, oldest first: the
+// unread tail of each conversation, going by its unread counter. They are
+// marked delivered, but stay in the replay until read, so every tab (and
+// every reconnect) gets them; clients drop ids they already have.
+export const getUnreadMessages = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        OR: [
+          { user1Id: userId, user1Unread: { gt: 0 } },
+          { user2Id: userId, user2Unread: { gt: 0 } }
+        ]
       },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true,
-            avatar: true
-          }
-        }
-      }
+      select: { id: true, user1Id: true, user1Unread: true, user2Unread: true },
+      orderBy: { updatedAt: 'desc' },
+      take: MAX_UNREAD_CONVERSATIONS
     });
-    
-    // Update conversation
-    await prisma.conversation.update({
-      where: { id: chatId },
-      data: {
-        updatedAt: new Date(),
-        // Increment unread count for the recipient
-        user1Unread: conversation.user1Id === recipientId ? { increment: 1 } : undefined,
-        user2Unread: conversation.user2Id === recipientId ? { increment: 1 } : undefined,
-        lastMessage: content
-      }
+
+    const batches = await Promise.all(conversations.map((conversation) => {
+      const unread = conversation.user1Id === userId ? conversation.user1Unread : conversation.user2Unread;
+      return prisma.message.findMany({
+        where: { conversationId: conversation.id, senderId: { not: userId } },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(unread, MAX_UNREAD_PER_CONVERSATION),
+        include: messageInclude
+      });
+    }));
+
+    const messages = batches
+      .flat()
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    // The socket server is about to hand these to the user's tab
+    for (const conversation of conversations) {
+      const inConversation = messages.filter((message) => message.conversationId === conversation.id);
+      if (inConversation.length > 0) markDelivered(conversation.id, inConversation);
+    }
+
+    res.status(200).json({ messages: messages.map(formatMessage) });
+  } catch (error) {
+    console.error('❌ Error retrieving unread messages:', error);
+    res.status(500).json({ message: 'Failed to retrieve unread messages' });
+  }
+};
+
+// GET /api/internal/users/:userId/conversations, called by the socket
+// server to decide which conversation rooms a user may join. Responds with
+// { conversations: [{ id, participantIds }] }.
+export const getConversationMemberships = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        OR: [
+          { user1Id: userId },
+          { user2Id: userId }
+        ]
+      },
+      select: { id: true, user1Id: true, user2Id: true }
     });
-    
-    res.status(201).json({
-      id: message.id,
-      chatId,
-      content,
-      senderId,
-      sender: message.sender,
-      createdAt: message.createdAt
+
+    res.status(200).json({
+      conversations: conversations.map((conversation) => ({
+        id: conversation.id,
+        participantIds: [conversation.user1Id, conversation.user2Id]
+      }))
     });
   } catch (error) {
-    console.error('❌ Error sending message:', error);
-    res.status(500).json({ message: 'Failed to send message' });
+    console.error('❌ Error retrieving conversation memberships:', error);
+    res.status(500).json({ message: 'Failed to retrieve conversations' });
   }
 };
 
@@ -455,6 +737,8 @@ export const markAsRead = async (req, res) => {
         data: { user2Unread: 0 }
       });
     }
+    // Read receipts for the sender
+    await markMessagesRead(conversation, userId);
     
     res.status(200).json({ message: 'Conversation marked as read' });
   } catch (error) {
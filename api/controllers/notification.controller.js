@@ -0,0 +1,93 @@
+import prisma from "../lib/prisma.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const countUnread = (userId) =>
+  prisma.notification.count({ where: { userId, read: false } });
+
+// Newest first. ?unread=true limits the list to unread items and ?before=<ISO
+// date> pages further back from the oldest notification already shown.
+export const getNotifications = async (req, res) => {
+  const userId = req.userId;
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const where = { userId };
+
+  if (req.query.unread === "true") {
+    where.read = false;
+  }
+
+  if (req.query.before) {
+    const before = new Date(req.query.before);
+    if (Number.isNaN(before.getTime())) {
+      return res.status(400).json({ message: "before must be a valid date" });
+    }
+    where.createdAt = { lt: before };
+  }
+
+  try {
+    const [notifications, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        take: limit,
+      }),
+      countUnread(userId),
+    ]);
+
+    res.status(200).json({
+      notifications,
+      unreadCount,
+      hasMore: notifications.length === limit,
+    });
+  } catch (err) {
+    console.error("❌ Error getting notifications:", err);
+    res.status(500).json({ message: "Failed to get notifications" });
+  }
+};
+
+// Unread count shown on the Navbar bell
+export const getNotificationNumber = async (req, res) => {
+  try {
+    const unreadCount = await countUnread(req.userId);
+    res.status(200).json({ unreadCount });
+  } catch (err) {
+    console.error("❌ Error counting notifications:", err);
+    res.status(500).json({ message: "Failed to count notifications" });
+  }
+};
+
+export const markNotificationRead = async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    // Scoping the update by userId doubles as the ownership check
+    const { count } = await prisma.notification.updateMany({
+      where: { id: req.params.id, userId },
+      data: { read: true, readAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.status(200).json({ id: req.params.id, read: true, unreadCount: await countUnread(userId) });
+  } catch (err) {
+    console.error("❌ Error marking notification as read:", err);
+    res.status(500).json({ message: "Failed to update notification" });
+  }
+};
+
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.userId, read: false },
+      data: { read: true, readAt: new Date() },
+    });
+
+    res.status(200).json({ updated: count, unreadCount: 0 });
+  } catch (err) {
+    console.error("❌ Error marking notifications as read:", err);
+    res.status(500).json({ message: "Failed to update notifications" });
+  }
+};
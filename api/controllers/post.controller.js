@@ -1,75 +1,237 @@
 import prisma from "../lib/prisma.js";
+import { parseCoordinates, toGeoPoint, findPostDistances } from "../utils/geo.js";
+import { notifySavedSearchMatches } from "../utils/savedSearches.js";
+import { findTextMatches, buildSnippets } from "../utils/search.js";
+import { parseListingQuery, SORT_OPTIONS, encodeCursor } from "../utils/listingQuery.js";
+import { buildFacets } from "../utils/facets.js";
+import { parseListingAttributes } from "../utils/listingAttributes.js";
+import { OWNER_SELECT, withOwnerInfo } from "../utils/userProfile.js";
+import { ROLES, roleOf, listingQuotaFor } from "../utils/roles.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+import {
+  LISTING_STATUSES,
+  PUBLIC_STATUSES,
+  OPEN_STATUSES,
+  statusOf,
+  listingStatusWhere,
+  transitionError,
+  statusChangeData,
+  expiryFrom
+} from "../utils/listingStatus.js";
+import { parsePrice, priceTimeline, latestReduction, notifyPriceDrop } from "../utils/priceHistory.js";
+import { trackPostView, getPostsStats, parseStatsDays } from "../utils/postStats.js";
+import {
+  SIMILAR_RADIUS_KM,
+  DEFAULT_SIMILAR_LIMIT,
+  MAX_SIMILAR_LIMIT,
+  SIMILAR_CANDIDATE_LIMIT,
+  similarCandidateWhere,
+  scoreSimilarity
+} from "../utils/similarListings.js";
 
+// Adds an isSaved flag for the logged-in caller (always false for anonymous requests)
+const withSavedFlag = async (posts, userId) => {
+  if (!userId || posts.length === 0) {
+    return posts.map((post) => ({ ...post, isSaved: false }));
+  }
+
+  const saved = await prisma.savedPost.findMany({
+    where: { userId, postId: { in: posts.map((post) => post.id) } },
+    select: { postId: true }
+  });
+  const savedIds = new Set(saved.map((entry) => entry.postId));
+
+  return posts.map((post) => ({ ...post, isSaved: savedIds.has(post.id) }));
+};
+
+// Post with ownerInfo, minus the moderators' review notes
+const toPostResponse = (post) => {
+  const { flaggedAt, flagReason, ...rest } = withOwnerInfo(post);
+  return rest;
+};
+
+// Alerts users whose saved searches match a listing that just went live.
+// Never fails the request.
+const announceListing = (post) => {
+  notifySavedSearchMatches(post)
+    .then((count) => count && console.log(`🔔 Notified ${count} users about post ${post.id}`))
+    .catch((err) => console.error('❌ Error matching saved searches:', err));
+};
+
+// The 403 body when `owner` already has as many open listings as their role
+// allows, otherwise null. Rented, sold and expired listings don't count.
+const listingQuotaError = async (owner, userId) => {
+  const quota = listingQuotaFor(owner);
+  if (quota === null) return null;
+
+  const listingCount = await prisma.post.count({
+    where: { userId, ...listingStatusWhere(OPEN_STATUSES) }
+  });
+  if (listingCount < quota) return null;
+
+  return {
+    message: `Your ${roleOf(owner)} account can have at most ${quota} open listings. Close or delete one first.`,
+    code: "LISTING_QUOTA_REACHED",
+    quota
+  };
+};
+
+// Only owners and admins may see suspended listings, drafts and expired ones
+const isHiddenFromPublic = (post) =>
+  Boolean(post.suspendedAt) || !PUBLIC_STATUSES.includes(statusOf(post));
+
+// Whether the caller may open `post`: anyone for a public listing, only its
+// owner or an admin otherwise
+const canViewPost = async (post, userId) => {
+  if (!isHiddenFromPublic(post) || post.userId === userId) return true;
+  const caller = userId
+    ? await prisma.user.findUnique({ where: { id: userId }, select: { role: true } })
+    : null;
+  return roleOf(caller) === ROLES.ADMIN;
+};
+
+// Fields shown on listing cards
+const LISTING_SELECT = {
+  id: true,
+  title: true,
+  price: true,
+  images: true,
+  address: true,
+  city: true,
+  bedroom: true,
+  bathroom: true,
+  latitude: true,
+  longitude: true,
+  type: true,
+  property: true,
+  status: true,
+  createdAt: true,
+  userId: true,
+  postDetail: { select: { size: true } }
+};
+
+// One page straight from the database, using Prisma's cursor pagination
+const findPostsPage = async ({ where, sort, limit, cursor }) => {
+  const [rows, total] = await Promise.all([
+    prisma.post.findMany({
+      where,
+      select: LISTING_SELECT,
+      orderBy: SORT_OPTIONS[sort || 'newest'].orderBy,
+      // One extra row tells us whether there is a next page
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor.id }, skip: 1 })
+    }),
+    prisma.post.count({ where })
+  ]);
+
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor({ id: items[items.length - 1].id }) : null;
+  return { items, total, nextCursor };
+};
+
+// Ids matching the geo and/or text search, with distances and relevance
+// scores where they apply
+const findSearchCandidates = async ({ near, bbox, q }) => {
+  const [distances, scores] = await Promise.all([
+    near || bbox ? findPostDistances({ near, bbox }) : null,
+    q ? findTextMatches(q) : null
+  ]);
+
+  let ids = [...(scores || distances).keys()];
+  if (scores && distances) ids = ids.filter((id) => distances.has(id));
+
+  return { ids, distances, scores };
+};
+
+// Geo and text search: find matching ids first, then apply the regular
+// filters and rank in memory. Text results default to relevance order,
+// geo-only results to nearest first.
+const findRankedPosts = async ({ where, near, bbox, q, sort, limit, cursor }) => {
+  const { ids, distances, scores } = await findSearchCandidates({ near, bbox, q });
+
+  const matches = await prisma.post.findMany({
+    where: { ...where, id: { in: ids } },
+    select: q
+      ? { ...LISTING_SELECT, postDetail: { select: { size: true, desc: true, utilities: true } } }
+      : LISTING_SELECT
+  });
+
+  const compare = sort
+    ? SORT_OPTIONS[sort].compare
+    : scores
+      ? (a, b) => b.relevance - a.relevance || b.createdAt - a.createdAt
+      : (a, b) => a.distanceKm - b.distanceKm;
+
+  const ranked = matches
+    .map((post) => ({
+      ...post,
+      ...(distances && { distanceKm: distances.get(post.id) }),
+      ...(scores && {
+        relevance: scores.get(post.id),
+        snippets: buildSnippets(post, q),
+        postDetail: post.postDetail && { size: post.postDetail.size }
+      })
+    }))
+    .sort((a, b) => compare(a, b) || a.id.localeCompare(b.id));
+
+  const offset = cursor?.offset || 0;
+  const items = ranked.slice(offset, offset + limit);
+  const nextCursor = offset + limit < ranked.length ? encodeCursor({ offset: offset + limit }) : null;
+  return { items, total: ranked.length, nextCursor };
+};
+
+// GET /api/posts responds with { items, nextCursor, total, filters }.
+// Pass nextCursor back as ?cursor= to get the following page.
 export const getPosts = async (req, res) => {
-  const query = req.query;
+  // Validate everything up front so bad input is a 400 rather than an empty list
+  let params;
+  try {
+    params = parseListingQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
 
   try {
-    console.log('📊 Getting posts from DATABASE with filters:', query);
-    
-    // Build where clause for filtering
-    const where = {};
-    
-    if (query.city) {
-      where.city = {
-        contains: query.city,
-        mode: 'insensitive'
-      };
-    }
-    
-    if (query.type) {
-      where.type = query.type;
-    }
-    
-    if (query.property) {
-      where.property = query.property;
-    }
-    
-    if (query.bedroom) {
-      where.bedroom = {
-        gte: parseInt(query.bedroom)
-      };
-    }
-    
-    if (query.minPrice || query.maxPrice) {
-      where.price = {};
-      if (query.minPrice) where.price.gte = parseInt(query.minPrice);
-      if (query.maxPrice) where.price.lte = parseInt(query.maxPrice);
-    }
+    console.log('📊 Getting posts from DATABASE with filters:', params.filters);
 
-    // Add pagination to avoid large result sets
-    const page = parseInt(query.page) || 1;
-    const limit = parseInt(query.limit) || 20;
-    const skip = (page - 1) * limit;
-    
-    // First try to get only essential fields for better performance
-    const posts = await prisma.post.findMany({
-      where,
-      skip,
-      take: limit,
-      orderBy: { createdAt: 'desc' },
-      select: {
-        id: true,
-        title: true,
-        price: true,
-        images: true,
-        address: true,
-        city: true,
-        bedroom: true,
-        bathroom: true,
-        type: true,
-        property: true,
-        createdAt: true,
-        userId: true
-      }
+    const { items, total, nextCursor } = params.ranked
+      ? await findRankedPosts(params)
+      : await findPostsPage(params);
+
+    res.status(200).json({
+      items: await withSavedFlag(items, req.userId),
+      nextCursor,
+      total,
+      filters: params.filters
     });
-    
-    // Format response and send
-    res.status(200).json(posts);
-    
   } catch (err) {
     console.error('❌ Database error in getPosts:', err);
-    // Return empty array instead of 500 error for better UX
-    res.status(200).json([]);
+    res.status(500).json({ message: "Failed to get posts" });
+  }
+};
+
+// GET /api/posts/facets takes the same filters as GET /api/posts and returns
+// option counts for the filter panel
+export const getPostFacets = async (req, res) => {
+  let params;
+  try {
+    params = parseListingQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  try {
+    const where = { ...params.where };
+    if (params.ranked) {
+      const { ids } = await findSearchCandidates(params);
+      where.id = { in: ids };
+    }
+
+    const facets = await buildFacets(where);
+    res.status(200).json({ ...facets, filters: params.filters });
+  } catch (err) {
+    console.error('❌ Database error in getPostFacets:', err);
+    res.status(500).json({ message: "Failed to get filter counts" });
   }
 };
 
@@ -85,28 +247,58 @@ export const addPost = async (req, res) => {
       return res.status(400).json({ message: "Missing required fields" });
     }
     
-    // Extract user connection - either from body or token
-    let userConnection;
-    if (body.user?.connect?.id) {
-      // If client sent user connection object
-      userConnection = body.user;
-    } else {
-      // If client sent userId or using token
-      userConnection = {
-        connect: { id: tokenUserId }
-      };
+    // Posts always belong to the caller; a user connection in the body is ignored
+    const userConnection = {
+      connect: { id: tokenUserId }
+    };
+
+    const owner = await prisma.user.findUnique({
+      where: { id: tokenUserId },
+      select: { role: true, agentVerifiedAt: true, suspendedAt: true }
+    });
+    if (!owner) {
+      return res.status(401).json({ message: "User no longer exists" });
+    }
+    if (owner.suspendedAt) {
+      return res.status(403).json({ message: "This account has been suspended", code: "ACCOUNT_SUSPENDED" });
+    }
+
+    const quotaError = await listingQuotaError(owner, tokenUserId);
+    if (quotaError) {
+      return res.status(403).json(quotaError);
     }
     
+    // New listings go live straight away unless saved as a draft
+    const status = body.status === LISTING_STATUSES.DRAFT ? LISTING_STATUSES.DRAFT : LISTING_STATUSES.ACTIVE;
+    const now = new Date();
+
     // Parse numeric fields
-    const numericPrice = parseFloat(body.price);
+    const { price: numericPrice, error: priceError } = parsePrice(body.price);
+    if (priceError) {
+      return res.status(400).json({ message: priceError });
+    }
     const numericBedroom = body.bedroom ? parseInt(body.bedroom) : 0;
     const numericBathroom = body.bathroom ? parseFloat(body.bathroom) : 0;
+
+    // Coordinates are optional, but if sent they must be valid
+    const coordinates = parseCoordinates(body.latitude, body.longitude);
+    if (!coordinates && (body.latitude || body.longitude)) {
+      return res.status(400).json({ message: "Invalid latitude/longitude" });
+    }
+
+    // Amenities, furnishing, floors, parking etc. arrive with the other details
+    const { attributes, error: attributeError } = parseListingAttributes(body.postDetail?.create || body);
+    if (attributeError) {
+      return res.status(400).json({ message: attributeError });
+    }
     
     // Handle post detail creation
     let postDetailCreate;
     if (body.postDetail?.create) {
       // Client sent properly formatted nested create
-      postDetailCreate = body.postDetail;
+      postDetailCreate = {
+        create: { ...body.postDetail.create, ...attributes }
+      };
     } else {
       // Client sent flattened structure - recreate proper structure
       postDetailCreate = {
@@ -119,6 +311,7 @@ export const addPost = async (req, res) => {
           school: body.school ? parseInt(body.school) : null,
           bus: body.bus ? parseInt(body.bus) : null,
           restaurant: body.restaurant ? parseInt(body.restaurant) : null,
+          ...attributes
         }
       };
     }
@@ -133,44 +326,37 @@ export const addPost = async (req, res) => {
         city: body.city,
         bedroom: numericBedroom,
         bathroom: numericBathroom,
+        ...(coordinates && {
+          latitude: coordinates.latitude,
+          longitude: coordinates.longitude,
+          location: toGeoPoint(coordinates.latitude, coordinates.longitude)
+        }),
         type: body.type || 'rent',
         property: body.property || 'apartment',
+        status,
+        statusChangedAt: now,
+        ...(status === LISTING_STATUSES.ACTIVE && { expiresAt: expiryFrom(now) }),
         user: userConnection,
-        postDetail: postDetailCreate
+        postDetail: postDetailCreate,
+        // The first entry of the price timeline
+        priceHistory: { create: { price: numericPrice, changedById: tokenUserId } }
       },
       include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-            avatar: true,
-            createdAt: true
-          }
-        },
+        user: { select: OWNER_SELECT },
         postDetail: true
       }
     });
     
     // Transform response to include ownerInfo
-    const responsePost = {
-      ...newPost,
-      ownerInfo: {
-        id: newPost.user.id,
-        username: newPost.user.username,
-        email: newPost.user.email,
-        fullName: newPost.user.username,
-        avatar: newPost.user.avatar,
-        verified: false,
-        showContactInfo: true,
-        memberSince: newPost.user.createdAt,
-        location: `${newPost.city}`,
-        userType: 'standard'
-      }
-    };
+    const responsePost = toPostResponse(newPost);
 
-    console.log('✅ Post created successfully in DATABASE:', newPost.id);
+    console.log(`✅ Post created successfully in DATABASE (${status}):`, newPost.id);
     res.status(201).json(responsePost);
+
+    // Drafts alert saved searches once they are published
+    if (status === LISTING_STATUSES.ACTIVE) {
+      announceListing(newPost);
+    }
     
   } catch (err) {
     console.error('❌ Database error creating post:', err);
@@ -185,15 +371,8 @@ export const getPost = async (req, res) => {
       where: { id },
       include: {
         postDetail: true,
-        user: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-            avatar: true,
-            createdAt: true
-          },
-        },
+        user: { select: OWNER_SELECT },
+        priceHistory: { select: { price: true, previousPrice: true, createdAt: true }, orderBy: { createdAt: "asc" } },
       },
     });
 
@@ -201,22 +380,21 @@ export const getPost = async (req, res) => {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    // Transform to include ownerInfo
-    const transformedPost = {
-      ...post,
-      ownerInfo: {
-        id: post.user.id,
-        username: post.user.username,
-        email: post.user.email,
-        fullName: post.user.username,
-        avatar: post.user.avatar,
-        verified: false,
-        showContactInfo: true,
-        memberSince: post.user.createdAt,
-        location: `${post.city}`,
-        userType: 'standard'
-      }
-    };
+    if (!(await canViewPost(post, req.userId))) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    trackPostView(post, req);
+
+    // Price timeline for the chart, plus the "reduced by X%" badge when the
+    // latest change was a cut
+    const { priceHistory, ...rest } = post;
+    const timeline = priceTimeline(post, priceHistory);
+
+    // Transform to include ownerInfo and the caller's saved state
+    const [transformedPost] = await withSavedFlag([
+      { ...toPostResponse(rest), priceHistory: timeline, priceReduction: latestReduction(timeline) }
+    ], req.userId);
 
     res.status(200).json(transformedPost);
   } catch (err) {
@@ -231,19 +409,55 @@ export const updatePost = async (req, res) => {
   const body = req.body;
 
   try {
-    // First check if post exists and belongs to this user
+    // First check if post exists and the caller may change it
     const existingPost = await prisma.post.findUnique({
       where: { id },
-      select: { userId: true }
+      select: { userId: true, latitude: true, longitude: true, price: true }
     });
     
     if (!existingPost) {
       return res.status(404).json({ message: "Post not found" });
     }
     
-    if (existingPost.userId !== tokenUserId) {
+    // Admins can moderate any listing
+    if (existingPost.userId !== tokenUserId && req.userRole !== ROLES.ADMIN) {
       return res.status(403).json({ message: "Not authorized to update this post" });
     }
+
+    // Every price change is kept in PriceHistory
+    let newPrice;
+    if (body.price !== undefined && body.price !== null && body.price !== '') {
+      const { price, error } = parsePrice(body.price);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      newPrice = price;
+    }
+    const priceChanged = newPrice !== undefined && newPrice !== existingPost.price;
+
+    // Keep the GeoJSON location in sync when either coordinate changes
+    let coordinateData = {};
+    if (body.latitude !== undefined || body.longitude !== undefined) {
+      const latitude = body.latitude !== undefined ? body.latitude : existingPost.latitude;
+      const longitude = body.longitude !== undefined ? body.longitude : existingPost.longitude;
+      const coordinates = parseCoordinates(latitude, longitude);
+
+      if (coordinates) {
+        coordinateData = {
+          ...coordinates,
+          location: toGeoPoint(coordinates.latitude, coordinates.longitude)
+        };
+      } else if (latitude || longitude) {
+        return res.status(400).json({ message: "Invalid latitude/longitude" });
+      } else {
+        coordinateData = { latitude: null, longitude: null, location: null };
+      }
+    }
+
+    const { attributes, error: attributeError } = parseListingAttributes(body.postDetail);
+    if (attributeError) {
+      return res.status(400).json({ message: attributeError });
+    }
     
     // Handle post details update if provided
     if (body.postDetail) {
@@ -262,6 +476,7 @@ export const updatePost = async (req, res) => {
           school: postDetail.school ? parseInt(postDetail.school) : null,
           bus: postDetail.bus ? parseInt(postDetail.bus) : null,
           restaurant: postDetail.restaurant ? parseInt(postDetail.restaurant) : null,
+          ...attributes
         },
         create: {
           postId: id,
@@ -273,56 +488,59 @@ export const updatePost = async (req, res) => {
           school: postDetail.school ? parseInt(postDetail.school) : null,
           bus: postDetail.bus ? parseInt(postDetail.bus) : null,
           restaurant: postDetail.restaurant ? parseInt(postDetail.restaurant) : null,
+          ...attributes
         }
       });
     }
 
-    // Update main post
-    const updatedPost = await prisma.post.update({
+    // Update main post, recording the price change alongside it
+    const postUpdate = prisma.post.update({
       where: { id },
       data: {
         title: body.title,
-        price: body.price ? parseInt(body.price) : undefined,
+        price: newPrice,
         images: body.images,
         address: body.address,
         city: body.city,
         bedroom: body.bedroom ? parseInt(body.bedroom) : undefined,
         bathroom: body.bathroom ? parseFloat(body.bathroom) : undefined,
-        latitude: body.latitude,
-        longitude: body.longitude,
+        ...coordinateData,
         type: body.type,
         property: body.property,
       },
       include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-            avatar: true,
-            createdAt: true
-          }
-        },
+        user: { select: OWNER_SELECT },
         postDetail: true
       }
     });
+    const [updatedPost] = priceChanged
+      ? await prisma.$transaction([
+          postUpdate,
+          prisma.priceHistory.create({
+            data: { postId: id, price: newPrice, previousPrice: existingPost.price, changedById: tokenUserId }
+          })
+        ])
+      : [await postUpdate];
 
     // Transform to include ownerInfo
-    const transformedPost = {
-      ...updatedPost,
-      ownerInfo: {
-        id: updatedPost.user.id,
-        username: updatedPost.user.username,
-        email: updatedPost.user.email,
-        fullName: updatedPost.user.username,
-        avatar: updatedPost.user.avatar,
-        verified: false,
-        showContactInfo: true,
-        memberSince: updatedPost.user.createdAt,
-        location: `${updatedPost.city}`,
-        userType: 'standard'
-      }
-    };
+    const transformedPost = toPostResponse(updatedPost);
+
+    // Savers hear about cuts to listings they can still see
+    if (priceChanged && newPrice < existingPost.price && !isHiddenFromPublic(updatedPost)) {
+      notifyPriceDrop(updatedPost, existingPost.price)
+        .then((count) => count && console.log(`📉 Notified ${count} savers of post ${id} about a price drop`))
+        .catch((err) => console.error(`❌ Error notifying savers of post ${id} about a price drop:`, err));
+    }
+
+    if (existingPost.userId !== tokenUserId) {
+      recordAudit({
+        actorId: tokenUserId,
+        action: AUDIT_ACTIONS.POST_UPDATED,
+        targetType: "post",
+        targetId: id,
+        details: { fields: Object.keys(body) }
+      });
+    }
     
     res.status(200).json(transformedPost);
   } catch (err) {
@@ -331,22 +549,206 @@ export const updatePost = async (req, res) => {
   }
 };
 
+// GET /api/posts/:id/similar?limit=6 responds with { items }: active
+// listings of the same type, nearby and in a close price band, best match
+// first. Each item has a similarity score from 0 to 10.
+export const getSimilarPosts = async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SIMILAR_LIMIT, 1), MAX_SIMILAR_LIMIT);
+
+  try {
+    const post = await prisma.post.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true, type: true, property: true, price: true, bedroom: true, city: true, latitude: true, longitude: true,
+        status: true, suspendedAt: true, userId: true
+      }
+    });
+    // Hidden listings don't exist for anyone who couldn't open them
+    if (!post || !(await canViewPost(post, req.userId))) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const hasCoordinates = post.latitude != null && post.longitude != null;
+    const distances = hasCoordinates
+      ? await findPostDistances({ near: { latitude: post.latitude, longitude: post.longitude, radiusKm: SIMILAR_RADIUS_KM } })
+      : new Map();
+
+    const candidates = await prisma.post.findMany({
+      where: similarCandidateWhere(post, [...distances.keys()]),
+      select: LISTING_SELECT,
+      orderBy: { createdAt: "desc" },
+      take: SIMILAR_CANDIDATE_LIMIT
+    });
+
+    const ranked = candidates
+      .map((candidate) => ({
+        ...candidate,
+        ...(distances.has(candidate.id) && { distanceKm: distances.get(candidate.id) }),
+        similarity: scoreSimilarity(post, candidate, distances.get(candidate.id))
+      }))
+      .sort((a, b) => b.similarity - a.similarity || b.createdAt - a.createdAt)
+      .slice(0, limit);
+
+    res.status(200).json({ items: await withSavedFlag(ranked, req.userId) });
+  } catch (err) {
+    console.error("❌ Error finding similar posts:", err);
+    res.status(500).json({ message: "Failed to find similar listings" });
+  }
+};
+
+// GET /api/posts/:id/stats?days=30 for the owner (or an admin): all-time
+// views, saves and inquiries, plus a daily series for the last `days` days
+export const getPostStats = async (req, res) => {
+  let days;
+  try {
+    days = parseStatsDays(req.query.days);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  try {
+    const post = await prisma.post.findUnique({ where: { id: req.params.id }, select: { id: true, userId: true } });
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    if (post.userId !== req.userId && req.userRole !== ROLES.ADMIN) {
+      return res.status(403).json({ message: "Only the owner can see listing stats" });
+    }
+
+    const stats = (await getPostsStats([post.id], days)).get(post.id);
+    res.status(200).json({ postId: post.id, days, ...stats });
+  } catch (err) {
+    console.error("❌ Error loading post stats:", err);
+    res.status(500).json({ message: "Failed to load listing stats" });
+  }
+};
+
+// Loads a post for a lifecycle change by its owner or an admin. Sends the
+// 404/403 and returns null when the caller may not change it.
+const findManagedPost = async (req, res) => {
+  const post = await prisma.post.findUnique({
+    where: { id: req.params.id },
+    select: { id: true, type: true, userId: true, status: true }
+  });
+
+  if (!post) {
+    res.status(404).json({ message: "Post not found" });
+    return null;
+  }
+  if (post.userId !== req.userId && req.userRole !== ROLES.ADMIN) {
+    res.status(403).json({ message: "Not authorized to update this post" });
+    return null;
+  }
+  return post;
+};
+
+// Re-opening a rented, sold or expired listing takes up a quota slot again
+const reopenQuotaError = async (post, to) => {
+  if (OPEN_STATUSES.includes(statusOf(post)) || !OPEN_STATUSES.includes(to)) return null;
+
+  const owner = await prisma.user.findUnique({
+    where: { id: post.userId },
+    select: { role: true, agentVerifiedAt: true }
+  });
+  return listingQuotaError(owner, post.userId);
+};
+
+// PATCH /api/posts/:id/status { status }. Owners mark a listing under offer,
+// rented or sold instead of deleting it, so its conversations survive.
+export const updatePostStatus = async (req, res) => {
+  const to = req.body?.status;
+
+  try {
+    const post = await findManagedPost(req, res);
+    if (!post) return;
+
+    const error = transitionError(post, to);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const quotaError = await reopenQuotaError(post, to);
+    if (quotaError) {
+      return res.status(403).json(quotaError);
+    }
+
+    const updated = await prisma.post.update({
+      where: { id: post.id },
+      data: statusChangeData(to),
+      include: { user: { select: OWNER_SELECT }, postDetail: true }
+    });
+
+    if (post.userId !== req.userId) {
+      recordAudit({
+        actorId: req.userId,
+        action: AUDIT_ACTIONS.POST_UPDATED,
+        targetType: "post",
+        targetId: post.id,
+        details: { fields: ["status"], from: statusOf(post), to }
+      });
+    }
+
+    // A draft going live for the first time is news for saved searches
+    if (statusOf(post) === LISTING_STATUSES.DRAFT && to === LISTING_STATUSES.ACTIVE) {
+      announceListing(updated);
+    }
+
+    console.log(`🏷️ Post ${post.id} is now ${to} (was ${statusOf(post)})`);
+    res.status(200).json(toPostResponse(updated));
+  } catch (err) {
+    console.error("❌ Error updating post status:", err);
+    res.status(500).json({ message: "Failed to update listing status" });
+  }
+};
+
+// POST /api/posts/:id/renew starts a fresh expiry period for an active
+// listing, or brings an expired one back
+export const renewPost = async (req, res) => {
+  try {
+    const post = await findManagedPost(req, res);
+    if (!post) return;
+
+    const status = statusOf(post);
+    if (status !== LISTING_STATUSES.ACTIVE && status !== LISTING_STATUSES.EXPIRED) {
+      return res.status(400).json({ message: "Only active or expired listings can be renewed" });
+    }
+    const quotaError = await reopenQuotaError(post, LISTING_STATUSES.ACTIVE);
+    if (quotaError) {
+      return res.status(403).json(quotaError);
+    }
+
+    const updated = await prisma.post.update({
+      where: { id: post.id },
+      data: status === LISTING_STATUSES.EXPIRED
+        ? statusChangeData(LISTING_STATUSES.ACTIVE)
+        : { expiresAt: expiryFrom() },
+      include: { user: { select: OWNER_SELECT }, postDetail: true }
+    });
+
+    console.log(`🔁 Post ${post.id} renewed until ${updated.expiresAt.toISOString()}`);
+    res.status(200).json(toPostResponse(updated));
+  } catch (err) {
+    console.error("❌ Error renewing post:", err);
+    res.status(500).json({ message: "Failed to renew listing" });
+  }
+};
+
 export const deletePost = async (req, res) => {
   const id = req.params.id;
   const tokenUserId = req.userId;
 
   try {
-    // First check if post exists and belongs to this user
+    // First check if post exists and the caller may change it
     const existingPost = await prisma.post.findUnique({
       where: { id },
-      select: { userId: true }
+      select: { userId: true, title: true }
     });
     
     if (!existingPost) {
       return res.status(404).json({ message: "Post not found" });
     }
     
-    if (existingPost.userId !== tokenUserId) {
+    // Admins can moderate any listing
+    if (existingPost.userId !== tokenUserId && req.userRole !== ROLES.ADMIN) {
       return res.status(403).json({ message: "Not authorized to delete this post" });
     }
     
@@ -354,6 +756,16 @@ export const deletePost = async (req, res) => {
     await prisma.post.delete({
       where: { id }
     });
+
+    if (existingPost.userId !== tokenUserId) {
+      recordAudit({
+        actorId: tokenUserId,
+        action: AUDIT_ACTIONS.POST_DELETED,
+        targetType: "post",
+        targetId: id,
+        details: { title: existingPost.title, ownerId: existingPost.userId }
+      });
+    }
     
     res.status(200).json({ message: "Post deleted" });
   } catch (err) {
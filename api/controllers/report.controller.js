@@ -0,0 +1,52 @@
+import prisma from "../lib/prisma.js";
+import { parseReport, reportRetryAfter, checkReportTarget, REPORT_STATUSES } from "../utils/reports.js";
+
+// POST /api/reports { targetType, targetId, reason, details }
+export const createReport = async (req, res) => {
+  const { report, error } = parseReport(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const retryAfter = await reportRetryAfter(req.userId);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "You have sent a lot of reports recently. Please try again later.",
+        code: "REPORT_RATE_LIMITED",
+        retryAfter,
+      });
+    }
+
+    const target = await checkReportTarget(report, req.userId);
+    if (target.error) {
+      return res.status(target.status).json({ message: target.error });
+    }
+
+    // One open report per reporter and target is enough for the queue
+    const existing = await prisma.report.findFirst({
+      where: {
+        reporterId: req.userId,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        status: REPORT_STATUSES.OPEN,
+      },
+      select: { id: true },
+    });
+    if (existing) {
+      return res.status(409).json({ message: "You have already reported this. Our team is reviewing it." });
+    }
+
+    const created = await prisma.report.create({
+      data: { ...report, reporterId: req.userId },
+      select: { id: true, targetType: true, targetId: true, reason: true, status: true, createdAt: true },
+    });
+
+    console.log(`🚩 ${req.userId} reported ${report.targetType} ${report.targetId} (${report.reason})`);
+    res.status(201).json(created);
+  } catch (err) {
+    console.error("❌ Error creating report:", err);
+    res.status(500).json({ message: "Failed to send report" });
+  }
+};
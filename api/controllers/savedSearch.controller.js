@@ -0,0 +1,130 @@
+import prisma from "../lib/prisma.js";
+
+const MAX_SAVED_SEARCHES = 20;
+const POST_TYPES = ["rent", "buy"];
+const PROPERTY_TYPES = ["apartment", "house", "condo", "land"];
+
+const toNumberOrNull = (value, parse) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = parse(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const STRING_FIELDS = ["name", "city", "type", "property"];
+
+// Turns the SearchFilter fields from the request body into SavedSearch data.
+// Returns { error } when the criteria are invalid.
+const parseSearchCriteria = (body = {}) => {
+  const notString = STRING_FIELDS.find(
+    (field) => body[field] !== undefined && body[field] !== null && typeof body[field] !== "string"
+  );
+  if (notString) {
+    return { error: `${notString} must be a string` };
+  }
+
+  const criteria = {
+    city: body.city?.trim() || null,
+    type: body.type || null,
+    property: body.property || null,
+    minPrice: toNumberOrNull(body.minPrice, parseFloat),
+    maxPrice: toNumberOrNull(body.maxPrice, parseFloat),
+    bedroom: toNumberOrNull(body.bedroom, (value) => parseInt(value, 10)),
+  };
+
+  if (criteria.type && !POST_TYPES.includes(criteria.type)) {
+    return { error: `type must be one of: ${POST_TYPES.join(", ")}` };
+  }
+  if (criteria.property && !PROPERTY_TYPES.includes(criteria.property)) {
+    return { error: `property must be one of: ${PROPERTY_TYPES.join(", ")}` };
+  }
+  if ([criteria.minPrice, criteria.maxPrice, criteria.bedroom].includes(undefined)) {
+    return { error: "minPrice, maxPrice and bedroom must be numbers" };
+  }
+  if (criteria.minPrice !== null && criteria.maxPrice !== null && criteria.minPrice > criteria.maxPrice) {
+    return { error: "minPrice cannot be greater than maxPrice" };
+  }
+  if (Object.values(criteria).every((value) => value === null)) {
+    return { error: "A saved search needs at least one filter" };
+  }
+
+  return { criteria };
+};
+
+// Default name built from the criteria, e.g. "apartment for rent in Boston"
+const describeSearch = (criteria) => {
+  const parts = [criteria.property || "property"];
+  if (criteria.type) parts.push(criteria.type === "rent" ? "for rent" : "for sale");
+  if (criteria.city) parts.push(`in ${criteria.city}`);
+  return parts.join(" ");
+};
+
+export const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await prisma.savedSearch.findMany({
+      where: { userId: req.userId },
+      orderBy: { createdAt: "desc" },
+    });
+    res.status(200).json(searches);
+  } catch (err) {
+    console.error("❌ Error getting saved searches:", err);
+    res.status(500).json({ message: "Failed to get saved searches" });
+  }
+};
+
+export const createSavedSearch = async (req, res) => {
+  const tokenUserId = req.userId;
+  const { criteria, error } = parseSearchCriteria(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const count = await prisma.savedSearch.count({ where: { userId: tokenUserId } });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        message: `You can keep up to ${MAX_SAVED_SEARCHES} saved searches`,
+      });
+    }
+
+    const search = await prisma.savedSearch.create({
+      data: {
+        ...criteria,
+        name: req.body.name?.trim() || describeSearch(criteria),
+        userId: tokenUserId,
+      },
+    });
+
+    console.log("🔔 Saved search created:", search.id);
+    res.status(201).json(search);
+  } catch (err) {
+    console.error("❌ Error creating saved search:", err);
+    res.status(500).json({ message: "Failed to create saved search" });
+  }
+};
+
+export const deleteSavedSearch = async (req, res) => {
+  const id = req.params.id;
+  const tokenUserId = req.userId;
+
+  try {
+    const search = await prisma.savedSearch.findUnique({
+      where: { id },
+      select: { userId: true },
+    });
+
+    if (!search) {
+      return res.status(404).json({ message: "Saved search not found" });
+    }
+
+    if (search.userId !== tokenUserId) {
+      return res.status(403).json({ message: "Not authorized to delete this saved search" });
+    }
+
+    await prisma.savedSearch.delete({ where: { id } });
+    res.status(200).json({ message: "Saved search deleted" });
+  } catch (err) {
+    console.error("❌ Error deleting saved search:", err);
+    res.status(500).json({ message: "Failed to delete saved search" });
+  }
+};
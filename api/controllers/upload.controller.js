@@ -0,0 +1,51 @@
+import crypto from "crypto";
+import { getStorage, absoluteUrl } from "../utils/storage.js";
+import { processImage } from "../utils/images.js";
+
+// POST /api/uploads - multipart "images" fields. Each image is stored as
+// thumbnail, medium and large JPEGs without EXIF data; `url` is the large one.
+export const uploadImages = async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ message: 'No images uploaded. Send them in the "images" field.' });
+  }
+
+  // Process everything before storing anything so a bad file doesn't leave
+  // half an upload behind
+  const processed = [];
+  for (const file of files) {
+    try {
+      processed.push({ file, variants: await processImage(file.buffer) });
+    } catch (err) {
+      console.warn(`⚠️ Rejected upload ${file.originalname}:`, err.message);
+      return res.status(400).json({ message: `${file.originalname} is not a valid image` });
+    }
+  }
+
+  try {
+    const storage = await getStorage();
+
+    const uploads = await Promise.all(processed.map(async ({ variants }) => {
+      const id = crypto.randomUUID();
+      const urls = {};
+      for (const [name, variant] of Object.entries(variants)) {
+        const url = await storage.put(`images/${req.userId}/${id}/${name}.jpg`, variant.buffer, "image/jpeg");
+        urls[name] = absoluteUrl(req, url);
+      }
+
+      return {
+        id,
+        url: urls.large,
+        width: variants.large.width,
+        height: variants.large.height,
+        variants: urls
+      };
+    }));
+
+    console.log(`📸 Stored ${uploads.length} image(s) for user ${req.userId}`);
+    res.status(201).json({ uploads });
+  } catch (err) {
+    console.error("❌ Failed to store uploads:", err);
+    res.status(500).json({ message: "Failed to store images" });
+  }
+};
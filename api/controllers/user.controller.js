@@ -1,5 +1,13 @@
 import prisma from "../lib/prisma.js";
 import bcrypt from "bcrypt";
+import { notify, NOTIFICATION_TYPES } from "../utils/notifications.js";
+import { parseUserProfile, toProfileResponse, toPublicUser, PUBLIC_USER_SELECT } from "../utils/userProfile.js";
+import { ROLES, roleOf, isVerifiedAgent, listingQuotaFor } from "../utils/roles.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+import { getPostsStats, trackPostStat } from "../utils/postStats.js";
+import { publicListingWhere } from "../utils/listingStatus.js";
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
 
 export const getUsers = async (req, res) => {
   try {
@@ -16,8 +24,15 @@ export const getUser = async (req, res) => {
   try {
     const foundUser = await prisma.user.findUnique({
       where: { id: userId },
+      select: PUBLIC_USER_SELECT,
     });
-    res.status(200).json(foundUser);
+    if (!foundUser) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Contact details follow the user's privacy preferences; moderation
+    // details stay behind the admin endpoints
+    res.status(200).json(toPublicUser(foundUser));
   } catch (error) {
     console.error("Error getting user:", error);
     res.status(500).json({ msg: "Oops! Couldn't get user." });
@@ -27,9 +42,10 @@ export const getUser = async (req, res) => {
 export const updateUser = async (req, res) => {
   const userId = req.params.id;
   const authUserId = req.userId;
-  const { password, avatar, ...restInputs } = req.body;
+  const { password, avatar } = req.body;
 
-  if (userId !== authUserId) {
+  // Admins can edit any account
+  if (userId !== authUserId && req.userRole !== ROLES.ADMIN) {
     return res.status(403).json({ msg: "Nope, not allowed!" });
   }
 
@@ -39,10 +55,10 @@ export const updateUser = async (req, res) => {
       hashedPassword = await bcrypt.hash(password, 10);
     }
 
+    // Profile fields go through PUT /users/profile, which validates them
     const changedUser = await prisma.user.update({
       where: { id: userId },
       data: {
-        ...restInputs,
         ...(hashedPassword && { password: hashedPassword }),
         ...(avatar && { avatar }),
       },
@@ -50,6 +66,16 @@ export const updateUser = async (req, res) => {
 
     const { password: pw, ...userWithoutPw } = changedUser;
 
+    if (userId !== authUserId) {
+      recordAudit({
+        actorId: authUserId,
+        action: AUDIT_ACTIONS.USER_UPDATED,
+        targetType: "user",
+        targetId: userId,
+        details: { fields: [password && "password", avatar && "avatar"].filter(Boolean) },
+      });
+    }
+
     res.status(200).json(userWithoutPw);
   } catch (error) {
     console.error("Update failed:", error);
@@ -61,75 +87,229 @@ export const deleteUser = async (req, res) => {
   const userId = req.params.id;
   const authUserId = req.userId;
 
-  if (userId !== authUserId) {
+  if (userId !== authUserId && req.userRole !== ROLES.ADMIN) {
     return res.status(403).json({ msg: "Not your account!" });
   }
 
   try {
-    await prisma.user.delete({
+    const removed = await prisma.user.delete({
       where: { id: userId },
+      select: { username: true, email: true },
     });
+
+    if (userId !== authUserId) {
+      recordAudit({
+        actorId: authUserId,
+        action: AUDIT_ACTIONS.USER_DELETED,
+        targetType: "user",
+        targetId: userId,
+        details: removed,
+      });
+    }
     res.status(200).json({ msg: "User account removed." });
   } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "User not found" });
+    }
     console.error("Delete error:", error);
     res.status(500).json({ msg: "Couldn't remove user." });
   }
 };
 
+// Admin only: change a user's role and/or verify them as an agent.
+// Body: { role?, agentVerified? }
+export const updateUserRole = async (req, res) => {
+  const userId = req.params.id;
+  if (!OBJECT_ID_PATTERN.test(userId)) {
+    return res.status(400).json({ message: "Invalid id" });
+  }
+  const { role, agentVerified } = req.body;
+
+  if (role !== undefined && !Object.values(ROLES).includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${Object.values(ROLES).join(", ")}` });
+  }
+  if (agentVerified !== undefined && typeof agentVerified !== "boolean") {
+    return res.status(400).json({ message: "agentVerified must be true or false" });
+  }
+  // An admin demoting themselves could leave nobody able to undo it
+  if (userId === req.userId && role !== undefined && role !== ROLES.ADMIN) {
+    return res.status(400).json({ message: "You cannot remove your own admin role" });
+  }
+
+  try {
+    const existing = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true, agentVerifiedAt: true },
+    });
+    if (!existing) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const nextRole = role ?? roleOf(existing);
+    if (agentVerified && nextRole !== ROLES.AGENT) {
+      return res.status(400).json({ message: "Only agent accounts can be verified as agents" });
+    }
+
+    // Leaving the agent role drops the verification with it
+    let agentVerifiedAt = existing.agentVerifiedAt;
+    if (nextRole !== ROLES.AGENT || agentVerified === false) {
+      agentVerifiedAt = null;
+    } else if (agentVerified && !agentVerifiedAt) {
+      agentVerifiedAt = new Date();
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { role: nextRole, agentVerifiedAt },
+      select: { id: true, username: true, role: true, agentVerifiedAt: true },
+    });
+
+    recordAudit({
+      actorId: req.userId,
+      action: AUDIT_ACTIONS.USER_ROLE_CHANGED,
+      targetType: "user",
+      targetId: userId,
+      details: {
+        from: { role: roleOf(existing), agentVerified: isVerifiedAgent(existing) },
+        to: { role: user.role, agentVerified: isVerifiedAgent(user) },
+      },
+    });
+
+    console.log(`🛡️ ${req.userId} set ${user.username} to ${user.role}${user.agentVerifiedAt ? " (verified agent)" : ""}`);
+    res.status(200).json({
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      agentVerified: isVerifiedAgent(user),
+      listingQuota: listingQuotaFor(user),
+    });
+  } catch (error) {
+    console.error("Role update failed:", error);
+    res.status(500).json({ message: "Failed to update role" });
+  }
+};
+
 export const savePost = async (req, res) => {
   const postId = req.body.postId;
   const tokenUserId = req.userId;
 
+  if (!postId) {
+    return res.status(400).json({ message: "postId is required" });
+  }
+  if (typeof postId !== "string" || !OBJECT_ID_PATTERN.test(postId)) {
+    return res.status(400).json({ message: "Invalid postId" });
+  }
+
   try {
-    // Check if post is already saved
-    const existingSavedPost = await prisma.savedPost.findUnique({
-      where: {
-        userId_postId: {
-          userId: tokenUserId,
-          postId: postId,
-        },
-      },
+    // Only listings the public can see may be saved, the same ones search shows
+    const post = await prisma.post.findFirst({
+      where: { id: postId, ...publicListingWhere() },
+      select: { id: true, title: true, userId: true }
     });
 
-    if (existingSavedPost) {
-      // Remove from saved posts
-      await prisma.savedPost.delete({
-        where: {
-          userId_postId: {
-            userId: tokenUserId,
-            postId: postId,
-          },
-        },
-      });
-      res.status(200).json({ message: "Post removed from saved list" });
-    } else {
-      // Add to saved posts
-      await prisma.savedPost.create({
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Saving twice is a no-op thanks to the unique (userId, postId) pair,
+    // and only the first save notifies the owner
+    const created = await prisma.savedPost
+      .create({
         data: {
           userId: tokenUserId,
           postId: postId,
         },
+      })
+      .catch((err) => {
+        if (err.code === "P2002") return null;
+        throw err;
+      });
+
+    if (created) {
+      trackPostStat(postId, "saves");
+      notify({
+        userId: post.userId,
+        type: NOTIFICATION_TYPES.POST_SAVED,
+        message: `Someone saved your listing: ${post.title}`,
+        actorId: tokenUserId,
+        postId: postId,
       });
-      res.status(200).json({ message: "Post saved successfully" });
     }
+
+    res.status(200).json({ message: "Post saved successfully", postId, saved: true });
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to save post" });
   }
 };
 
+export const unsavePost = async (req, res) => {
+  const postId = req.params.postId;
+  const tokenUserId = req.userId;
+
+  try {
+    await prisma.savedPost.deleteMany({
+      where: {
+        userId: tokenUserId,
+        postId: postId,
+      },
+    });
+
+    res.status(200).json({ message: "Post removed from saved list", postId, saved: false });
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ message: "Failed to remove saved post" });
+  }
+};
+
+const PROFILE_STATS_DAYS = 14;
+
+// GET /api/users/stats: the summary cards at the top of the profile page
+export const getUserStats = async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const [totalPosts, views, savedPosts, totalMessages] = await Promise.all([
+      prisma.post.count({ where: { userId } }),
+      prisma.postDailyStat.aggregate({
+        where: { post: { is: { userId } } },
+        _sum: { views: true },
+      }),
+      prisma.savedPost.count({ where: { userId } }),
+      // Messages other people sent to this user
+      prisma.message.count({
+        where: {
+          senderId: { not: userId },
+          conversation: { is: { OR: [{ user1Id: userId }, { user2Id: userId }] } },
+        },
+      }),
+    ]);
+
+    res.status(200).json({ totalPosts, totalViews: views._sum.views || 0, savedPosts, totalMessages });
+  } catch (error) {
+    console.error("❌ Error loading user stats:", error);
+    res.status(500).json({ message: "Failed to load stats" });
+  }
+};
+
 export const profilePosts = async (req, res) => {
   const authUserId = req.userId;
   try {
-    const myPosts = await prisma.post.findMany({
+    const posts = await prisma.post.findMany({
       where: { userId: authUserId },
+      orderBy: { createdAt: "desc" },
     });
     const savedList = await prisma.savedPost.findMany({
       where: { userId: authUserId },
       include: { post: true },
     });
 
-    const savedPosts = savedList.map((entry) => entry.post);
+    // Each of the owner's listings carries its totals and a two-week series
+    // for the sparkline on the profile page
+    const stats = await getPostsStats(posts.map((post) => post.id), PROFILE_STATS_DAYS);
+    const myPosts = posts.map((post) => ({ ...post, stats: stats.get(post.id) }));
+
+    const savedPosts = savedList.map((entry) => entry.post).filter((post) => !post.suspendedAt);
     res.status(200).json({ myPosts, savedPosts });
   } catch (error) {
     console.error("Profile posts error:", error);
@@ -137,28 +317,13 @@ export const profilePosts = async (req, res) => {
   }
 };
 
-export const getNotificationNumber = async (req, res) => {
-  const authUserId = req.userId;
-  try {
-    const notifCount = await prisma.chat.count({
-      where: {
-        userIDs: { hasSome: [authUserId] },
-        NOT: { seenBy: { hasSome: [authUserId] } },
-      },
-    });
-    res.status(200).json(notifCount);
-  } catch (error) {
-    console.error("Notification count error:", error);
-    res.status(500).json({ msg: "Couldn't get notifications." });
-  }
-};
-
 export const getSavedPosts = async (req, res) => {
   const tokenUserId = req.userId;
 
   try {
     const savedPosts = await prisma.savedPost.findMany({
       where: { userId: tokenUserId },
+      orderBy: { createdAt: "desc" },
       include: {
         post: {
           include: {
@@ -174,7 +339,12 @@ export const getSavedPosts = async (req, res) => {
       },
     });
 
-    const posts = savedPosts.map((savedPost) => savedPost.post);
+    // Saved listings that were suspended since disappear until reinstated
+    const posts = savedPosts.filter((savedPost) => !savedPost.post.suspendedAt).map((savedPost) => ({
+      ...savedPost.post,
+      isSaved: true,
+      savedAt: savedPost.createdAt,
+    }));
     res.status(200).json(posts);
   } catch (err) {
     console.log(err);
@@ -188,37 +358,47 @@ export const getProfile = async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: tokenUserId },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        avatar: true,
-        createdAt: true,
-      },
+      include: { profile: true, preferences: true },
     });
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.status(200).json(user);
+    res.status(200).json(toProfileResponse(user));
   } catch (err) {
     console.log(err);
     res.status(500).json({ message: "Failed to get profile" });
   }
 };
 
-// Add or update the getNotifications function
-export const getNotifications = async (req, res) => {
+// Partial update: only the fields sent are changed
+export const updateProfile = async (req, res) => {
+  const tokenUserId = req.userId;
+
+  const { fullName, profile, preferences, error } = parseUserProfile(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
   try {
-    const userId = req.userId;
-    console.log("🔔 Getting notifications for user:", userId);
+    const user = await prisma.user.update({
+      where: { id: tokenUserId },
+      data: {
+        ...(fullName !== undefined && { fullName }),
+        profile: { upsert: { create: profile, update: profile } },
+        preferences: { upsert: { create: preferences, update: preferences } },
+      },
+      include: { profile: true, preferences: true },
+    });
 
-    // For now, just return a static number
-    // In the future, you can query your database for actual notifications
-    res.status(200).json(3);
-  } catch (error) {
-    console.error("❌ Error getting notifications:", error);
-    res.status(500).json({ message: "Failed to get notifications" });
+    console.log('✅ Profile updated for user:', tokenUserId);
+    res.status(200).json(toProfileResponse(user));
+  } catch (err) {
+    if (err.code === "P2025") {
+      return res.status(404).json({ message: "User not found" });
+    }
+    console.log(err);
+    res.status(500).json({ message: "Failed to update profile" });
   }
 };
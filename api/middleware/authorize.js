@@ -0,0 +1,57 @@
+import prisma from '../lib/prisma.js';
+import { roleOf } from '../utils/roles.js';
+
+// Roles are read from the database rather than the access token, so a
+// promotion, demotion or suspension applies on the caller's next request.
+// Both middlewares must run after verifyToken.
+const findCaller = (userId) =>
+  prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true, suspendedAt: true }
+  });
+
+// Sends the 401/403 for a caller that is gone or suspended
+const rejectCaller = (user, res) => {
+  if (!user) {
+    res.status(401).json({ message: 'User no longer exists' });
+    return true;
+  }
+  if (user.suspendedAt) {
+    res.status(403).json({ message: 'This account has been suspended', code: 'ACCOUNT_SUSPENDED' });
+    return true;
+  }
+  return false;
+};
+
+// Sets req.userRole for controllers that allow owners or moderators
+export const loadRole = async (req, res, next) => {
+  try {
+    const user = await findCaller(req.userId);
+    if (rejectCaller(user, res)) return;
+
+    req.userRole = roleOf(user);
+    next();
+  } catch (error) {
+    console.error('❌ Failed to load user role:', error);
+    res.status(500).json({ message: 'Failed to check permissions' });
+  }
+};
+
+// requireRole('admin') or requireRole('agent', 'admin')
+export const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await findCaller(req.userId);
+    if (rejectCaller(user, res)) return;
+
+    const role = roleOf(user);
+    if (!roles.includes(role)) {
+      console.log(`⛔ ${req.userId} (${role}) needs one of: ${roles.join(', ')}`);
+      return res.status(403).json({ message: 'You do not have permission to do that' });
+    }
+    req.userRole = role;
+    next();
+  } catch (error) {
+    console.error('❌ Failed to load user role:', error);
+    res.status(500).json({ message: 'Failed to check permissions' });
+  }
+};
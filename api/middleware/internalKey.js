@@ -0,0 +1,19 @@
+import { timingSafeEqual } from 'crypto';
+
+// Guards /api/internal routes, which only the socket server calls. It sends
+// the shared INTERNAL_API_KEY in the x-internal-key header.
+export const requireInternalKey = (req, res, next) => {
+  const expected = process.env.INTERNAL_API_KEY;
+  const received = req.headers['x-internal-key'];
+
+  const valid = Boolean(expected) &&
+    typeof received === 'string' &&
+    Buffer.byteLength(received) === Buffer.byteLength(expected) &&
+    timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+  if (!valid) {
+    console.warn('⚠️ Rejected internal request with a missing or invalid key');
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  next();
+};
@@ -0,0 +1,73 @@
+import multer from 'multer';
+import { ACCEPTED_IMAGE_TYPES } from '../utils/images.js';
+import {
+  ACCEPTED_ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  MAX_ATTACHMENT_SIZE
+} from '../utils/messageAttachments.js';
+
+export const MAX_UPLOAD_FILES = 10;
+export const MAX_UPLOAD_FILE_SIZE = 15 * 1024 * 1024; // 15MB
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each image must be smaller than ${MAX_UPLOAD_FILE_SIZE / 1024 / 1024}MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_UPLOAD_FILES} images at a time`,
+  LIMIT_UNEXPECTED_FILE: 'Images must be sent in the "images" field'
+};
+
+// Files are kept in memory only long enough to be resized and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_FILE_SIZE, files: MAX_UPLOAD_FILES },
+  fileFilter: (req, file, callback) => {
+    if (!ACCEPTED_IMAGE_TYPES.includes(file.mimetype)) {
+      return callback(new Error(`${file.originalname} is not a supported image type`));
+    }
+    callback(null, true);
+  }
+});
+
+// Parses multipart "images" fields into req.files, answering 400 on bad input
+export const receiveImages = (req, res, next) => {
+  upload.array('images', MAX_UPLOAD_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: LIMIT_MESSAGES[err.code] || err.message });
+    }
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+const ATTACHMENT_LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each attachment must be smaller than ${MAX_ATTACHMENT_SIZE / 1024 / 1024}MB`,
+  LIMIT_FILE_COUNT: `Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files to a message`,
+  LIMIT_UNEXPECTED_FILE: 'Attachments must be sent in the "files" field'
+};
+
+// Chat attachments: photos and PDFs
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_ATTACHMENTS_PER_MESSAGE },
+  fileFilter: (req, file, callback) => {
+    if (!ACCEPTED_ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return callback(new Error(`${file.originalname} must be a photo or a PDF`));
+    }
+    callback(null, true);
+  }
+});
+
+// Parses multipart "files" fields into req.files (other fields into
+// req.body), answering 400 on bad input
+export const receiveAttachments = (req, res, next) => {
+  attachmentUpload.array('files', MAX_ATTACHMENTS_PER_MESSAGE)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: ATTACHMENT_LIMIT_MESSAGES[err.code] || err.message });
+    }
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
@@ -3,113 +3,65 @@ import * as dotenv from 'dotenv';
 
 dotenv.config();
 
+// Access tokens arrive as "Authorization: Bearer <token>" from the SPA or as
+// the httpOnly "token" cookie set at login; the header wins if both are sent
+export const readAccessToken = (req) => {
+  const [scheme, token] = req.headers.authorization?.split(' ') || [];
+  if (scheme === 'Bearer' && token) return token;
+  return req.cookies?.token || null;
+};
+
+const userIdFromPayload = (payload) => payload.id || payload._id || payload.userId;
+
 export const verifyToken = (req, res, next) => {
+  const token = readAccessToken(req);
+  if (!token) {
+    console.error('❌ No token provided');
+    return res.status(401).json({ message: 'Access denied. No token provided.' });
+  }
+
   try {
-    // Log the authorization header for debugging
-    console.log('🔑 Authorization Header:', req.headers.authorization);
-    
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      console.error('❌ No token provided');
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
-    }
-    
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
-      console.log('✅ Token verified, decoded payload:', decoded);
-      
-      // Set the user information in the request object
-      req.user = decoded;
-      
-      // Ensure the user ID is set correctly
-      if (!req.user.id) {
-        // Try to find id from possible field names
-        if (req.user._id) req.user.id = req.user._id;
-        else if (req.user.userId) req.user.id = req.user.userId;
-        
-        if (!req.user.id) {
-          console.error('❌ User ID not found in token payload');
-          return res.status(400).json({ message: 'Invalid token format: user ID missing' });
-        }
-      }
-      
-      console.log('👤 User ID extracted from token:', req.user.id);
-      next();
-    } catch (error) {
-      console.error('❌ Token verification failed:', error.message);
-      return res.status(400).json({ message: 'Invalid token.', error: error.message });
+    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    const userId = userIdFromPayload(decoded);
+
+    if (!userId) {
+      console.error('❌ User ID not found in token payload');
+      return res.status(401).json({ message: 'Invalid token format: user ID missing' });
     }
+
+    req.user = { ...decoded, id: userId };
+    // Controllers read the caller's id from req.userId
+    req.userId = userId;
+    req.sessionId = decoded.sid || null;
+
+    console.log('👤 User ID extracted from token:', userId);
+    next();
   } catch (error) {
-    console.error('❌ Unexpected error in verifyToken middleware:', error);
-    return res.status(500).json({ message: 'Internal server error during authentication' });
+    console.error('❌ Token verification failed:', error.message);
+    // The client refreshes and retries on TOKEN_EXPIRED; anything else needs a new login
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ message: 'Token expired.', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(401).json({ message: 'Invalid token.', code: 'TOKEN_INVALID' });
   }
 };
 
-// In the handleSubmit function:
-const handleSubmit = async (e) => {
-  e.preventDefault();
-  
-  if (!isAuthenticated || !user) {
-    alert('Please login to create a post');
-    navigate('/login');
-    return;
+// Like verifyToken, but lets anonymous requests through. Used on public routes
+// that personalise their response (e.g. isSaved) when a token is present.
+export const optionalAuth = (req, res, next) => {
+  const token = readAccessToken(req);
+  if (!token) {
+    return next();
   }
 
-  setLoading(true);
-
   try {
-    // Simple validation
-    if (!formData.title || !formData.price || !formData.address || !formData.city) {
-      alert('Please fill in all required fields');
-      setLoading(false);
-      return;
-    }
-
-    console.log('📝 Submitting post...');
-    
-    // Format the data properly for the API
-    const postData = {
-      title: formData.title,
-      price: parseInt(formData.price),
-      address: formData.address,
-      city: formData.city,
-      bedroom: parseInt(formData.bedroom) || 0,
-      bathroom: parseFloat(formData.bathroom) || 0,
-      latitude: formData.latitude || null,
-      longitude: formData.longitude || null,
-      type: formData.type,
-      property: formData.property,
-      images: formData.images,
-      
-      // Format post details as expected by the API
-      postDetail: {
-        desc: postDetail.desc || '',
-        utilities: postDetail.utilities || '',
-        pet: postDetail.pet || '',
-        income: postDetail.income || '',
-        size: postDetail.size ? parseInt(postDetail.size) : null,
-        school: postDetail.school ? parseInt(postDetail.school) : null,
-        bus: postDetail.bus ? parseInt(postDetail.bus) : null,
-        restaurant: postDetail.restaurant ? parseInt(postDetail.restaurant) : null,
-      }
-    };
-    
-    console.log('📤 Sending post data:', postData);
-    
-    // Call the API to create the post
-    const response = await createPost(postData);
-    console.log('✅ Post created successfully:', response);
-    
-    // Clear the form and show success message
-    resetForm();
-    alert('Post created successfully!');
-    
-    // Navigate to the posts page
-    navigate('/posts');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    req.user = decoded;
+    req.userId = userIdFromPayload(decoded);
+    req.sessionId = decoded.sid || null;
   } catch (error) {
-    console.error('❌ Error creating post:', error);
-    alert('Failed to create post: ' + (error.message || 'Unknown error'));
-  } finally {
-    setLoading(false);
+    console.log('⚠️ Ignoring invalid token on public route:', error.message);
   }
+
+  next();
 };
@@ -1,6 +1,6 @@
-import { PrismaClient } from '@prisma/client';
-
-const prisma = new PrismaClient();
+import prisma from '../lib/prisma.js';
+import { ensureGeoIndex } from '../utils/geo.js';
+import { ensureSearchIndexes } from '../utils/search.js';
 
 async function main() {
   // Create test users
@@ -35,8 +35,9 @@ async function main() {
       city: 'New York',
       bedroom: 2,
       bathroom: 2,
-      latitude: '40.7128',
-      longitude: '-74.0060',
+      latitude: 40.7128,
+      longitude: -74.0060,
+      location: { type: 'Point', coordinates: [-74.0060, 40.7128] },
       type: 'rent',
       property: 'apartment',
       userId: user1.id,
@@ -67,8 +68,9 @@ async function main() {
       city: 'Los Angeles',
       bedroom: 4,
       bathroom: 3,
-      latitude: '34.0522',
-      longitude: '-118.2437',
+      latitude: 34.0522,
+      longitude: -118.2437,
+      location: { type: 'Point', coordinates: [-118.2437, 34.0522] },
       type: 'buy',
       property: 'house',
       userId: user2.id,
@@ -87,6 +89,10 @@ async function main() {
     }
   });
 
+  // Geo and text search need their indexes before the seeded posts are searchable
+  await ensureGeoIndex();
+  await ensureSearchIndexes();
+
   console.log('Database seeded successfully');
   console.log({ user1, user2, post1, post2 });
 }
@@ -0,0 +1,51 @@
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { requireRole } from "../middleware/authorize.js";
+import { ROLES } from "../utils/roles.js";
+import {
+  getAdminStats,
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  flagUser,
+  unflagUser,
+  deleteUser,
+  listPosts,
+  suspendPost,
+  unsuspendPost,
+  flagPost,
+  unflagPost,
+  deletePost,
+  getFlagged,
+  getAuditLog,
+  listReports,
+  closeReport
+} from "../controllers/admin.controller.js";
+
+const router = express.Router();
+
+// Everything here is for admins only
+router.use(verifyToken, requireRole(ROLES.ADMIN));
+
+router.get("/stats", getAdminStats);
+router.get("/flagged", getFlagged);
+router.get("/audit", getAuditLog);
+
+router.get("/reports", listReports);
+router.patch("/reports/:id", closeReport);
+
+router.get("/users", listUsers);
+router.post("/users/:id/suspend", suspendUser);
+router.delete("/users/:id/suspend", unsuspendUser);
+router.post("/users/:id/flag", flagUser);
+router.delete("/users/:id/flag", unflagUser);
+router.delete("/users/:id", deleteUser);
+
+router.get("/posts", listPosts);
+router.post("/posts/:id/suspend", suspendPost);
+router.delete("/posts/:id/suspend", unsuspendPost);
+router.post("/posts/:id/flag", flagPost);
+router.delete("/posts/:id/flag", unflagPost);
+router.delete("/posts/:id", deletePost);
+
+export default router;
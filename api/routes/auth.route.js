@@ -1,10 +1,29 @@
 import express from "express";
-import { login, logout, register } from "../controllers/auth.controller.js";
+import { verifyToken } from "../middleware/verifyToken.js";
+import {
+  login,
+  logout,
+  logoutAll,
+  refresh,
+  register,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} from "../controllers/auth.controller.js";
 
 const router = express.Router();
 
 router.post("/register", register);
 router.post("/login", login);
+router.post("/refresh", refresh);
 router.post("/logout", logout);
+router.post("/logout-all", verifyToken, logoutAll);
+
+// Emailed single-use links
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", verifyToken, resendVerification);
 
 export default router;
@@ -4,10 +4,13 @@ import {
   createConversation,
   getMessages,
   sendMessage,
+  sendAttachments,
+  downloadAttachment,
   markAsRead,
   deleteConversation,
 } from "../controllers/chat.controller.js";
 import { verifyToken } from "../middleware/verifyToken.js";
+import { receiveAttachments } from "../middleware/upload.js";
 
 const router = express.Router();
 
@@ -31,6 +34,12 @@ router.get("/:chatId/messages", getMessages);
 // Send a message in a conversation
 router.post("/:chatId/messages", sendMessage);
 
+// Send photos or PDFs as a message (multipart "files", optional "content")
+router.post("/:chatId/attachments", receiveAttachments, sendAttachments);
+
+// Download a PDF attachment (members of the conversation only)
+router.get("/:chatId/messages/:messageId/attachments/:index", downloadAttachment);
+
 // Mark a conversation as read
 router.put("/:chatId/read", markAsRead);
 
@@ -1,10 +1,16 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import jwt from 'jsonwebtoken';
+import { verifyToken } from '../middleware/verifyToken.js';
+import { requireRole } from '../middleware/authorize.js';
+import { ROLES } from '../utils/roles.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Diagnostics expose internals, so they share the admin console's check
+router.use(verifyToken, requireRole(ROLES.ADMIN));
+
 // Check database connectivity and get counts
 router.get('/db-stats', async (req, res) => {
   try {
@@ -0,0 +1,16 @@
+import express from "express";
+import { getUnreadMessages, getConversationMemberships } from "../controllers/chat.controller.js";
+import { requireInternalKey } from "../middleware/internalKey.js";
+
+// Service-to-service endpoints for the socket server
+const router = express.Router();
+
+router.use(requireInternalKey);
+
+// Messages a user has not read yet, delivered when their socket connects
+router.get("/users/:userId/unread-messages", getUnreadMessages);
+
+// Conversations a user belongs to, for joining conversation rooms
+router.get("/users/:userId/conversations", getConversationMemberships);
+
+export default router;
@@ -1,22 +1,37 @@
 import express from "express";
-import { verifyToken } from "../middleware/verifyToken.js";
+import { verifyToken, optionalAuth } from "../middleware/verifyToken.js";
+import { loadRole } from "../middleware/authorize.js";
 import { 
   getPosts, 
+  getPostFacets,
   getPost, 
   addPost, 
   updatePost, 
-  deletePost 
+  deletePost,
+  updatePostStatus,
+  renewPost,
+  getPostStats,
+  getSimilarPosts
 } from "../controllers/post.controller.js";
 
 const router = express.Router();
 
-// Public routes - no authentication required
-router.get("/", getPosts);
-router.get("/:id", getPost);
+// Public routes - a token is optional and only used to flag saved posts
+router.get("/", optionalAuth, getPosts);
+router.get("/facets", getPostFacets);
+router.get("/:id", optionalAuth, getPost);
+router.get("/:id/similar", optionalAuth, getSimilarPosts);
+// Views, saves and inquiries; owners and admins only
+router.get("/:id/stats", verifyToken, loadRole, getPostStats);
 
-// Protected routes - authentication required
+// Protected routes - authentication required; admins may edit or delete any post
 router.post("/", verifyToken, addPost);
-router.put("/:id", verifyToken, updatePost);
-router.delete("/:id", verifyToken, deletePost);
+router.put("/:id", verifyToken, loadRole, updatePost);
+router.delete("/:id", verifyToken, loadRole, deletePost);
+
+// Lifecycle: under offer, rented, sold, back to active, and renewing before
+// or after expiry
+router.patch("/:id/status", verifyToken, loadRole, updatePostStatus);
+router.post("/:id/renew", verifyToken, loadRole, renewPost);
 
 export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { loadRole } from "../middleware/authorize.js";
+import { createReport } from "../controllers/report.controller.js";
+
+const router = express.Router();
+
+// loadRole turns away suspended accounts. Reviewing reports lives under
+// /api/admin/reports.
+router.post("/", verifyToken, loadRole, createReport);
+
+export default router;
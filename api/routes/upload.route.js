@@ -0,0 +1,11 @@
+import express from "express";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { receiveImages } from "../middleware/upload.js";
+import { uploadImages } from "../controllers/upload.controller.js";
+
+const router = express.Router();
+
+// Authenticate before multer buffers anything
+router.post("/", verifyToken, receiveImages, uploadImages);
+
+export default router;
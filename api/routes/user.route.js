@@ -1,19 +1,62 @@
 import express from "express";
 import { verifyToken } from "../middleware/verifyToken.js";
+import { loadRole, requireRole } from "../middleware/authorize.js";
+import { ROLES } from "../utils/roles.js";
 import { 
   getUser, 
   updateUser, 
-  getNotifications 
+  deleteUser,
+  updateUserRole,
+  savePost,
+  unsavePost,
+  getSavedPosts,
+  profilePosts,
+  getProfile,
+  updateProfile,
+  getUserStats
 } from "../controllers/user.controller.js";
+import {
+  getSavedSearches,
+  createSavedSearch,
+  deleteSavedSearch
+} from "../controllers/savedSearch.controller.js";
+import {
+  getNotifications,
+  getNotificationNumber,
+  markNotificationRead,
+  markAllNotificationsRead
+} from "../controllers/notification.controller.js";
 
 const router = express.Router();
 
 // IMPORTANT: Put specific routes BEFORE parameterized routes
-// Fix for notifications route
+// Notifications for the logged-in user
 router.get("/notifications", verifyToken, getNotifications);
+router.get("/notifications/count", verifyToken, getNotificationNumber);
+router.put("/notifications/read-all", verifyToken, markAllNotificationsRead);
+router.put("/notifications/:id/read", verifyToken, markNotificationRead);
+
+// Profile details and preferences for the logged-in user
+router.get("/profile", verifyToken, getProfile);
+router.put("/profile", verifyToken, updateProfile);
+
+// Saved listings for the logged-in user
+router.get("/saved-posts", verifyToken, getSavedPosts);
+router.post("/saved-posts", verifyToken, savePost);
+router.delete("/saved-posts/:postId", verifyToken, unsavePost);
+router.get("/profile-posts", verifyToken, profilePosts);
+router.get("/stats", verifyToken, getUserStats);
+
+// Saved searches that trigger new-listing notifications
+router.get("/saved-searches", verifyToken, getSavedSearches);
+router.post("/saved-searches", verifyToken, createSavedSearch);
+router.delete("/saved-searches/:id", verifyToken, deleteSavedSearch);
 
 // Other routes
 router.get("/:id", getUser);
-router.put("/:id", verifyToken, updateUser);
+// Users manage their own account; admins can manage any
+router.put("/:id", verifyToken, loadRole, updateUser);
+router.delete("/:id", verifyToken, loadRole, deleteUser);
+router.patch("/:id/role", verifyToken, requireRole(ROLES.ADMIN), updateUserRole);
 
 export default router;
@@ -1,51 +1,18 @@
-// Create this script to fix your data
-import { PrismaClient } from '@prisma/client';
-const prisma = new PrismaClient();
+// One-off run of the coordinate backfill (npm run migrate). The API also
+// runs it in the background on boot; see utils/coordinateBackfill.js.
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { backfillCoordinates } from '../utils/coordinateBackfill.js';
 
-async function fixCoordinates() {
-  try {
-    // Get direct access to MongoDB
-    const db = prisma._getClient();
-    const postsCollection = db.db().collection('Post');
-    
-    // Find all posts with string coordinates
-    const postsToFix = await postsCollection.find({
-      $or: [
-        { latitude: { $type: 'string' } },
-        { longitude: { $type: 'string' } }
-      ]
-    }).toArray();
-    
-    console.log(`Found ${postsToFix.length} posts with string coordinates to fix`);
-    
-    // Update each post
-    for (const post of postsToFix) {
-      const updates = {};
-      
-      if (typeof post.latitude === 'string') {
-        updates.latitude = parseFloat(post.latitude);
-      }
-      
-      if (typeof post.longitude === 'string') {
-        updates.longitude = parseFloat(post.longitude);
-      }
-      
-      // Only update if we have changes
-      if (Object.keys(updates).length > 0) {
-        await postsCollection.updateOne(
-          { _id: post._id },
-          { $set: updates }
-        );
-        console.log(`Updated post ${post._id}: converted coordinates to numbers`);
-      }
-    }
-    
-    console.log('✅ All coordinates fixed successfully');
-  } catch (error) {
-    console.error('❌ Error fixing coordinates:', error);
-  } finally {
-    await prisma.$disconnect();
-  }
-}
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
-fixCoordinates();
\ No newline at end of file
+try {
+  const { fixed, cleared } = await backfillCoordinates();
+  console.log(`✅ Fixed ${fixed} posts and cleared ${cleared}`);
+} catch (error) {
+  console.error('❌ Error fixing coordinates:', error);
+  process.exitCode = 1;
+}
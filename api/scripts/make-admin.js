@@ -0,0 +1,34 @@
+// Grants the admin role to an existing account:
+//   node scripts/make-admin.js someone@example.com
+// Admin can't be picked at registration, so the first admin is made here;
+// after that admins can promote others through PATCH /api/users/:id/role.
+import prisma from '../lib/prisma.js';
+import { ROLES } from '../utils/roles.js';
+
+async function makeAdmin(email) {
+  if (!email) {
+    console.error('Usage: node scripts/make-admin.js <email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const user = await prisma.user.update({
+      where: { email },
+      data: { role: ROLES.ADMIN, agentVerifiedAt: null },
+      select: { id: true, username: true }
+    });
+    console.log(`🛡️ ${user.username} (${user.id}) is now an admin`);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      console.error(`❌ No user with email ${email}`);
+    } else {
+      console.error('❌ Failed to grant admin role:', error);
+    }
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+makeAdmin(process.argv[2]);
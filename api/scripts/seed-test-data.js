@@ -1,6 +1,6 @@
-import { PrismaClient } from '@prisma/client';
-
-const prisma = new PrismaClient();
+import prisma from '../lib/prisma.js';
+import { ensureGeoIndex } from '../utils/geo.js';
+import { ensureSearchIndexes } from '../utils/search.js';
 
 async function seedTestData() { 
   try {
@@ -20,7 +20,12 @@ async function seedTestData() {
         username: 'johndoe',
         email: 'john@example.com',
         password: '$2a$10$6LMBq5qx2Oll0vB6MK.VxeqXrNQiU7iOsH2rf3Wu1rxdhXTTyw88S', // "password123"
-        fullName: 'John Doe'
+        fullName: 'John Doe',
+        verified: true, // Jane stays unverified to exercise both states
+        role: 'agent',
+        agentVerifiedAt: new Date(),
+        profile: { create: { phone: '+1 555 0100', city: 'New York', state: 'NY', country: 'United States', userType: 'agent' } },
+        preferences: { create: {} }
       }
     });
     
@@ -31,12 +36,26 @@ async function seedTestData() {
         username: 'janesmith',
         email: 'jane@example.com',
         password: '$2a$10$6LMBq5qx2Oll0vB6MK.VxeqXrNQiU7iOsH2rf3Wu1rxdhXTTyw88S', // "password123"
-        fullName: 'Jane Smith'
+        fullName: 'Jane Smith',
+        role: 'owner',
+        profile: { create: { city: 'Los Angeles', state: 'CA', userType: 'landlord' } },
+        preferences: { create: { showContactInfo: false } }
       }
     });
     
     console.log('✅ Test users created successfully');
     
+    // Re-running the script should not pile up duplicate listings
+    const existingPosts = await prisma.post.count({
+      where: { userId: { in: [user1.id, user2.id] } }
+    });
+    if (existingPosts > 0) {
+      console.log(`ℹ️ Test users already have ${existingPosts} listings, skipping posts`);
+      await ensureGeoIndex();
+      await ensureSearchIndexes();
+      return;
+    }
+    
     // Create test posts
     console.log('🌱 Creating test property listings...');
     
@@ -50,6 +69,9 @@ async function seedTestData() {
         bedroom: 2,
         bathroom: 2,
         city: 'New York',
+        latitude: 40.7306,
+        longitude: -73.9866,
+        location: { type: 'Point', coordinates: [-73.9866, 40.7306] },
         images: [
           'https://via.placeholder.com/800x600?text=Modern+Apartment+1',
           'https://via.placeholder.com/800x600?text=Modern+Apartment+2'
@@ -57,7 +79,7 @@ async function seedTestData() {
         user: {
           connect: { id: user1.id }
         },
-        detail: {
+        postDetail: {
           create: {
             desc: 'Beautiful modern apartment with city views and updated appliances.',
             utilities: 'Water and garbage included',
@@ -82,6 +104,9 @@ async function seedTestData() {
         bedroom: 4,
         bathroom: 3,
         city: 'Chicago',
+        latitude: 41.8781,
+        longitude: -87.6298,
+        location: { type: 'Point', coordinates: [-87.6298, 41.8781] },
         images: [
           'https://via.placeholder.com/800x600?text=Family+Home+1',
           'https://via.placeholder.com/800x600?text=Family+Home+2',
@@ -90,7 +115,7 @@ async function seedTestData() {
         user: {
           connect: { id: user2.id }
         },
-        detail: {
+        postDetail: {
           create: {
             desc: 'Spacious family home with a beautiful garden and updated kitchen.',
             size: 2200,
@@ -106,19 +131,22 @@ async function seedTestData() {
       data: {
         title: 'Studio Apartment Near Campus',
         type: 'rent',
-        property: 'studio',
+        property: 'apartment',
         price: 950,
         address: '789 College Blvd',
         bedroom: 1,
         bathroom: 1,
         city: 'Boston',
+        latitude: 42.3505,
+        longitude: -71.1054,
+        location: { type: 'Point', coordinates: [-71.1054, 42.3505] },
         images: [
           'https://via.placeholder.com/800x600?text=Studio+1'
         ],
         user: {
           connect: { id: user1.id }
         },
-        detail: {
+        postDetail: {
           create: {
             desc: 'Cozy studio apartment perfect for students, walking distance to campus.',
             utilities: 'All utilities included',
@@ -148,44 +176,47 @@ async function seedTestData() {
       }
     });
     
-    // Create a chat between users
-    const chat = await prisma.chat.create({
+    // Create a conversation about the apartment listing
+    const conversation = await prisma.conversation.create({
       data: {
-        participants: {
-          connect: [
-            { id: user1.id },
-            { id: user2.id }
-          ]
-        }
+        user1: { connect: { id: user2.id } },
+        user2: { connect: { id: user1.id } },
+        property: { connect: { id: post1.id } },
+        lastMessage: 'Yes, I would. Is it available this weekend?',
+        user2Unread: 1
       }
     });
     
-    // Add some messages to the chat
+    // Add some messages to the conversation
     await prisma.message.createMany({
       data: [
         {
-          text: "Hi! I'm interested in your apartment listing.",
+          content: "Hi! I'm interested in your apartment listing.",
           senderId: user2.id,
-          chatId: chat.id
+          conversationId: conversation.id
         },
         {
-          text: "Great! Would you like to schedule a viewing?",
+          content: "Great! Would you like to schedule a viewing?",
           senderId: user1.id,
-          chatId: chat.id
+          conversationId: conversation.id
         },
         {
-          text: "Yes, I would. Is it available this weekend?",
+          content: "Yes, I would. Is it available this weekend?",
           senderId: user2.id,
-          chatId: chat.id
+          conversationId: conversation.id
         }
       ]
     });
     
+    // Geo and text search need their indexes before the listings are searchable
+    await ensureGeoIndex();
+    await ensureSearchIndexes();
+    
     console.log('✅ Test data created successfully');
     console.log({
       users: { user1, user2 },
       posts: { post1, post2, post3 },
-      chat
+      conversation
     });
   } catch (error) {
     console.error('❌ Error seeding database:', error);
@@ -0,0 +1,56 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+const prisma = installFakePrisma();
+const admin = await import('../controllers/admin.controller.js');
+const { updateUserRole } = await import('../controllers/user.controller.js');
+
+const adminId = 'a'.repeat(24);
+const missingId = 'b'.repeat(24);
+
+const ID_HANDLERS = {
+  suspendUser: { reason: 'Spam' },
+  unsuspendUser: {},
+  flagUser: { reason: 'Spam' },
+  unflagUser: {},
+  deleteUser: {},
+  suspendPost: { reason: 'Spam' },
+  unsuspendPost: {},
+  flagPost: { reason: 'Spam' },
+  unflagPost: {},
+  deletePost: {},
+  closeReport: { status: 'resolved' }
+};
+
+const call = async (handler, { params = {}, query = {}, body = {} }) => {
+  const res = mockResponse();
+  await handler(mockRequest({ params, query, body, userId: adminId, userRole: 'admin' }), res);
+  return res;
+};
+
+beforeEach(() => prisma.$reset());
+
+test('handlers taking :id answer 400 for a malformed id', async () => {
+  for (const [name, body] of Object.entries(ID_HANDLERS)) {
+    const res = await call(admin[name], { params: { id: 'not-an-id' }, body });
+    assert.equal(res.statusCode, 400, name);
+  }
+  const res = await call(updateUserRole, { params: { id: 'not-an-id' }, body: { role: 'agent' } });
+  assert.equal(res.statusCode, 400, 'updateUserRole');
+});
+
+test('handlers taking :id answer 404 for a record that does not exist', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  for (const [name, body] of Object.entries(ID_HANDLERS)) {
+    const res = await call(admin[name], { params: { id: missingId }, body });
+    assert.equal(res.statusCode, 404, name);
+  }
+});
+
+test('list filters answer 400 for malformed ids', async () => {
+  assert.equal((await call(admin.listPosts, { query: { userId: 'nope' } })).statusCode, 400);
+  assert.equal((await call(admin.getAuditLog, { query: { actorId: 'nope' } })).statusCode, 400);
+  assert.equal((await call(admin.getAuditLog, { query: { targetId: 'nope' } })).statusCode, 400);
+});
@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const prisma = installFakePrisma();
+const { register, login, refresh, forgotPassword, resetPassword } = await import('../controllers/auth.controller.js');
+
+const call = async (handler, body, cookies) => {
+  const res = mockResponse();
+  await handler(mockRequest({ body, cookies }), res);
+  return res;
+};
+
+beforeEach(() => prisma.$reset());
+
+test('register rejects short and non-string passwords', async () => {
+  for (const password of ['x', 12345678, undefined]) {
+    const res = await call(register, { username: 'ann', email: 'ann@example.com', password });
+    assert.equal(res.statusCode, 400, `password ${JSON.stringify(password)}`);
+  }
+  assert.equal(prisma.$table('user').length, 0);
+});
+
+test('register rejects a missing or non-string username or email', async () => {
+  const res = await call(register, { username: 5, email: 'ann@example.com', password: 'long enough' });
+  assert.equal(res.statusCode, 400);
+});
+
+test('forgot and reset password answer 400 for non-string fields', async () => {
+  assert.equal((await call(forgotPassword, { email: 5 })).statusCode, 400);
+  assert.equal((await call(resetPassword, { token: 5, password: 'long enough' })).statusCode, 400);
+  assert.equal((await call(resetPassword, { token: 'abc', password: 12345678 })).statusCode, 400);
+});
+
+test('the refresh token only travels in the httpOnly cookie', async () => {
+  await prisma.user.create({
+    data: { username: 'ann', email: 'ann@example.com', password: await bcrypt.hash('long enough', 4), verified: true }
+  });
+
+  const loggedIn = await call(login, { email: 'ann@example.com', password: 'long enough' });
+  assert.equal(loggedIn.statusCode, 200);
+  assert.ok(loggedIn.body.token);
+  assert.equal(loggedIn.body.refreshToken, undefined);
+
+  const { refreshToken } = loggedIn.cookies;
+  assert.ok(refreshToken);
+  assert.equal((await call(refresh, { refreshToken })).statusCode, 401);
+
+  const refreshed = await call(refresh, {}, { refreshToken });
+  assert.equal(refreshed.statusCode, 200);
+  assert.ok(refreshed.body.token);
+  assert.equal(refreshed.body.refreshToken, undefined);
+  assert.notEqual(refreshed.cookies.refreshToken, refreshToken);
+});
@@ -0,0 +1,37 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+const prisma = installFakePrisma();
+const { issueAuthToken, consumeAuthToken, AUTH_TOKEN_TYPES } = await import('../utils/authTokens.js');
+
+const userId = 'a'.repeat(24);
+const { PASSWORD_RESET, EMAIL_VERIFICATION } = AUTH_TOKEN_TYPES;
+
+beforeEach(() => prisma.$reset());
+
+test('a fresh token can be used once', async () => {
+  const token = await issueAuthToken(userId, PASSWORD_RESET);
+
+  assert.equal(await consumeAuthToken(token, PASSWORD_RESET), userId);
+  assert.equal(await consumeAuthToken(token, PASSWORD_RESET), null);
+});
+
+test('issuing a new token invalidates the older one of the same type', async () => {
+  const older = await issueAuthToken(userId, PASSWORD_RESET);
+  const verification = await issueAuthToken(userId, EMAIL_VERIFICATION);
+  const newer = await issueAuthToken(userId, PASSWORD_RESET);
+
+  assert.equal(await consumeAuthToken(older, PASSWORD_RESET), null);
+  assert.equal(await consumeAuthToken(newer, PASSWORD_RESET), userId);
+  assert.equal(await consumeAuthToken(verification, EMAIL_VERIFICATION), userId);
+});
+
+test('tokens of another type, expired tokens and non-strings are rejected', async () => {
+  const token = await issueAuthToken(userId, PASSWORD_RESET);
+  assert.equal(await consumeAuthToken(token, EMAIL_VERIFICATION), null);
+  assert.equal(await consumeAuthToken(5, PASSWORD_RESET), null);
+
+  prisma.$table('authToken')[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await consumeAuthToken(token, PASSWORD_RESET), null);
+});
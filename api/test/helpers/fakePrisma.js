@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+
+// In-memory stand-in for the Prisma client. lib/prisma.js reuses
+// global.prisma outside production, so installing this before the code
+// under test is imported swaps the database out. Filters follow Prisma's
+// MongoDB semantics where the code depends on them: `null` only matches a
+// stored null, while `{ isSet: false }` matches a field that was never set.
+
+const newId = () => crypto.randomBytes(12).toString('hex');
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const matchesValue = (value, condition) => {
+  if (condition === null) return value === null;
+  if (condition instanceof Date) return comparable(value) === condition.getTime();
+  if (typeof condition !== 'object' || Array.isArray(condition)) return value === condition;
+
+  const insensitive = condition.mode === 'insensitive';
+  const text = (input) => (insensitive && typeof input === 'string' ? input.toLowerCase() : input);
+
+  return Object.entries(condition).every(([operator, argument]) => {
+    switch (operator) {
+      case 'mode':
+        return true;
+      case 'isSet':
+        return (value !== undefined) === argument;
+      case 'equals':
+        return text(value) === text(argument) || matchesValue(value, argument);
+      case 'not':
+        return !matchesValue(value, argument);
+      case 'in':
+        return argument.some((option) => text(value) === text(option) || matchesValue(value, option));
+      case 'notIn':
+        return !argument.some((option) => matchesValue(value, option));
+      case 'has':
+        return Array.isArray(value) && value.includes(argument);
+      case 'contains':
+        return typeof value === 'string' && text(value).includes(text(argument));
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte': {
+        if (value === undefined || value === null) return false;
+        const [left, right] = [comparable(value), comparable(argument)];
+        return { gt: left > right, gte: left >= right, lt: left < right, lte: left <= right }[operator];
+      }
+      default:
+        throw new Error(`fakePrisma: unsupported filter "${operator}"`);
+    }
+  });
+};
+
+export const matchesWhere = (record, where = {}) =>
+  Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'AND') return [].concat(condition).every((part) => matchesWhere(record, part));
+    if (key === 'OR') return condition.some((part) => matchesWhere(record, part));
+    if (key === 'NOT') return ![].concat(condition).some((part) => matchesWhere(record, part));
+    return matchesValue(record[key], condition);
+  });
+
+const applyData = (record, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+      if (value.unset) delete record[key];
+      else if ('increment' in value) record[key] = (record[key] || 0) + value.increment;
+      else if ('decrement' in value) record[key] = (record[key] || 0) - value.decrement;
+      else if ('set' in value) record[key] = value.set;
+      else record[key] = value;
+    } else {
+      record[key] = value;
+    }
+  }
+  return record;
+};
+
+const sortBy = (records, orderBy) => {
+  const orders = [].concat(orderBy || []);
+  return [...records].sort((a, b) => {
+    for (const order of orders) {
+      const [[key, direction]] = Object.entries(order);
+      const [left, right] = [comparable(a[key]), comparable(b[key])];
+      if (left === right) continue;
+      const ascending = left === undefined || left < right ? -1 : 1;
+      return direction === 'desc' ? -ascending : ascending;
+    }
+    return 0;
+  });
+};
+
+export const createFakePrisma = () => {
+  const tables = new Map();
+  const table = (model) => {
+    if (!tables.has(model)) tables.set(model, []);
+    return tables.get(model);
+  };
+
+  // `include: { user: true }` attaches the record named by userId. Other
+  // relations, such as a user's profile, are seeded onto the row itself.
+  // Selects aren't applied: every stored field comes back.
+  const withRelations = (record, include) => {
+    const result = { ...record };
+    for (const relation of Object.keys(include || {})) {
+      if (!(`${relation}Id` in record)) continue;
+      const relatedId = record[`${relation}Id`];
+      result[relation] = table(relation).find((related) => related.id === relatedId) || null;
+    }
+    return result;
+  };
+
+  const delegate = (model) => ({
+    create: async ({ data, include }) => {
+      const now = new Date();
+      const record = applyData({ id: newId(), createdAt: now, updatedAt: now }, data);
+      table(model).push(record);
+      return withRelations(record, include);
+    },
+    findUnique: async ({ where, include }) => {
+      const record = table(model).find((candidate) => matchesWhere(candidate, where));
+      return record ? withRelations(record, include) : null;
+    },
+    findFirst: async ({ where, orderBy, include } = {}) => {
+      const record = sortBy(table(model).filter((candidate) => matchesWhere(candidate, where)), orderBy)[0];
+      return record ? withRelations(record, include) : null;
+    },
+    findMany: async ({ where, orderBy, skip = 0, take, include } = {}) => {
+      const records = sortBy(table(model).filter((candidate) => matchesWhere(candidate, where)), orderBy);
+      return records.slice(skip, take === undefined ? undefined : skip + take)
+        .map((record) => withRelations(record, include));
+    },
+    count: async ({ where } = {}) => table(model).filter((candidate) => matchesWhere(candidate, where)).length,
+    update: async ({ where, data, include }) => {
+      const record = table(model).find((candidate) => matchesWhere(candidate, where));
+      if (!record) throw Object.assign(new Error(`No ${model} found`), { code: 'P2025' });
+      return withRelations(applyData(record, { ...data, updatedAt: new Date() }), include);
+    },
+    updateMany: async ({ where, data }) => {
+      const records = table(model).filter((candidate) => matchesWhere(candidate, where));
+      records.forEach((record) => applyData(record, data));
+      return { count: records.length };
+    },
+    delete: async ({ where }) => {
+      const records = table(model);
+      const index = records.findIndex((candidate) => matchesWhere(candidate, where));
+      if (index < 0) throw Object.assign(new Error(`No ${model} found`), { code: 'P2025' });
+      return records.splice(index, 1)[0];
+    },
+    deleteMany: async ({ where } = {}) => {
+      const records = table(model);
+      const kept = records.filter((candidate) => !matchesWhere(candidate, where));
+      const count = records.length - kept.length;
+      records.splice(0, records.length, ...kept);
+      return { count };
+    }
+  });
+
+  const client = {
+    // Raw rows, for seeding and for asserting on what was stored
+    $table: table,
+    $reset: () => tables.clear(),
+    $transaction: async (work) => (typeof work === 'function' ? work(client) : Promise.all(work)),
+    $connect: async () => {},
+    $disconnect: async () => {}
+  };
+
+  return new Proxy(client, {
+    get: (target, property) => {
+      if (property in target || typeof property !== 'string') return target[property];
+      target[property] = delegate(property);
+      return target[property];
+    }
+  });
+};
+
+// Installs a fresh fake as the shared client; call before importing the
+// module under test
+export const installFakePrisma = () => {
+  global.prisma = createFakePrisma();
+  return global.prisma;
+};
@@ -0,0 +1,36 @@
+// Minimal Express req/res doubles for calling controllers directly
+
+export const mockRequest = ({ params = {}, query = {}, body = {}, cookies = {}, userId, userRole, headers = {} } = {}) => ({
+  params,
+  query,
+  body,
+  userId,
+  userRole,
+  user: userId ? { id: userId } : undefined,
+  cookies,
+  ip: '127.0.0.1',
+  get: (name) => headers[name.toLowerCase()]
+});
+
+export const mockResponse = () => {
+  const res = { statusCode: 200, body: undefined, headers: {}, cookies: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.send = res.json;
+  res.set = (headers) => Object.assign(res.headers, headers);
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+    return res;
+  };
+  res.clearCookie = (name) => {
+    delete res.cookies[name];
+    return res;
+  };
+  return res;
+};
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+const prisma = installFakePrisma();
+const { priceTimeline, latestReduction, parsePrice, notifyPriceDrop } = await import('../utils/priceHistory.js');
+
+const createdAt = new Date('2024-01-01');
+const cutAt = new Date('2024-03-01');
+
+test('a listing without history is a single point at its current price', () => {
+  const timeline = priceTimeline({ price: 1000, createdAt }, []);
+
+  assert.deepEqual(timeline, [{ price: 1000, date: createdAt }]);
+  assert.equal(latestReduction(timeline), null);
+});
+
+test('a cut on a listing from before price history keeps its original price', () => {
+  const post = { price: 900, createdAt };
+  const timeline = priceTimeline(post, [{ price: 900, previousPrice: 1000, createdAt: cutAt }]);
+
+  assert.deepEqual(timeline, [
+    { price: 1000, date: createdAt },
+    { price: 900, date: cutAt }
+  ]);
+  assert.deepEqual(latestReduction(timeline), { from: 1000, to: 900, percent: 10, date: cutAt });
+});
+
+test('a listing with a creation entry is not given an extra point', () => {
+  const post = { price: 1200, createdAt };
+  const timeline = priceTimeline(post, [
+    { price: 1200, previousPrice: 1000, createdAt: cutAt },
+    { price: 1000, previousPrice: null, createdAt }
+  ]);
+
+  assert.deepEqual(timeline.map(({ price }) => price), [1000, 1200]);
+  assert.equal(latestReduction(timeline), null);
+});
+
+test('prices must be positive numbers', () => {
+  assert.deepEqual(parsePrice('1234.567'), { price: 1234.57 });
+  assert.ok(parsePrice('free').error);
+  assert.ok(parsePrice(0).error);
+});
+
+test('a failing price-drop notification resolves instead of rejecting', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(prisma.savedPost, 'findMany', async () => {
+    throw new Error('database unavailable');
+  });
+
+  assert.equal(await notifyPriceDrop({ id: 'p1', price: 900, title: 'Flat' }, 1000), 0);
+});
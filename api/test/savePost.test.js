@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+const prisma = installFakePrisma();
+const { savePost } = await import('../controllers/user.controller.js');
+
+const ownerId = 'a'.repeat(24);
+const saverId = 'b'.repeat(24);
+
+const seedPost = (extra = {}) => prisma.post.create({
+  data: { title: 'Flat', type: 'rent', property: 'apartment', price: 1000, city: 'Boston', userId: ownerId, ...extra }
+});
+
+const save = async (postId) => {
+  const res = mockResponse();
+  await savePost(mockRequest({ body: { postId }, userId: saverId }), res);
+  return res;
+};
+
+beforeEach(() => prisma.$reset());
+
+test('a public listing can be saved', async () => {
+  const post = await seedPost({ status: 'active', expiresAt: new Date(Date.now() + 60_000) });
+
+  assert.equal((await save(post.id)).statusCode, 200);
+  assert.equal(prisma.$table('savedPost').length, 1);
+});
+
+test('suspended, unpublished and expired listings cannot be saved', async () => {
+  const hidden = await Promise.all([
+    seedPost({ suspendedAt: new Date() }),
+    seedPost({ status: 'draft' }),
+    seedPost({ status: 'expired' }),
+    seedPost({ status: 'active', expiresAt: new Date(Date.now() - 60_000) })
+  ]);
+
+  for (const post of hidden) {
+    assert.equal((await save(post.id)).statusCode, 404);
+  }
+  assert.equal(prisma.$table('savedPost').length, 0);
+});
+
+test('a malformed postId answers 400', async () => {
+  assert.equal((await save('not-an-id')).statusCode, 400);
+  assert.equal((await save({ $ne: null })).statusCode, 400);
+});
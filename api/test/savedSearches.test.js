@@ -0,0 +1,62 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+const prisma = installFakePrisma();
+const { notifySavedSearchMatches, savedSearchCandidateWhere } = await import('../utils/savedSearches.js');
+
+const ownerId = 'a'.repeat(24);
+const post = {
+  id: 'p'.repeat(24), userId: ownerId, title: 'Sunny flat', city: 'Boston', type: 'rent', property: 'apartment', price: 1500, bedroom: 2
+};
+
+const EMPTY_CRITERIA = { city: null, type: null, property: null, minPrice: null, maxPrice: null, bedroom: null };
+let userCount = 0;
+const seedSearch = (criteria, userId = String(++userCount).padStart(24, 'b')) =>
+  prisma.savedSearch.create({ data: { userId, name: 'Search', ...EMPTY_CRITERIA, ...criteria } });
+
+beforeEach(() => prisma.$reset());
+
+test('the query only loads searches the post can match', async () => {
+  const kept = await Promise.all([
+    seedSearch({}),
+    seedSearch({ city: 'bos', type: 'rent' }),
+    seedSearch({ city: 'BOSTON', minPrice: 1000, maxPrice: 1500, bedroom: 2 })
+  ]);
+  await Promise.all([
+    seedSearch({ city: 'Chicago' }),
+    seedSearch({ type: 'buy' }),
+    seedSearch({ property: 'house' }),
+    seedSearch({ minPrice: 2000 }),
+    seedSearch({ maxPrice: 1000 }),
+    seedSearch({ bedroom: 3 }),
+    seedSearch({}, ownerId)
+  ]);
+
+  const loaded = await prisma.savedSearch.findMany({ where: savedSearchCandidateWhere(post) });
+  assert.deepEqual(loaded.map((search) => search.id).sort(), kept.map((search) => search.id).sort());
+});
+
+test('matching users are notified once each across batches', async () => {
+  for (let index = 0; index < 510; index++) await seedSearch({ city: 'Boston' });
+  const repeatUser = prisma.$table('savedSearch')[0].userId;
+  await seedSearch({ type: 'rent' }, repeatUser);
+  await seedSearch({ city: 'Chicago' });
+
+  const queries = [];
+  const findMany = prisma.savedSearch.findMany;
+  prisma.savedSearch.findMany = (args) => {
+    queries.push(args);
+    return findMany(args);
+  };
+
+  try {
+    assert.equal(await notifySavedSearchMatches(post), 510);
+  } finally {
+    prisma.savedSearch.findMany = findMany;
+  }
+
+  assert.equal(queries.length, 2);
+  assert.ok(queries.every((args) => args.take === 500));
+  assert.equal(prisma.$table('notification').length, 510);
+});
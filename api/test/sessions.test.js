@@ -0,0 +1,50 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+process.env.JWT_SECRET_KEY = 'test-secret';
+const prisma = installFakePrisma();
+const { createSession, rotateSession, revokeSession, revokeAllSessions, sessionIdFromRefreshToken } =
+  await import('../utils/sessions.js');
+
+const user = { id: 'a'.repeat(24), email: 'ann@example.com' };
+const req = { get: () => 'node-test', ip: '127.0.0.1' };
+
+beforeEach(async () => {
+  prisma.$reset();
+  await prisma.user.create({ data: user });
+});
+
+test('a new session rotates its refresh token', async () => {
+  const { refreshToken } = await createSession(user, req);
+
+  const rotated = await rotateSession(refreshToken);
+  assert.equal(rotated.user.id, user.id);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+});
+
+test('logout revokes the session so its refresh token stops working', async () => {
+  const { refreshToken } = await createSession(user, req);
+
+  assert.equal(await revokeSession(sessionIdFromRefreshToken(refreshToken)), 1);
+  assert.equal(await rotateSession(refreshToken), null);
+});
+
+test('logout everywhere revokes every open session of the user', async () => {
+  const first = await createSession(user, req);
+  const second = await createSession(user, req);
+  await revokeSession(sessionIdFromRefreshToken(first.refreshToken));
+
+  assert.equal(await revokeAllSessions(user.id), 1);
+  assert.equal(await rotateSession(second.refreshToken), null);
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const { refreshToken } = await createSession(user, req);
+  await rotateSession(refreshToken);
+  const [session] = prisma.$table('session');
+  session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  assert.equal(await rotateSession(refreshToken), null);
+  assert.ok(session.revokedAt instanceof Date);
+});
@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+const prisma = installFakePrisma();
+const { getSimilarPosts } = await import('../controllers/post.controller.js');
+
+const ownerId = 'a'.repeat(24);
+const otherId = 'b'.repeat(24);
+
+const seedPost = (extra = {}) => prisma.post.create({
+  data: { title: 'Flat', type: 'rent', property: 'apartment', price: 1000, city: 'Boston', userId: ownerId, ...extra }
+});
+
+const fetchSimilar = async (id, userId) => {
+  const res = mockResponse();
+  await getSimilarPosts(mockRequest({ params: { id }, userId }), res);
+  return res;
+};
+
+beforeEach(() => prisma.$reset());
+
+test('similar listings are returned for a public post', async () => {
+  const source = await seedPost();
+  const match = await seedPost({ userId: otherId });
+
+  const { statusCode, body } = await fetchSimilar(source.id);
+  assert.equal(statusCode, 200);
+  assert.deepEqual(body.items.map((item) => item.id), [match.id]);
+});
+
+test('a suspended or unpublished source post answers 404 to the public', async () => {
+  const suspended = await seedPost({ suspendedAt: new Date() });
+  const draft = await seedPost({ status: 'draft' });
+  await seedPost({ userId: otherId });
+
+  assert.equal((await fetchSimilar(suspended.id)).statusCode, 404);
+  assert.equal((await fetchSimilar(draft.id, otherId)).statusCode, 404);
+});
+
+test('the owner and admins still see similar listings for a hidden post', async () => {
+  const admin = await prisma.user.create({ data: { username: 'root', email: 'root@example.com', role: 'admin' } });
+  const draft = await seedPost({ status: 'draft' });
+
+  assert.equal((await fetchSimilar(draft.id, ownerId)).statusCode, 200);
+  assert.equal((await fetchSimilar(draft.id, admin.id)).statusCode, 200);
+});
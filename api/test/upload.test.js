@@ -0,0 +1,42 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+
+installFakePrisma();
+const { receiveImages } = await import('../middleware/upload.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.post('/upload', receiveImages, (req, res) => {
+    res.status(200).json({ received: req.files.map((file) => file.mimetype) });
+  });
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const uploadImage = (name, type) => {
+  const form = new FormData();
+  form.append('images', new Blob([Buffer.from('not really an image')], { type }), name);
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+};
+
+test('supported image types pass the upload filter', async () => {
+  const res = await uploadImage('photo.jpg', 'image/jpeg');
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).received, ['image/jpeg']);
+});
+
+test('HEIC and HEIF photos are rejected up front with a 400', async () => {
+  for (const [name, type] of [['photo.heic', 'image/heic'], ['photo.heif', 'image/heif']]) {
+    const res = await uploadImage(name, type);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /not a supported image type/);
+  }
+});
@@ -0,0 +1,62 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakePrisma } from './helpers/fakePrisma.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+const prisma = installFakePrisma();
+const { getUser } = await import('../controllers/user.controller.js');
+
+const seedUser = (preferences, extra = {}) => prisma.user.create({
+  data: {
+    username: 'ann',
+    email: 'ann@example.com',
+    password: 'hash',
+    profile: { phone: '+1 555 0100', city: 'Boston', address: '1 Main St' },
+    preferences,
+    ...extra
+  }
+});
+
+const fetchUser = async (id) => {
+  const res = mockResponse();
+  await getUser(mockRequest({ params: { id } }), res);
+  return res;
+};
+
+beforeEach(() => prisma.$reset());
+
+test('a public profile shares contact details when the user allows it', async () => {
+  const user = await seedUser({ showContactInfo: true, profileVisibility: 'public' });
+  const { statusCode, body } = await fetchUser(user.id);
+
+  assert.equal(statusCode, 200);
+  assert.equal(body.email, 'ann@example.com');
+  assert.equal(body.phone, '+1 555 0100');
+  assert.equal(body.password, undefined);
+  assert.equal(body.profile, undefined);
+});
+
+test('contact details are withheld when showContactInfo is off', async () => {
+  const user = await seedUser({ showContactInfo: false, profileVisibility: 'public' });
+  const { body } = await fetchUser(user.id);
+
+  assert.equal(body.email, null);
+  assert.equal(body.phone, null);
+  assert.equal(body.username, 'ann');
+});
+
+test('a private profile only shows who the account is', async () => {
+  const user = await seedUser({ showContactInfo: true, profileVisibility: 'private' });
+  const { body } = await fetchUser(user.id);
+
+  assert.deepEqual(Object.keys(body).sort(), ['avatar', 'id', 'profileVisibility', 'suspended', 'username']);
+});
+
+test('suspension shows as a flag without the moderation note', async () => {
+  const user = await seedUser({}, { suspendedAt: new Date(), suspendedReason: 'Spam' });
+  const { body } = await fetchUser(user.id);
+
+  assert.equal(body.suspended, true);
+  assert.equal(body.suspendedReason, undefined);
+  assert.equal(body.suspendedAt, undefined);
+});
@@ -0,0 +1,33 @@
+import prisma from '../lib/prisma.js';
+
+export const AUDIT_ACTIONS = {
+  USER_SUSPENDED: 'user.suspended',
+  USER_UNSUSPENDED: 'user.unsuspended',
+  USER_FLAGGED: 'user.flagged',
+  USER_UNFLAGGED: 'user.unflagged',
+  USER_UPDATED: 'user.updated',
+  USER_DELETED: 'user.deleted',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  POST_SUSPENDED: 'post.suspended',
+  POST_UNSUSPENDED: 'post.unsuspended',
+  POST_FLAGGED: 'post.flagged',
+  POST_UNFLAGGED: 'post.unflagged',
+  POST_UPDATED: 'post.updated',
+  POST_DELETED: 'post.deleted',
+  // Recorded against the reported post, user or message
+  REPORT_RESOLVED: 'report.resolved',
+  REPORT_DISMISSED: 'report.dismissed'
+};
+
+// Appends to the audit history. Like notify(), a failure is logged rather
+// than thrown, so the moderation action itself still succeeds.
+export const recordAudit = async ({ actorId, action, targetType, targetId, details = null }) => {
+  try {
+    return await prisma.auditLog.create({
+      data: { actorId, action, targetType, targetId, details }
+    });
+  } catch (err) {
+    console.error(`❌ Failed to record audit entry ${action} for ${targetType} ${targetId}:`, err);
+    return null;
+  }
+};
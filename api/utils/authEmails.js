@@ -0,0 +1,30 @@
+import { sendMail } from './mailer.js';
+
+// Links in emails point at the client app
+const clientUrl = (pathname, token) =>
+  `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/+$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const greeting = (user) => `Hi ${user.fullName || user.username},`;
+
+export const sendVerificationEmail = (user, token) => {
+  const link = clientUrl('/verify-email', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `${greeting(user)}\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>${escapeHtml(greeting(user))}</p><p>Please confirm your email address:</p><p><a href="${link}">Confirm email</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+  const link = clientUrl('/reset-password', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `${greeting(user)}\n\nSomeone asked to reset your password. If it was you, open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour and can be used once. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>${escapeHtml(greeting(user))}</p><p>Someone asked to reset your password. If it was you, choose a new one here:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour and can be used once. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+
+export const AUTH_TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL_MS = {
+  [AUTH_TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000, // 1 hour
+  [AUTH_TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+// usedAt is only written when a token is used or replaced, and on MongoDB a
+// missing field doesn't match `null`
+const UNUSED = { isSet: false };
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Creates a token for an emailed link and returns the raw value. Older unused
+// tokens of the same type stop working, so only the latest email is valid.
+export const issueAuthToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await prisma.authToken.updateMany({
+    where: { userId, type, usedAt: UNUSED },
+    data: { usedAt: now }
+  });
+  await prisma.authToken.create({
+    data: {
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[type])
+    }
+  });
+
+  return token;
+};
+
+// Marks the token used and returns its userId, or null when it is unknown,
+// expired, already used or of another type. The conditional update makes
+// two simultaneous uses of one link resolve to a single winner.
+export const consumeAuthToken = async (token, type) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await prisma.authToken.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!record || record.type !== type || record.usedAt || record.expiresAt < new Date()) {
+    return null;
+  }
+
+  const { count } = await prisma.authToken.updateMany({
+    where: { id: record.id, usedAt: UNUSED },
+    data: { usedAt: new Date() }
+  });
+  return count === 1 ? record.userId : null;
+};
@@ -0,0 +1,69 @@
+import { MongoClient } from 'mongodb';
+
+// latitude/longitude used to be strings, and Prisma can't read a post that
+// still has them. This converts them to numbers and fills in the GeoJSON
+// `location`, or clears coordinates that don't parse. It goes through the
+// MongoDB driver because Prisma can't load those posts.
+//
+// Idempotent: once the data is clean the query matches only posts without
+// coordinates, which are left alone. app.js runs it in the background on
+// every boot; `npm run migrate` runs it on its own.
+export const backfillCoordinates = async (databaseUrl = process.env.DATABASE_URL) => {
+  const client = new MongoClient(databaseUrl);
+
+  try {
+    await client.connect();
+    const postsCollection = client.db().collection('Post');
+
+    // Find all posts with string coordinates or without a location
+    const cursor = postsCollection.find(
+      {
+        $or: [
+          { latitude: { $type: 'string' } },
+          { longitude: { $type: 'string' } },
+          { location: { $exists: false } }
+        ]
+      },
+      { projection: { latitude: 1, longitude: 1 } }
+    );
+
+    let fixed = 0;
+    let cleared = 0;
+    for await (const post of cursor) {
+      const latitude = parseFloat(post.latitude);
+      const longitude = parseFloat(post.longitude);
+
+      // Posts without usable coordinates are left out of geo search, but a
+      // leftover string (e.g. "") must still go or the post can't be read
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        if (typeof post.latitude === 'string' || typeof post.longitude === 'string') {
+          await postsCollection.updateOne(
+            { _id: post._id },
+            { $unset: { latitude: '', longitude: '', location: '' } }
+          );
+          cleared++;
+        }
+        continue;
+      }
+
+      await postsCollection.updateOne(
+        { _id: post._id },
+        {
+          $set: {
+            latitude,
+            longitude,
+            location: { type: 'Point', coordinates: [longitude, latitude] }
+          }
+        }
+      );
+      fixed++;
+    }
+
+    if (fixed || cleared) {
+      console.log(`📍 Coordinate backfill: fixed ${fixed} posts, cleared ${cleared}`);
+    }
+    return { fixed, cleared };
+  } finally {
+    await client.close();
+  }
+};
@@ -0,0 +1,95 @@
+import prisma from '../lib/prisma.js';
+
+const BEDROOM_MINIMUMS = [1, 2, 3, 4, 5];
+const BATHROOM_MINIMUMS = [1, 2, 3, 4];
+const PRICE_BUCKETS = 10;
+const TOP_CITIES = 10;
+
+// Each facet ignores its own filter, so every option shows how many results
+// picking it would give rather than collapsing to the current choice
+const without = (where, key) => {
+  const rest = { ...where };
+  delete rest[key];
+  return rest;
+};
+
+const countBy = async (field, where) => {
+  const groups = await prisma.post.groupBy({
+    by: [field],
+    where,
+    _count: { _all: true }
+  });
+
+  return groups
+    .map((group) => ({ value: group[field], count: group._count._all }))
+    .sort((a, b) => b.count - a.count);
+};
+
+// Counts for "n or more" filters such as bedroom=2
+const minimumCounts = (groups, minimums) =>
+  minimums.map((min) => ({
+    min,
+    count: groups
+      .filter((group) => (group.value ?? 0) >= min)
+      .reduce((sum, group) => sum + group.count, 0)
+  }));
+
+// Rounds a bucket width up to 1, 2 or 5 times a power of ten so bucket
+// edges read well (250, 500, 1000 rather than 237.4)
+const niceStep = (rawStep) => {
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const fraction = rawStep / magnitude;
+  const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+  return nice * magnitude;
+};
+
+const priceHistogram = (groups) => {
+  if (groups.length === 0) {
+    return { min: null, max: null, step: null, buckets: [] };
+  }
+
+  const min = groups.reduce((lowest, group) => Math.min(lowest, group.value), Infinity);
+  const max = groups.reduce((highest, group) => Math.max(highest, group.value), -Infinity);
+  const step = niceStep(Math.max((max - min) / PRICE_BUCKETS, 1));
+  const start = Math.floor(min / step) * step;
+
+  const buckets = Array.from(
+    { length: Math.floor((max - start) / step) + 1 },
+    (_, index) => ({ from: start + index * step, to: start + (index + 1) * step, count: 0 })
+  );
+  for (const group of groups) {
+    buckets[Math.floor((group.value - start) / step)].count += group.count;
+  }
+
+  return { min, max, step, buckets };
+};
+
+// Counts per type, property, bedroom/bathroom minimum, price bucket and top
+// cities for the posts matching `where` (a parseListingQuery where clause)
+export const buildFacets = async (where) => {
+  const [total, type, property, bedrooms, bathrooms, prices, cities] = await Promise.all([
+    prisma.post.count({ where }),
+    countBy('type', without(where, 'type')),
+    countBy('property', without(where, 'property')),
+    countBy('bedroom', without(where, 'bedroom')),
+    countBy('bathroom', where),
+    countBy('price', without(where, 'price')),
+    prisma.post.groupBy({
+      by: ['city'],
+      where: without(where, 'city'),
+      _count: { _all: true },
+      orderBy: { _count: { city: 'desc' } },
+      take: TOP_CITIES
+    })
+  ]);
+
+  return {
+    total,
+    type,
+    property,
+    bedroom: minimumCounts(bedrooms, BEDROOM_MINIMUMS),
+    bathroom: minimumCounts(bathrooms, BATHROOM_MINIMUMS),
+    price: priceHistogram(prices),
+    cities: cities.map((group) => ({ value: group.city, count: group._count._all }))
+  };
+};
@@ -0,0 +1,134 @@
+import prisma from '../lib/prisma.js';
+
+const MAX_RADIUS_KM = 500;
+
+// Parse a latitude/longitude pair coming from a form or query string.
+// Returns null unless both values are present and inside valid ranges.
+export const parseCoordinates = (latitude, longitude) => {
+  if (latitude === undefined || latitude === null || latitude === '') return null;
+  if (longitude === undefined || longitude === null || longitude === '') return null;
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (Number.isNaN(lat) || Number.isNaN(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  return { latitude: lat, longitude: lng };
+};
+
+// GeoJSON stores points as [longitude, latitude]
+export const toGeoPoint = (latitude, longitude) => ({
+  type: 'Point',
+  coordinates: [longitude, latitude]
+});
+
+// near=lat,lng&radiusKm=3
+export const parseNearQuery = (near, radiusKm) => {
+  const [lat, lng] = String(near).split(',');
+  const point = parseCoordinates(lat, lng);
+  if (!point) {
+    throw new Error('near must be "lat,lng" with valid coordinates');
+  }
+
+  const radius = radiusKm === undefined || radiusKm === '' ? 5 : parseFloat(radiusKm);
+  if (Number.isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    throw new Error(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+  }
+
+  return { ...point, radiusKm: radius };
+};
+
+// bbox=minLng,minLat,maxLng,maxLat
+export const parseBboxQuery = (bbox) => {
+  const parts = String(bbox).split(',').map((value) => parseFloat(value));
+  if (parts.length !== 4 || parts.some((value) => Number.isNaN(value))) {
+    throw new Error('bbox must be "minLng,minLat,maxLng,maxLat"');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!parseCoordinates(minLat, minLng) || !parseCoordinates(maxLat, maxLng)) {
+    throw new Error('bbox contains out-of-range coordinates');
+  }
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new Error('bbox min values must be smaller than max values');
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Builds the $geoNear stage for either query mode. For bbox searches the
+// distance is measured from the centre of the box.
+const buildGeoNearStage = ({ near, bbox }) => {
+  if (near) {
+    return {
+      $geoNear: {
+        near: toGeoPoint(near.latitude, near.longitude),
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001,
+        maxDistance: near.radiusKm * 1000,
+        spherical: true,
+        key: 'location'
+      }
+    };
+  }
+
+  const { minLng, minLat, maxLng, maxLat } = bbox;
+  return {
+    $geoNear: {
+      near: toGeoPoint((minLat + maxLat) / 2, (minLng + maxLng) / 2),
+      distanceField: 'distanceKm',
+      distanceMultiplier: 0.001,
+      spherical: true,
+      key: 'location',
+      query: {
+        location: {
+          $geoWithin: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[
+                [minLng, minLat],
+                [maxLng, minLat],
+                [maxLng, maxLat],
+                [minLng, maxLat],
+                [minLng, minLat]
+              ]]
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+// Runs the geo query against the Post collection and returns a Map of
+// post id -> distance in km, ordered nearest first.
+export const findPostDistances = async ({ near, bbox }) => {
+  const results = await prisma.post.aggregateRaw({
+    pipeline: [
+      buildGeoNearStage({ near, bbox }),
+      { $project: { _id: 1, distanceKm: 1 } }
+    ]
+  });
+
+  const distances = new Map();
+  for (const doc of results) {
+    const id = doc._id?.$oid || String(doc._id);
+    distances.set(id, Math.round(doc.distanceKm * 100) / 100);
+  }
+  return distances;
+};
+
+// $geoNear needs a 2dsphere index on Post.location. Prisma cannot declare
+// one for MongoDB, so it is created here (createIndexes is idempotent).
+export const ensureGeoIndex = async () => {
+  await prisma.$runCommandRaw({
+    createIndexes: 'Post',
+    indexes: [
+      {
+        key: { location: '2dsphere' },
+        name: 'location_2dsphere'
+      }
+    ]
+  });
+};
@@ -0,0 +1,37 @@
+import sharp from 'sharp';
+
+// HEIC/HEIF are left out: the prebuilt sharp binaries can't decode them, so
+// they would pass the upload filter and then fail in processImage
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+// Longest edge in pixels. "large" replaces the original so no upload is
+// ever served with its camera metadata.
+export const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  medium: 1024,
+  large: 2048
+};
+
+// Re-encodes an uploaded image into every variant as JPEG. sharp drops all
+// metadata unless asked to keep it, which strips EXIF GPS coordinates; the
+// orientation tag is applied to the pixels first so photos stay upright.
+// Throws if the buffer isn't a readable image.
+export const processImage = async (buffer) => {
+  const image = sharp(buffer, { failOn: 'error' });
+  await image.metadata();
+
+  const variants = {};
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await image
+      .clone()
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      // Transparent PNGs get a white background instead of black
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, width: info.width, height: info.height };
+  }
+  return variants;
+};
@@ -0,0 +1,102 @@
+export const AMENITIES = [
+  'air_conditioning',
+  'balcony',
+  'dishwasher',
+  'elevator',
+  'garden',
+  'gym',
+  'heating',
+  'laundry',
+  'pool',
+  'security',
+  'storage',
+  'wheelchair_access'
+];
+
+export const FURNISHING_STATES = ['furnished', 'semi_furnished', 'unfurnished'];
+
+const MIN_YEAR_BUILT = 1800;
+
+const isBlank = (value) => value === null || value === '';
+
+const parseInteger = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// amenities=pool,gym or ['pool', 'gym']
+export const parseAmenities = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const amenities = [...new Set(list.map((item) => String(item).trim().toLowerCase()).filter(Boolean))];
+
+  const unknown = amenities.filter((amenity) => !AMENITIES.includes(amenity));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown amenities: ${unknown.join(', ')}`);
+  }
+  return amenities;
+};
+
+export const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Validates the structured PostDetail attributes sent to addPost/updatePost.
+// Only fields present in `source` are returned, so a partial update leaves the
+// others alone; '' or null clears a field. Returns { attributes } or { error }.
+export const parseListingAttributes = (source = {}) => {
+  const attributes = {};
+
+  try {
+    if (source.amenities !== undefined) {
+      attributes.amenities = isBlank(source.amenities) ? [] : parseAmenities(source.amenities);
+    }
+
+    if (source.furnishing !== undefined) {
+      if (!isBlank(source.furnishing) && !FURNISHING_STATES.includes(source.furnishing)) {
+        throw new Error(`furnishing must be one of: ${FURNISHING_STATES.join(', ')}`);
+      }
+      attributes.furnishing = isBlank(source.furnishing) ? null : source.furnishing;
+    }
+
+    const maxYearBuilt = new Date().getFullYear() + 5;
+    const integerFields = [
+      ['floor', -5, 200],
+      ['totalFloors', 1, 200],
+      ['parking', 0, 50],
+      ['yearBuilt', MIN_YEAR_BUILT, maxYearBuilt]
+    ];
+    for (const [name, min, max] of integerFields) {
+      if (source[name] !== undefined) {
+        attributes[name] = isBlank(source[name]) ? null : parseInteger(source[name], name, min, max);
+      }
+    }
+
+    // Only checked when both arrive together; a partial update can't see the stored value
+    if (attributes.floor != null && attributes.totalFloors != null && attributes.floor > attributes.totalFloors) {
+      throw new Error('floor cannot be higher than totalFloors');
+    }
+
+    if (source.availableFrom !== undefined) {
+      attributes.availableFrom = isBlank(source.availableFrom) ? null : parseDate(source.availableFrom, 'availableFrom');
+    }
+
+    if (source.deposit !== undefined) {
+      const deposit = isBlank(source.deposit) ? null : Number(source.deposit);
+      if (deposit !== null && (Number.isNaN(deposit) || deposit < 0)) {
+        throw new Error('deposit must be a non-negative number');
+      }
+      attributes.deposit = deposit;
+    }
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  return { attributes };
+};
@@ -0,0 +1,174 @@
+import { parseNearQuery, parseBboxQuery } from './geo.js';
+import { parseSearchQuery } from './search.js';
+import { parseAmenities, parseDate, FURNISHING_STATES } from './listingAttributes.js';
+import { LISTING_STATUSES, PUBLIC_STATUSES, publicListingWhere } from './listingStatus.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Database sorts end with the id so cursor pagination has a stable order
+// when several posts share the same price, date or size. `compare` is the
+// same order for geo/text results, which are ranked in memory.
+export const SORT_OPTIONS = {
+  newest: {
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    compare: (a, b) => b.createdAt - a.createdAt
+  },
+  price_asc: {
+    orderBy: [{ price: 'asc' }, { id: 'asc' }],
+    compare: (a, b) => a.price - b.price
+  },
+  price_desc: {
+    orderBy: [{ price: 'desc' }, { id: 'desc' }],
+    compare: (a, b) => b.price - a.price
+  },
+  // Largest first; posts without a size go last
+  size: {
+    orderBy: [{ postDetail: { size: 'desc' } }, { id: 'desc' }],
+    compare: (a, b) => (b.postDetail?.size ?? -1) - (a.postDetail?.size ?? -1)
+  }
+};
+
+// Cursors are opaque to clients: base64url JSON holding the last post id for
+// database pages, or the offset into the ranked list for geo/text searches
+export const encodeCursor = (value) =>
+  Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeCursor = (cursor, ranked) => {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('cursor is invalid');
+  }
+
+  const valid = ranked
+    ? Number.isInteger(value?.offset) && value.offset >= 0
+    : OBJECT_ID_PATTERN.test(value?.id ?? '');
+  if (!valid) {
+    throw new Error('cursor is invalid');
+  }
+  return value;
+};
+
+const parseNumberParam = (value, name, parse = parseFloat) => {
+  const number = parse(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+// Parses the GET /api/posts query string into a Prisma where clause, the
+// geo/text search parameters, sort and page. `filters` echoes back what was
+// applied, in parsed form. Throws on invalid input so callers can answer 400.
+export const parseListingQuery = (query) => {
+  const filters = {};
+
+  // Only active listings unless ?status=active,rented,... asks for others.
+  // Drafts and expired listings are never public.
+  const statuses = query.status ? String(query.status).split(',').map((status) => status.trim()) : [LISTING_STATUSES.ACTIVE];
+  const unknownStatus = statuses.find((status) => !PUBLIC_STATUSES.includes(status));
+  if (unknownStatus) {
+    throw new Error(`status must be one or more of: ${PUBLIC_STATUSES.join(', ')}`);
+  }
+  const where = publicListingWhere(statuses);
+  if (query.status) filters.status = statuses;
+
+  if (query.city) {
+    where.city = { contains: query.city, mode: 'insensitive' };
+    filters.city = query.city;
+  }
+
+  if (query.type) {
+    where.type = query.type;
+    filters.type = query.type;
+  }
+
+  if (query.property) {
+    where.property = query.property;
+    filters.property = query.property;
+  }
+
+  if (query.bedroom) {
+    filters.bedroom = parseNumberParam(query.bedroom, 'bedroom', (value) => parseInt(value, 10));
+    where.bedroom = { gte: filters.bedroom };
+  }
+
+  if (query.minPrice || query.maxPrice) {
+    where.price = {};
+    if (query.minPrice) {
+      filters.minPrice = parseNumberParam(query.minPrice, 'minPrice');
+      where.price.gte = filters.minPrice;
+    }
+    if (query.maxPrice) {
+      filters.maxPrice = parseNumberParam(query.maxPrice, 'maxPrice');
+      where.price.lte = filters.maxPrice;
+    }
+  }
+
+  // Structured PostDetail attributes
+  const detailWhere = {};
+
+  if (query.amenities) {
+    filters.amenities = parseAmenities(query.amenities);
+    detailWhere.amenities = { hasEvery: filters.amenities };
+  }
+
+  if (query.furnishing) {
+    if (!FURNISHING_STATES.includes(query.furnishing)) {
+      throw new Error(`furnishing must be one of: ${FURNISHING_STATES.join(', ')}`);
+    }
+    filters.furnishing = query.furnishing;
+    detailWhere.furnishing = query.furnishing;
+  }
+
+  if (query.parking) {
+    filters.parking = parseNumberParam(query.parking, 'parking', (value) => parseInt(value, 10));
+    detailWhere.parking = { gte: filters.parking };
+  }
+
+  // availableBy=2026-03-01 keeps listings free by that date, including ones
+  // without an availability date (available now)
+  if (query.availableBy) {
+    filters.availableBy = parseDate(query.availableBy, 'availableBy');
+    detailWhere.OR = [
+      { availableFrom: { isSet: false } },
+      { availableFrom: null },
+      { availableFrom: { lte: filters.availableBy } }
+    ];
+  }
+
+  if (Object.keys(detailWhere).length > 0) {
+    where.postDetail = { is: detailWhere };
+  }
+
+  if (query.near && query.bbox) {
+    throw new Error('Use either near or bbox, not both');
+  }
+  const near = query.near ? parseNearQuery(query.near, query.radiusKm) : null;
+  const bbox = query.bbox ? parseBboxQuery(query.bbox) : null;
+  const q = query.q ? parseSearchQuery(query.q) : null;
+  if (near) filters.near = near;
+  if (bbox) filters.bbox = bbox;
+  if (q) filters.q = q;
+
+  if (query.sort && !SORT_OPTIONS[query.sort]) {
+    throw new Error(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+  // Without an explicit sort, text results come back by relevance and
+  // geo results nearest first
+  const sort = query.sort || null;
+  filters.sort = sort || (q ? 'relevance' : near || bbox ? 'distance' : 'newest');
+
+  const limit = query.limit
+    ? Math.min(parseNumberParam(query.limit, 'limit', (value) => parseInt(value, 10)) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    : DEFAULT_PAGE_SIZE;
+  filters.limit = limit;
+
+  const ranked = Boolean(near || bbox || q);
+  const cursor = query.cursor ? decodeCursor(query.cursor, ranked) : null;
+
+  return { where, filters, near, bbox, q, sort, limit, cursor, ranked };
+};
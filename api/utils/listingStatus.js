@@ -0,0 +1,142 @@
+import prisma from '../lib/prisma.js';
+import { notify, NOTIFICATION_TYPES } from './notifications.js';
+
+export const LISTING_STATUSES = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  UNDER_OFFER: 'under_offer',
+  RENTED: 'rented',
+  SOLD: 'sold',
+  EXPIRED: 'expired'
+};
+
+// Statuses anyone may see and filter on with GET /api/posts?status=. Drafts
+// and expired listings are only shown to their owner and admins.
+export const PUBLIC_STATUSES = [
+  LISTING_STATUSES.ACTIVE,
+  LISTING_STATUSES.UNDER_OFFER,
+  LISTING_STATUSES.RENTED,
+  LISTING_STATUSES.SOLD
+];
+
+// Listings that still count towards the owner's quota
+export const OPEN_STATUSES = [LISTING_STATUSES.DRAFT, LISTING_STATUSES.ACTIVE, LISTING_STATUSES.UNDER_OFFER];
+
+// Moves an owner may make with PATCH /api/posts/:id/status. Expiry is done
+// by the sweep below, and an expired listing comes back through renew.
+const TRANSITIONS = {
+  [LISTING_STATUSES.DRAFT]: [LISTING_STATUSES.ACTIVE],
+  [LISTING_STATUSES.ACTIVE]: [LISTING_STATUSES.UNDER_OFFER, LISTING_STATUSES.RENTED, LISTING_STATUSES.SOLD, LISTING_STATUSES.DRAFT],
+  [LISTING_STATUSES.UNDER_OFFER]: [LISTING_STATUSES.ACTIVE, LISTING_STATUSES.RENTED, LISTING_STATUSES.SOLD],
+  [LISTING_STATUSES.RENTED]: [LISTING_STATUSES.ACTIVE],
+  [LISTING_STATUSES.SOLD]: [LISTING_STATUSES.ACTIVE],
+  [LISTING_STATUSES.EXPIRED]: []
+};
+
+// Days a listing stays up before it expires, unless renewed
+export const LISTING_TTL_DAYS = parseInt(process.env.LISTING_TTL_DAYS, 10) || 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Posts created before statuses existed have none and count as active
+export const statusOf = (post) => post?.status || LISTING_STATUSES.ACTIVE;
+
+export const expiryFrom = (date = new Date()) => new Date(date.getTime() + LISTING_TTL_DAYS * DAY_MS);
+
+// Prisma filter for a list of statuses; 'active' also matches posts without one
+export const listingStatusWhere = (statuses) => {
+  const where = { status: { in: statuses } };
+  return statuses.includes(LISTING_STATUSES.ACTIVE) ? { OR: [where, { status: { isSet: false } }] } : where;
+};
+
+// Active listings past their expiry date are hidden straight away, even
+// before the sweep has marked them expired
+export const notExpiredWhere = () => ({
+  OR: [{ expiresAt: { isSet: false } }, { expiresAt: { gt: new Date() } }]
+});
+
+// Prisma filter for listings anyone may see: not suspended, in one of
+// `statuses` and not past their expiry. Moderation unsets suspendedAt
+// rather than nulling it, so isSet is enough.
+export const publicListingWhere = (statuses = PUBLIC_STATUSES) => ({
+  suspendedAt: { isSet: false },
+  AND: [listingStatusWhere(statuses), notExpiredWhere()]
+});
+
+// Checks an owner's status change. Returns null when allowed, otherwise the
+// reason it isn't.
+export const transitionError = (post, to) => {
+  const from = statusOf(post);
+  if (!Object.values(LISTING_STATUSES).includes(to)) {
+    return `status must be one of: ${Object.values(LISTING_STATUSES).join(', ')}`;
+  }
+  if (from === to) {
+    return `Listing is already ${to.replace('_', ' ')}`;
+  }
+  if (to === LISTING_STATUSES.RENTED && post.type !== 'rent') {
+    return 'Only rental listings can be marked as rented';
+  }
+  if (to === LISTING_STATUSES.SOLD && post.type !== 'buy') {
+    return 'Only listings for sale can be marked as sold';
+  }
+  if (!TRANSITIONS[from].includes(to)) {
+    return from === LISTING_STATUSES.EXPIRED
+      ? 'Renew the listing to make it active again'
+      : `A listing cannot go from ${from.replace('_', ' ')} to ${to.replace('_', ' ')}`;
+  }
+  return null;
+};
+
+// Update data for a status change. Going live starts a fresh expiry
+// period; every other status has no expiry.
+export const statusChangeData = (to, now = new Date()) => ({
+  status: to,
+  statusChangedAt: now,
+  expiresAt: to === LISTING_STATUSES.ACTIVE ? expiryFrom(now) : { unset: true }
+});
+
+// Marks active listings past their expiry date as expired and lets their
+// owners know. Active listings from before expiry existed get a full
+// period from now instead of expiring at once. Returns how many expired.
+export const expireListings = async (now = new Date()) => {
+  const active = listingStatusWhere([LISTING_STATUSES.ACTIVE]);
+
+  await prisma.post.updateMany({
+    where: { AND: [active, { expiresAt: { isSet: false } }] },
+    data: { expiresAt: expiryFrom(now) }
+  });
+
+  const due = await prisma.post.findMany({
+    where: { AND: [active, { expiresAt: { lte: now } }] },
+    select: { id: true, title: true, userId: true }
+  });
+  if (due.length === 0) return 0;
+
+  await prisma.post.updateMany({
+    where: { id: { in: due.map((post) => post.id) } },
+    data: { status: LISTING_STATUSES.EXPIRED, statusChangedAt: now, expiresAt: { unset: true } }
+  });
+
+  for (const post of due) {
+    notify({
+      userId: post.userId,
+      type: NOTIFICATION_TYPES.LISTING_EXPIRED,
+      message: `Your listing "${post.title}" has expired. Renew it to show it in search again.`,
+      postId: post.id
+    });
+  }
+  return due.length;
+};
+
+// Runs expireListings now and then every hour
+export const startExpirySweep = () => {
+  const sweep = () => {
+    expireListings()
+      .then((count) => count && console.log(`⏰ Expired ${count} listings`))
+      .catch((err) => console.error('❌ Error expiring listings:', err));
+  };
+
+  sweep();
+  return setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+};
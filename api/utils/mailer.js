@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Pluggable outgoing mail. MAIL_TRANSPORT picks the transport:
+//   "file"    (default without SMTP_HOST) writes each message to MAIL_OUTBOX_DIR
+//             and logs its path, so flows can be tested offline
+//   "console" logs the whole message
+//   "smtp"    sends through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+// Every transport takes { to, subject, text, html }.
+
+const DEFAULT_OUTBOX_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mail-outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'Property State <no-reply@propertystate.local>';
+
+const createFileTransport = (dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) => async (message) => {
+  await fs.mkdir(dir, { recursive: true });
+  const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+  const filePath = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+  await fs.writeFile(filePath, JSON.stringify({ from: MAIL_FROM, ...message, date: new Date().toISOString() }, null, 2));
+  console.log(`📧 Mail to ${message.to} ("${message.subject}") written to ${filePath}`);
+};
+
+const createConsoleTransport = () => async (message) => {
+  console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+};
+
+// nodemailer is only loaded when SMTP is used
+const createSmtpTransport = async () => {
+  const { default: nodemailer } = await import('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return async (message) => {
+    await transporter.sendMail({ from: MAIL_FROM, ...message });
+    console.log(`📧 Mail to ${message.to} sent: ${message.subject}`);
+  };
+};
+
+let transportPromise = null;
+
+const getTransport = () => {
+  if (!transportPromise) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    if (name === 'smtp') {
+      transportPromise = createSmtpTransport();
+    } else if (name === 'console') {
+      transportPromise = Promise.resolve(createConsoleTransport());
+    } else if (name === 'file') {
+      transportPromise = Promise.resolve(createFileTransport());
+    } else {
+      transportPromise = Promise.reject(new Error(`Unknown MAIL_TRANSPORT "${name}"`));
+    }
+    console.log(`📮 Mail transport: ${name}`);
+  }
+  return transportPromise;
+};
+
+export const sendMail = async (message) => {
+  const transport = await getTransport();
+  await transport(message);
+};
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import path from 'path';
+import { getStorage, getPrivateStorage, absoluteUrl } from './storage.js';
+import { processImage, ACCEPTED_IMAGE_TYPES } from './images.js';
+import { statusOf, PUBLIC_STATUSES } from './listingStatus.js';
+
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  ATTACHMENT: 'attachment',
+  LISTING: 'listing'
+};
+
+export const ATTACHMENT_KINDS = {
+  IMAGE: 'image',
+  DOCUMENT: 'document'
+};
+
+// Photos are re-encoded like listing images; documents are stored as sent,
+// privately, and only handed out by downloadAttachment
+export const ACCEPTED_DOCUMENT_TYPES = ['application/pdf'];
+export const ACCEPTED_ATTACHMENT_TYPES = [...ACCEPTED_IMAGE_TYPES, ...ACCEPTED_DOCUMENT_TYPES];
+
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Listing fields a shared-listing message carries for its card
+export const SHARED_POST_SELECT = {
+  id: true,
+  title: true,
+  price: true,
+  images: true,
+  address: true,
+  city: true,
+  bedroom: true,
+  bathroom: true,
+  type: true,
+  property: true,
+  status: true,
+  suspendedAt: true,
+  createdAt: true,
+  userId: true
+};
+
+// Original names are only displayed and offered as the download's file
+// name; storage keys never contain them
+const safeFileName = (name) =>
+  path.basename(name || 'file').replace(/[^\w.\- ]+/g, '_').slice(-120) || 'file';
+
+// Checks and processes every file before anything is stored, so one bad
+// file doesn't leave part of a message's attachments behind. Returns
+// { prepared } or { error }.
+export const prepareAttachments = async (files) => {
+  const prepared = [];
+  for (const file of files) {
+    const name = safeFileName(file.originalname);
+
+    if (ACCEPTED_DOCUMENT_TYPES.includes(file.mimetype)) {
+      // The declared type is the client's word; the bytes must agree
+      if (file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        return { error: `${name} is not a valid PDF` };
+      }
+      prepared.push({ kind: ATTACHMENT_KINDS.DOCUMENT, name, file });
+      continue;
+    }
+
+    try {
+      prepared.push({ kind: ATTACHMENT_KINDS.IMAGE, name, file, variants: await processImage(file.buffer) });
+    } catch (err) {
+      console.warn(`⚠️ Rejected attachment ${name}:`, err.message);
+      return { error: `${name} is not a valid image` };
+    }
+  }
+  return { prepared };
+};
+
+// Writes prepared files to the upload stores and returns the attachment
+// records saved on the message. Images keep a thumbnail and a large JPEG;
+// documents keep only their private storage key.
+export const storeAttachments = async (prepared, req) => {
+  const [storage, privateStorage] = await Promise.all([getStorage(), getPrivateStorage()]);
+
+  return Promise.all(prepared.map(async ({ kind, name, file, variants }) => {
+    const prefix = `attachments/${req.userId}/${crypto.randomUUID()}`;
+
+    if (kind === ATTACHMENT_KINDS.DOCUMENT) {
+      const key = await privateStorage.put(`${prefix}/document.pdf`, file.buffer, 'application/pdf');
+      return { kind, key, name, contentType: 'application/pdf', size: file.size };
+    }
+
+    const [thumbnailUrl, url] = await Promise.all([
+      storage.put(`${prefix}/thumbnail.jpg`, variants.thumbnail.buffer, 'image/jpeg'),
+      storage.put(`${prefix}/large.jpg`, variants.large.buffer, 'image/jpeg')
+    ]);
+    return {
+      kind,
+      url: absoluteUrl(req, url),
+      thumbnailUrl: absoluteUrl(req, thumbnailUrl),
+      name,
+      contentType: 'image/jpeg',
+      size: variants.large.buffer.length,
+      width: variants.large.width,
+      height: variants.large.height
+    };
+  }));
+};
+
+// Reads a stored document back for downloadAttachment
+export const readDocument = async (attachment) => (await getPrivateStorage()).get(attachment.key);
+
+// A shared listing is only shown while the public could still open it
+export const isShareableListing = (post) =>
+  Boolean(post) && !post.suspendedAt && PUBLIC_STATUSES.includes(statusOf(post));
+
+// One line for conversation lists and notifications
+export const messagePreview = (message) => {
+  const caption = message.content?.trim();
+  if (message.type === MESSAGE_TYPES.LISTING) {
+    return caption || `🏠 Shared a listing${message.sharedPost ? `: ${message.sharedPost.title}` : ''}`;
+  }
+  if (message.attachments?.length > 0) {
+    const [first] = message.attachments;
+    const label = first.kind === ATTACHMENT_KINDS.IMAGE ? '📷 Photo' : `📎 ${first.name}`;
+    const more = message.attachments.length > 1 ? ` (+${message.attachments.length - 1})` : '';
+    return caption || `${label}${more}`;
+  }
+  return message.content || '';
+};
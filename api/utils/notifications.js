@@ -0,0 +1,29 @@
+import prisma from '../lib/prisma.js';
+import { emitToUser } from './socketBridge.js';
+
+export const NOTIFICATION_TYPES = {
+  NEW_MESSAGE: 'new_message',
+  NEW_CONVERSATION: 'new_conversation',
+  POST_SAVED: 'post_saved',
+  SAVED_SEARCH_MATCH: 'saved_search_match',
+  LISTING_EXPIRED: 'listing_expired',
+  PRICE_DROP: 'price_drop'
+};
+
+// Stores a notification and pushes it live to the recipient's open tabs
+export const createNotification = async (data) => {
+  const notification = await prisma.notification.create({ data });
+  emitToUser(notification.userId, 'notification:new', notification);
+  return notification;
+};
+
+// Fire-and-forget variant for controllers: a failed notification never
+// fails the request that triggered it, and users are never notified about
+// their own actions.
+export const notify = (data) => {
+  if (!data.userId || data.userId === data.actorId) return;
+
+  createNotification(data).catch((err) => {
+    console.error(`❌ Error creating ${data.type} notification:`, err);
+  });
+};
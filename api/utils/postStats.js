@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+
+export const STAT_FIELDS = ['views', 'saves', 'inquiries'];
+
+export const DEFAULT_STATS_DAYS = 30;
+export const MAX_STATS_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days are UTC calendar dates, e.g. "2026-03-01"
+export const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// The last `days` day keys, oldest first, ending today
+const lastDays = (days, now = new Date()) =>
+  Array.from({ length: days }, (_, index) => dayKey(new Date(now.getTime() - (days - 1 - index) * DAY_MS)));
+
+// Signed-in viewers are counted by id. Guests get a hash of IP and user
+// agent, so no raw addresses are stored.
+const viewerKeyFor = (req) => {
+  if (req.userId) return `user:${req.userId}`;
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `guest:${crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 32)}`;
+};
+
+// Adds one to today's counter for a listing. Two requests can race to
+// create the day's row, so a duplicate-key error is retried as an update.
+export const bumpPostStat = async (postId, field) => {
+  const day = dayKey();
+  const upsert = () => prisma.postDailyStat.upsert({
+    where: { postId_day: { postId, day } },
+    create: { postId, day, [field]: 1 },
+    update: { [field]: { increment: 1 } }
+  });
+
+  try {
+    await upsert();
+  } catch (err) {
+    if (err.code !== 'P2002') throw err;
+    await upsert();
+  }
+};
+
+// Fire-and-forget variant for controllers; stats never fail a request
+export const trackPostStat = (postId, field) => {
+  bumpPostStat(postId, field).catch((err) => {
+    console.error(`❌ Error counting ${field} for post ${postId}:`, err);
+  });
+};
+
+// Counts a view of `post` unless it is the owner's own, or this viewer has
+// already been counted today
+export const trackPostView = (post, req) => {
+  if (req.userId && req.userId === post.userId) return;
+
+  prisma.postView
+    .create({ data: { postId: post.id, viewerKey: viewerKeyFor(req), day: dayKey() } })
+    .then(() => bumpPostStat(post.id, 'views'))
+    .catch((err) => {
+      if (err.code === 'P2002') return;
+      console.error(`❌ Error counting view of post ${post.id}:`, err);
+    });
+};
+
+// ?days= for the stats endpoints, between 1 and MAX_STATS_DAYS
+export const parseStatsDays = (value) => {
+  if (value === undefined || value === '') return DEFAULT_STATS_DAYS;
+  const days = parseInt(value, 10);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+    throw new Error(`days must be between 1 and ${MAX_STATS_DAYS}`);
+  }
+  return days;
+};
+
+// All-time totals plus a zero-filled daily series for the last `days` days
+// for each of `postIds`. Returns a Map of postId -> { totals, series }.
+export const getPostsStats = async (postIds, days = DEFAULT_STATS_DAYS) => {
+  const dayKeys = lastDays(days);
+  const [totals, recent] = await Promise.all([
+    prisma.postDailyStat.groupBy({
+      by: ['postId'],
+      where: { postId: { in: postIds } },
+      _sum: { views: true, saves: true, inquiries: true }
+    }),
+    prisma.postDailyStat.findMany({
+      where: { postId: { in: postIds }, day: { gte: dayKeys[0] } }
+    })
+  ]);
+
+  const totalsByPost = new Map(totals.map((row) => [row.postId, row._sum]));
+  const rowsByKey = new Map(recent.map((row) => [`${row.postId}:${row.day}`, row]));
+
+  return new Map(postIds.map((postId) => {
+    const sums = totalsByPost.get(postId) || {};
+    return [postId, {
+      totals: Object.fromEntries(STAT_FIELDS.map((field) => [field, sums[field] || 0])),
+      series: dayKeys.map((day) => {
+        const row = rowsByKey.get(`${postId}:${day}`);
+        return { day, ...Object.fromEntries(STAT_FIELDS.map((field) => [field, row?.[field] || 0])) };
+      })
+    }];
+  }));
+};
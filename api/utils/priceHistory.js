@@ -0,0 +1,67 @@
+import prisma from '../lib/prisma.js';
+import { notify, NOTIFICATION_TYPES } from './notifications.js';
+
+// Prices are stored as floats; anything that isn't a positive finite number
+// is rejected rather than silently rounded. Returns { price } or { error }.
+export const parsePrice = (value) => {
+  const price = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: 'price must be a positive number' };
+  }
+  return { price: Math.round(price * 100) / 100 };
+};
+
+// The listing's prices oldest first, as [{ price, date }]. Listings from
+// before price history existed start from their current price, or, once
+// they have changed, from the first entry's previousPrice at creation.
+export const priceTimeline = (post, entries) => {
+  if (!entries?.length) {
+    return [{ price: post.price, date: post.createdAt }];
+  }
+  const sorted = [...entries].sort((a, b) => a.createdAt - b.createdAt);
+  const timeline = sorted.map((entry) => ({ price: entry.price, date: entry.createdAt }));
+
+  const { previousPrice } = sorted[0];
+  if (previousPrice !== null && previousPrice !== undefined) {
+    timeline.unshift({ price: previousPrice, date: post.createdAt });
+  }
+  return timeline;
+};
+
+// { from, to, percent, date } when the latest change was a price cut,
+// otherwise null. percent is rounded to a whole number.
+export const latestReduction = (timeline) => {
+  if (timeline.length < 2) return null;
+
+  const { price: from } = timeline[timeline.length - 2];
+  const { price: to, date } = timeline[timeline.length - 1];
+  if (to >= from) return null;
+
+  return { from, to, percent: Math.round(((from - to) / from) * 100), date };
+};
+
+// Tells everyone who saved the listing that its price went down. Like
+// notify(), this never fails the request that changed the price.
+export const notifyPriceDrop = async (post, previousPrice) => {
+  try {
+    const savers = await prisma.savedPost.findMany({
+      where: { postId: post.id },
+      select: { userId: true }
+    });
+    const percent = Math.round(((previousPrice - post.price) / previousPrice) * 100);
+
+    for (const { userId } of savers) {
+      notify({
+        userId,
+        type: NOTIFICATION_TYPES.PRICE_DROP,
+        message: `Price dropped ${percent}% on "${post.title}": now $${post.price.toLocaleString('en-US')}`,
+        actorId: post.userId,
+        postId: post.id
+      });
+    }
+    return savers.length;
+  } catch (err) {
+    console.error(`❌ Error notifying savers of post ${post.id} about a price drop:`, err);
+    return 0;
+  }
+};
@@ -0,0 +1,129 @@
+import prisma from '../lib/prisma.js';
+
+export const REPORT_TARGET_TYPES = ['post', 'user', 'message'];
+
+export const REPORT_REASONS = [
+  'scam',
+  'duplicate',
+  'misleading',
+  'spam',
+  'inappropriate',
+  'harassment',
+  'other'
+];
+
+export const REPORT_STATUSES = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed'
+};
+
+const MAX_DETAILS_LENGTH = 1000;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Per-reporter limits, counted from the reports table so they hold across
+// API instances and restarts
+const RATE_LIMITS = [
+  { windowMs: 60 * 60 * 1000, max: 5 },
+  { windowMs: 24 * 60 * 60 * 1000, max: 20 }
+];
+
+// Validates POST /api/reports. 'other' needs details to be actionable.
+// Returns { report } or { error }.
+export const parseReport = (body = {}) => {
+  const { targetType, targetId, reason } = body;
+  const details = typeof body.details === 'string' ? body.details.trim() : '';
+
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    return { error: `targetType must be one of: ${REPORT_TARGET_TYPES.join(', ')}` };
+  }
+  if (!OBJECT_ID_PATTERN.test(targetId || '')) {
+    return { error: 'targetId is invalid' };
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${REPORT_REASONS.join(', ')}` };
+  }
+  if (reason === 'other' && !details) {
+    return { error: 'Please describe the problem' };
+  }
+  if (details.length > MAX_DETAILS_LENGTH) {
+    return { error: `details must be at most ${MAX_DETAILS_LENGTH} characters` };
+  }
+
+  return { report: { targetType, targetId, reason, details: details || null } };
+};
+
+// Seconds until the reporter may report again, or 0 if they are under every limit
+export const reportRetryAfter = async (reporterId) => {
+  const now = Date.now();
+
+  for (const { windowMs, max } of RATE_LIMITS) {
+    const recent = await prisma.report.findMany({
+      where: { reporterId, createdAt: { gte: new Date(now - windowMs) } },
+      select: { createdAt: true },
+      orderBy: { createdAt: 'asc' },
+      take: max
+    });
+    if (recent.length >= max) {
+      // Free again once the oldest report in the window ages out
+      return Math.ceil((recent[0].createdAt.getTime() + windowMs - now) / 1000);
+    }
+  }
+  return 0;
+};
+
+// Checks the target exists and the reporter may report it. Users can't
+// report themselves or their own listings, and only see messages in their
+// own conversations. Returns { ownerId } (who the report is about) or
+// { status, error }.
+export const checkReportTarget = async ({ targetType, targetId }, reporterId) => {
+  if (targetType === 'post') {
+    const post = await prisma.post.findUnique({ where: { id: targetId }, select: { userId: true } });
+    if (!post) return { status: 404, error: 'Listing not found' };
+    if (post.userId === reporterId) return { status: 400, error: 'You cannot report your own listing' };
+    return { ownerId: post.userId };
+  }
+
+  if (targetType === 'user') {
+    if (targetId === reporterId) return { status: 400, error: 'You cannot report yourself' };
+    const user = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true } });
+    if (!user) return { status: 404, error: 'User not found' };
+    return { ownerId: user.id };
+  }
+
+  const message = await prisma.message.findUnique({
+    where: { id: targetId },
+    select: { senderId: true, conversation: { select: { user1Id: true, user2Id: true } } }
+  });
+  const participants = [message?.conversation.user1Id, message?.conversation.user2Id];
+  if (!message || !participants.includes(reporterId)) return { status: 404, error: 'Message not found' };
+  if (message.senderId === reporterId) return { status: 400, error: 'You cannot report your own message' };
+  return { ownerId: message.senderId };
+};
+
+// Short descriptions of report targets for the admin queue, keyed by
+// "type:id". Deleted targets are simply missing.
+export const describeReportTargets = async (reports) => {
+  const idsOf = (type) => [...new Set(reports.filter((r) => r.targetType === type).map((r) => r.targetId))];
+
+  const [posts, users, messages] = await Promise.all([
+    prisma.post.findMany({
+      where: { id: { in: idsOf('post') } },
+      select: { id: true, title: true, suspendedAt: true, user: { select: { id: true, username: true } } }
+    }),
+    prisma.user.findMany({
+      where: { id: { in: idsOf('user') } },
+      select: { id: true, username: true, email: true, suspendedAt: true }
+    }),
+    prisma.message.findMany({
+      where: { id: { in: idsOf('message') } },
+      select: { id: true, content: true, conversationId: true, createdAt: true, sender: { select: { id: true, username: true } } }
+    })
+  ]);
+
+  return new Map([
+    ...posts.map((post) => [`post:${post.id}`, post]),
+    ...users.map((user) => [`user:${user.id}`, user]),
+    ...messages.map((message) => [`message:${message.id}`, message])
+  ]);
+};
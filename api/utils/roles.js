@@ -0,0 +1,36 @@
+export const ROLES = {
+  BUYER: 'buyer',
+  OWNER: 'owner',
+  AGENT: 'agent',
+  ADMIN: 'admin'
+};
+
+// Active listings a user may have; admins are unlimited. Agents get a larger
+// quota once an admin has verified them.
+export const LISTING_QUOTAS = {
+  [ROLES.BUYER]: 3,
+  [ROLES.OWNER]: 10,
+  [ROLES.AGENT]: 25,
+  verifiedAgent: 100
+};
+
+// Users created before roles existed have no role and count as buyers
+export const roleOf = (user) => user?.role || ROLES.BUYER;
+
+// Registration picks the role from the wizard's account type. Admin is never
+// self-assigned; it is granted through PATCH /api/users/:id/role.
+export const roleForUserType = (userType) => {
+  if (userType === 'agent') return ROLES.AGENT;
+  if (userType === 'landlord') return ROLES.OWNER;
+  return ROLES.BUYER;
+};
+
+export const isVerifiedAgent = (user) => roleOf(user) === ROLES.AGENT && Boolean(user.agentVerifiedAt);
+
+// null means no limit
+export const listingQuotaFor = (user) => {
+  const role = roleOf(user);
+  if (role === ROLES.ADMIN) return null;
+  if (isVerifiedAgent(user)) return LISTING_QUOTAS.verifiedAgent;
+  return LISTING_QUOTAS[role];
+};
@@ -0,0 +1,89 @@
+import prisma from '../lib/prisma.js';
+import { createNotification, NOTIFICATION_TYPES } from './notifications.js';
+
+// Same semantics as the getPosts filters: city is a case-insensitive
+// substring, bedroom is a minimum and prices are inclusive bounds.
+// Criteria left empty (null) match every post.
+export const matchesSavedSearch = (search, post) => {
+  if (search.city && !post.city?.toLowerCase().includes(search.city.toLowerCase())) return false;
+  if (search.type && post.type !== search.type) return false;
+  if (search.property && post.property !== search.property) return false;
+  if (search.bedroom != null && (post.bedroom ?? 0) < search.bedroom) return false;
+  if (search.minPrice != null && post.price < search.minPrice) return false;
+  if (search.maxPrice != null && post.price > search.maxPrice) return false;
+  return true;
+};
+
+const SEARCH_BATCH_SIZE = 500;
+
+// A saved city matches as a substring, so the searches worth loading are
+// those whose city is one of the post city's substrings
+const citySubstrings = (city = '') => {
+  const lower = city.toLowerCase();
+  const substrings = new Set();
+  for (let start = 0; start < lower.length; start++) {
+    for (let end = start + 1; end <= lower.length; end++) {
+      substrings.add(lower.slice(start, end));
+    }
+  }
+  return [...substrings];
+};
+
+// An optional criterion that was left empty or that `condition` satisfies
+const emptyOr = (field, condition) => ({
+  OR: [{ [field]: null }, { [field]: { isSet: false } }, { [field]: condition }]
+});
+
+// Prisma filter for the saved searches `post` can match, mirroring
+// matchesSavedSearch so only likely matches are read from the database
+export const savedSearchCandidateWhere = (post) => ({
+  userId: { not: post.userId },
+  AND: [
+    emptyOr('city', { in: citySubstrings(post.city), mode: 'insensitive' }),
+    emptyOr('type', post.type),
+    emptyOr('property', post.property),
+    emptyOr('bedroom', { lte: post.bedroom ?? 0 }),
+    emptyOr('minPrice', { lte: post.price }),
+    emptyOr('maxPrice', { gte: post.price })
+  ]
+});
+
+// Checks a newly created post against other users' saved searches and
+// records one notification per matching user. Searches are read in batches
+// of SEARCH_BATCH_SIZE. Returns how many notifications were created.
+export const notifySavedSearchMatches = async (post) => {
+  const where = savedSearchCandidateWhere(post);
+  // A user with several matching searches still gets a single notification
+  const notifiedUsers = new Set();
+  let searches = [];
+
+  do {
+    const lastId = searches.at(-1)?.id;
+    searches = await prisma.savedSearch.findMany({
+      where: lastId ? { ...where, id: { gt: lastId } } : where,
+      orderBy: { id: 'asc' },
+      take: SEARCH_BATCH_SIZE
+    });
+
+    const matches = [];
+    for (const search of searches) {
+      if (!notifiedUsers.has(search.userId) && matchesSavedSearch(search, post)) {
+        notifiedUsers.add(search.userId);
+        matches.push(search);
+      }
+    }
+
+    await Promise.all(matches.map((search) =>
+      createNotification({
+        userId: search.userId,
+        type: NOTIFICATION_TYPES.SAVED_SEARCH_MATCH,
+        message: `New listing for "${search.name}": ${post.title}`,
+        actorId: post.userId,
+        postId: post.id,
+        savedSearchId: search.id
+      })
+    ));
+  } while (searches.length === SEARCH_BATCH_SIZE);
+
+  return notifiedUsers.size;
+};
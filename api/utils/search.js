@@ -0,0 +1,160 @@
+import prisma from '../lib/prisma.js';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+// Candidates pulled from each collection before the regular filters apply
+const MAX_TEXT_MATCHES = 500;
+const SNIPPET_LENGTH = 160;
+
+// MongoDB allows one text index per collection, and the description lives on
+// PostDetail, so each collection gets its own index. Weights make a hit in the
+// title count far more than one buried in the description.
+const TEXT_INDEXES = [
+  {
+    collection: 'Post',
+    index: {
+      key: { title: 'text', address: 'text', city: 'text' },
+      weights: { title: 10, city: 5, address: 3 },
+      name: 'post_text'
+    }
+  },
+  {
+    collection: 'PostDetail',
+    index: {
+      key: { desc: 'text', utilities: 'text' },
+      weights: { desc: 2, utilities: 1 },
+      name: 'postdetail_text'
+    }
+  }
+];
+
+const SNIPPET_FIELDS = ['title', 'address', 'city', 'desc', 'utilities'];
+// Long fields are cut down to a window around the first hit
+const LONG_FIELDS = ['desc', 'utilities'];
+
+const toId = (value) => value?.$oid || String(value);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// q=downtown apartment
+export const parseSearchQuery = (q) => {
+  const text = String(q).trim().replace(/\s+/g, ' ');
+  if (text.length < MIN_QUERY_LENGTH || text.length > MAX_QUERY_LENGTH) {
+    throw new Error(`q must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`);
+  }
+  return text;
+};
+
+const textSearchPipeline = (q, idField) => [
+  { $match: { $text: { $search: q } } },
+  { $project: { [idField]: 1, score: { $meta: 'textScore' } } },
+  { $sort: { score: -1 } },
+  { $limit: MAX_TEXT_MATCHES }
+];
+
+// Returns a Map of post id -> relevance score. A post matching in both its
+// own fields and its description gets both scores added together.
+export const findTextMatches = async (q) => {
+  const [postHits, detailHits] = await Promise.all([
+    prisma.post.aggregateRaw({ pipeline: textSearchPipeline(q, '_id') }),
+    prisma.postDetail.aggregateRaw({ pipeline: textSearchPipeline(q, 'postId') })
+  ]);
+
+  const scores = new Map();
+  for (const doc of postHits) {
+    scores.set(toId(doc._id), doc.score);
+  }
+  for (const doc of detailHits) {
+    const id = toId(doc.postId);
+    scores.set(id, (scores.get(id) || 0) + doc.score);
+  }
+
+  for (const [id, score] of scores) {
+    scores.set(id, Math.round(score * 100) / 100);
+  }
+  return scores;
+};
+
+// MongoDB stems words ("apartments" matches "apartment"), so highlighting
+// matches on a crude stem rather than the exact term. Negated (-word) terms
+// and phrase quotes are dropped.
+const toHighlightPatterns = (q) =>
+  q
+    .replace(/"/g, ' ')
+    .split(' ')
+    .filter((term) => term.length >= MIN_QUERY_LENGTH && !term.startsWith('-'))
+    .map((term) => term.toLowerCase().replace(/(ing|ed|es|s)$/, '') || term.toLowerCase())
+    .map((stem) => new RegExp(`\\b${escapeRegExp(stem)}\\w*`, 'gi'));
+
+const findRanges = (text, patterns) => {
+  const ranges = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  // Sort and merge overlapping hits so clients can render them in one pass
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+// Cuts a long text down to SNIPPET_LENGTH characters around its first hit,
+// shifting the highlight ranges to match the shortened text
+const windowSnippet = (text, ranges) => {
+  if (text.length <= SNIPPET_LENGTH) return { text, highlights: ranges };
+
+  let start = Math.max(0, ranges[0][0] - 40);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > ranges[0][0] ? start : space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+};
+
+// One snippet per field the query matched, e.g.
+// { field: 'desc', text: '…modern amenities in the heart of downtown.', highlights: [[33, 41]] }
+export const buildSnippets = (post, q) => {
+  const patterns = toHighlightPatterns(q);
+  const values = { ...post, ...post.postDetail };
+
+  return SNIPPET_FIELDS.flatMap((field) => {
+    const text = values[field];
+    if (!text) return [];
+
+    const ranges = findRanges(text, patterns);
+    if (ranges.length === 0) return [];
+
+    return [{ field, ...(LONG_FIELDS.includes(field) ? windowSnippet(text, ranges) : { text, highlights: ranges }) }];
+  });
+};
+
+// $text needs these indexes. Prisma cannot declare text indexes for MongoDB,
+// so they are created here (createIndexes is idempotent).
+export const ensureSearchIndexes = async () => {
+  for (const { collection, index } of TEXT_INDEXES) {
+    await prisma.$runCommandRaw({
+      createIndexes: collection,
+      indexes: [index]
+    });
+  }
+};
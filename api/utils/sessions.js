@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+// Two tabs refreshing at once both present the same token; the slower one
+// is let through for this long instead of being treated as token theft
+const ROTATION_GRACE_MS = 30 * 1000;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+// revokedAt is never written until a session is revoked, and on MongoDB a
+// missing field doesn't match `null`
+const NOT_REVOKED = { isSet: false };
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Access tokens carry the session id (sid) so logout can find the session.
+// They are not checked against the database, so a revoked session's access
+// token keeps working until it expires - at most ACCESS_TOKEN_TTL_SECONDS.
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!OBJECT_ID_PATTERN.test(sessionId || '') || !secret) return null;
+  return { sessionId, secret };
+};
+
+const issueTokens = (user, session, secret) => ({
+  accessToken: signAccessToken(user, session.id),
+  refreshToken: `${session.id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+export const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashSecret(secret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      userAgent: req.get('user-agent')?.slice(0, 255) || null,
+      ip: req.ip || null
+    }
+  });
+
+  return issueTokens(user, session, secret);
+};
+
+// Swaps a refresh token for a new access/refresh pair. Returns null when the
+// token is unknown, expired or revoked. Presenting an already rotated token
+// outside the grace window means it was copied, so the whole session is
+// revoked.
+export const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user: { select: { id: true, email: true } } }
+  });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  const isCurrent = presentedHash === session.tokenHash;
+  const isRecentPrevious = presentedHash === session.previousTokenHash &&
+    session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+  if (!isCurrent && !isRecentPrevious) {
+    console.warn(`⚠️ Refresh token reuse on session ${session.id} - revoking it`);
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const secret = newSecret();
+  const now = new Date();
+  await prisma.session.update({
+    where: { id: session.id },
+    data: {
+      tokenHash: hashSecret(secret),
+      // Keep the grace window anchored to the first rotation of this token
+      ...(isCurrent && { previousTokenHash: session.tokenHash, rotatedAt: now }),
+      lastUsedAt: now
+    }
+  });
+
+  return { user: session.user, ...issueTokens(session.user, session, secret) };
+};
+
+export const sessionIdFromRefreshToken = (refreshToken) =>
+  parseRefreshToken(refreshToken)?.sessionId || null;
+
+export const revokeSession = async (sessionId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: NOT_REVOKED },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+};
+
+export const revokeAllSessions = async (userId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: NOT_REVOKED },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+};
+
+// Cross-site in production (client and API on different hosts), so the
+// cookies need SameSite=None, which browsers only accept with Secure
+const cookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax'
+  };
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('token', accessToken, { ...cookieOptions(), maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 });
+  res.cookie('refreshToken', refreshToken, { ...cookieOptions(), maxAge: REFRESH_TOKEN_TTL_MS, path: '/api/auth' });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie('token', cookieOptions());
+  res.clearCookie('refreshToken', { ...cookieOptions(), path: '/api/auth' });
+};
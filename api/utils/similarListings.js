@@ -0,0 +1,63 @@
+import { LISTING_STATUSES, publicListingWhere } from './listingStatus.js';
+
+// Listings within this distance count as nearby even in another city
+export const SIMILAR_RADIUS_KM = 15;
+
+// Candidates must be priced within this fraction of the listing's price
+export const SIMILAR_PRICE_BAND = 0.4;
+
+export const DEFAULT_SIMILAR_LIMIT = 6;
+export const MAX_SIMILAR_LIMIT = 12;
+
+// Most candidates a single request scores in memory
+export const SIMILAR_CANDIDATE_LIMIT = 200;
+
+// Scoring weights; a perfect match on everything scores 10
+const WEIGHTS = { location: 4, property: 2, price: 2.5, bedroom: 1.5 };
+
+// Active listings of the same type (rent or buy) in the price band, in the
+// same city or among `nearbyIds`, excluding `post` itself
+export const similarCandidateWhere = (post, nearbyIds = []) => {
+  const where = {
+    id: { not: post.id },
+    type: post.type,
+    ...publicListingWhere([LISTING_STATUSES.ACTIVE]),
+    OR: [{ city: { equals: post.city, mode: 'insensitive' } }]
+  };
+
+  if (nearbyIds.length > 0) {
+    where.OR.push({ id: { in: nearbyIds } });
+  }
+  if (post.price > 0) {
+    where.price = {
+      gte: post.price * (1 - SIMILAR_PRICE_BAND),
+      lte: post.price * (1 + SIMILAR_PRICE_BAND)
+    };
+  }
+  return where;
+};
+
+// 0-10: how closely `candidate` matches `post`. Location uses the distance
+// when both have coordinates and falls back to the city name otherwise.
+export const scoreSimilarity = (post, candidate, distanceKm) => {
+  let location = 0;
+  if (distanceKm !== undefined && distanceKm !== null) {
+    location = Math.max(0, 1 - distanceKm / SIMILAR_RADIUS_KM);
+  } else if (candidate.city?.toLowerCase() === post.city?.toLowerCase()) {
+    location = 0.75;
+  }
+
+  const property = candidate.property === post.property ? 1 : 0;
+
+  const priceGap = post.price > 0 ? Math.abs(candidate.price - post.price) / (post.price * SIMILAR_PRICE_BAND) : 1;
+  const price = Math.max(0, 1 - priceGap);
+
+  const bedroomGap = Math.abs((candidate.bedroom ?? 0) - (post.bedroom ?? 0));
+  const bedroom = bedroomGap === 0 ? 1 : bedroomGap === 1 ? 0.5 : 0;
+
+  const score = WEIGHTS.location * location
+    + WEIGHTS.property * property
+    + WEIGHTS.price * price
+    + WEIGHTS.bedroom * bedroom;
+  return Math.round(score * 100) / 100;
+};
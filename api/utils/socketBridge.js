@@ -0,0 +1,40 @@
+// Pushes events to connected clients through the socket server's internal
+// HTTP endpoint. Delivery is best-effort: the database stays the source of
+// truth and clients catch up by refetching when they reconnect.
+let warnedMissingKey = false;
+
+export const emitToUser = async (userId, event, data) => {
+  const socketServerUrl = process.env.SOCKET_SERVER_URL || 'http://localhost:4001';
+  const internalKey = process.env.INTERNAL_API_KEY;
+
+  if (!internalKey) {
+    if (!warnedMissingKey) {
+      console.warn('⚠️ INTERNAL_API_KEY is not set - live socket pushes are disabled');
+      warnedMissingKey = true;
+    }
+    return false;
+  }
+
+  try {
+    const response = await fetch(`${socketServerUrl}/internal/events`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-internal-key': internalKey
+      },
+      body: JSON.stringify({ userId, event, data }),
+      signal: AbortSignal.timeout(3000)
+    });
+
+    if (!response.ok) {
+      console.warn(`⚠️ Socket server rejected ${event} for user ${userId}: ${response.status}`);
+      return false;
+    }
+    // True when at least one of the user's tabs was connected to receive it
+    const { delivered } = await response.json();
+    return Boolean(delivered);
+  } catch (error) {
+    console.warn(`⚠️ Could not push ${event} to user ${userId}:`, error.message);
+    return false;
+  }
+};
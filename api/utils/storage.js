@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Pluggable file storage for uploads. Every adapter exposes
+//   put(key, buffer, contentType) -> public URL (absolute, or a /uploads path)
+//   get(key) -> Buffer
+//   remove(key)
+// STORAGE_DRIVER picks one: "local" (default) writes under UPLOAD_DIR and is
+// served by app.js at /uploads; "s3" talks to any S3-compatible bucket.
+//
+// getPrivateStorage() is the same for files only the API may hand out, such
+// as chat documents. Its put() returns the key instead of a URL.
+
+const API_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(API_DIR, 'uploads');
+
+// Must not be inside UPLOAD_DIR, which is served to anyone
+export const PRIVATE_UPLOAD_DIR = process.env.PRIVATE_UPLOAD_DIR || path.join(API_DIR, 'private-uploads');
+
+const joinUrl = (base, key) => `${base.replace(/\/+$/, '')}/${key}`;
+
+// `publicUrl: null` makes a private store
+export const createLocalStorage = ({ dir = UPLOAD_DIR, publicUrl = process.env.UPLOADS_PUBLIC_URL || '/uploads' } = {}) => ({
+  put: async (key, buffer) => {
+    const filePath = path.join(dir, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return publicUrl ? joinUrl(publicUrl, key) : key;
+  },
+
+  get: (key) => fs.readFile(path.join(dir, key)),
+
+  remove: async (key) => {
+    await fs.rm(path.join(dir, key), { force: true });
+  }
+});
+
+// The AWS SDK is only loaded when the S3 driver is selected
+export const createS3Storage = async ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  publicUrl = process.env.S3_PUBLIC_URL,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  isPrivate = false,
+  keyPrefix = ''
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = await import('@aws-sdk/client-s3');
+  // Credentials come from S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY or the
+  // SDK's usual chain (AWS_* variables, instance roles)
+  const credentials = process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+    : undefined;
+  const client = new S3Client({ region, endpoint, forcePathStyle, credentials });
+
+  // Without S3_PUBLIC_URL (e.g. a CDN) fall back to the bucket's own URL
+  const baseUrl = publicUrl || (endpoint
+    ? joinUrl(endpoint, bucket)
+    : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    put: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: keyPrefix + key,
+        Body: buffer,
+        ContentType: contentType,
+        // Keys are unique per upload, so the objects never change
+        CacheControl: isPrivate ? 'private, no-store' : 'public, max-age=31536000, immutable'
+      }));
+      return isPrivate ? key : joinUrl(baseUrl, key);
+    },
+
+    get: async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: keyPrefix + key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: keyPrefix + key }));
+    }
+  };
+};
+
+// The local driver returns /uploads paths; the client runs on another
+// origin, so those are made absolute against this API's host
+export const absoluteUrl = (req, url) => {
+  if (/^https?:\/\//.test(url)) return url;
+  const protocol = req.get('x-forwarded-proto')?.split(',')[0] || req.protocol;
+  return `${protocol}://${req.get('host')}${url}`;
+};
+
+let storagePromise = null;
+let privateStoragePromise = null;
+
+export const getStorage = () => {
+  if (!storagePromise) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (driver === 's3') {
+      storagePromise = createS3Storage();
+    } else if (driver === 'local') {
+      storagePromise = Promise.resolve(createLocalStorage());
+    } else {
+      storagePromise = Promise.reject(new Error(`Unknown STORAGE_DRIVER "${driver}"`));
+    }
+    console.log(`🗄️ Upload storage driver: ${driver}`);
+  }
+  return storagePromise;
+};
+
+// S3_PRIVATE_BUCKET should be a bucket with no public read access. Without
+// it private files go to S3_BUCKET under private/, which its bucket policy
+// must then leave out of any public read.
+export const getPrivateStorage = () => {
+  if (!privateStoragePromise) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (driver === 's3') {
+      const bucket = process.env.S3_PRIVATE_BUCKET;
+      privateStoragePromise = bucket
+        ? createS3Storage({ bucket, isPrivate: true })
+        : createS3Storage({ isPrivate: true, keyPrefix: 'private/' });
+    } else if (driver === 'local') {
+      privateStoragePromise = Promise.resolve(createLocalStorage({ dir: PRIVATE_UPLOAD_DIR, publicUrl: null }));
+    } else {
+      privateStoragePromise = Promise.reject(new Error(`Unknown STORAGE_DRIVER "${driver}"`));
+    }
+  }
+  return privateStoragePromise;
+};
@@ -0,0 +1,243 @@
+import { parseDate } from './listingAttributes.js';
+import { roleOf, isVerifiedAgent, listingQuotaFor } from './roles.js';
+
+export const GENDERS = ['male', 'female', 'other', 'prefer-not-to-say'];
+export const USER_TYPES = ['standard', 'premium', 'agent', 'landlord'];
+export const PROFILE_VISIBILITY = ['public', 'private'];
+export const LANGUAGES = ['English', 'Spanish', 'French', 'German', 'Chinese'];
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'INR'];
+
+const MAX_TEXT_LENGTH = 120;
+const MIN_AGE_YEARS = 13;
+const PHONE_PATTERN = /^\+?[0-9\s().-]{7,20}$/;
+
+const PROFILE_TEXT_FIELDS = ['address', 'city', 'state', 'zipCode', 'country'];
+const PREFERENCE_FLAGS = [
+  'emailNotifications',
+  'smsNotifications',
+  'marketingEmails',
+  'showContactInfo',
+  'showOnlineStatus'
+];
+
+const isBlank = (value) => value === null || value === '';
+
+const parseText = (value, name) => {
+  if (isBlank(value)) return null;
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be a string`);
+  }
+  const text = value.trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new Error(`${name} must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return text || null;
+};
+
+const parseChoice = (value, name, choices) => {
+  if (!choices.includes(value)) {
+    throw new Error(`${name} must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+};
+
+const parseBoolean = (value, name) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  throw new Error(`${name} must be true or false`);
+};
+
+const parseDateOfBirth = (value) => {
+  const date = parseDate(value, 'dateOfBirth');
+  const latest = new Date();
+  latest.setFullYear(latest.getFullYear() - MIN_AGE_YEARS);
+  if (date > latest) {
+    throw new Error(`You must be at least ${MIN_AGE_YEARS} years old`);
+  }
+  return date;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Validates the profile and preference fields sent by Register.jsx and the
+// profile page. Like parseListingAttributes, only fields present in `source`
+// are returned and '' or null clears an optional one.
+// Returns { fullName, profile, preferences } or { error }.
+export const parseUserProfile = (source = {}) => {
+  const profile = {};
+  const preferences = {};
+  let fullName;
+
+  try {
+    if (source.fullName !== undefined) {
+      fullName = parseText(source.fullName, 'fullName');
+    }
+
+    if (source.phone !== undefined) {
+      const phone = parseText(source.phone, 'phone');
+      if (phone && !PHONE_PATTERN.test(phone)) {
+        throw new Error('phone must be a valid phone number');
+      }
+      profile.phone = phone;
+    }
+
+    if (source.dateOfBirth !== undefined) {
+      profile.dateOfBirth = isBlank(source.dateOfBirth) ? null : parseDateOfBirth(source.dateOfBirth);
+    }
+
+    if (source.gender !== undefined) {
+      profile.gender = isBlank(source.gender) ? null : parseChoice(source.gender, 'gender', GENDERS);
+    }
+
+    for (const name of PROFILE_TEXT_FIELDS) {
+      if (source[name] !== undefined) {
+        profile[name] = parseText(source[name], name);
+      }
+    }
+
+    if (source.userType !== undefined) {
+      profile.userType = parseChoice(source.userType, 'userType', USER_TYPES);
+    }
+
+    for (const name of PREFERENCE_FLAGS) {
+      if (source[name] !== undefined) {
+        preferences[name] = parseBoolean(source[name], name);
+      }
+    }
+
+    if (source.profileVisibility !== undefined) {
+      preferences.profileVisibility = parseChoice(source.profileVisibility, 'profileVisibility', PROFILE_VISIBILITY);
+    }
+    if (source.language !== undefined) {
+      preferences.language = parseChoice(source.language, 'language', LANGUAGES);
+    }
+    if (source.currency !== undefined) {
+      preferences.currency = parseChoice(source.currency, 'currency', CURRENCIES);
+    }
+
+    if (source.timezone !== undefined) {
+      const timezone = parseText(source.timezone, 'timezone');
+      if (timezone && !isValidTimezone(timezone)) {
+        throw new Error('timezone must be an IANA time zone such as Europe/London');
+      }
+      preferences.timezone = timezone;
+    }
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  return { fullName, profile, preferences };
+};
+
+// Flattens a user with its profile and preferences into the shape the
+// client sends back, filling in the schema defaults for missing records
+export const toProfileResponse = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  fullName: user.fullName || user.username,
+  verified: Boolean(user.verified),
+  role: roleOf(user),
+  agentVerified: isVerifiedAgent(user),
+  listingQuota: listingQuotaFor(user),
+  createdAt: user.createdAt,
+  phone: user.profile?.phone ?? null,
+  dateOfBirth: user.profile?.dateOfBirth ?? null,
+  gender: user.profile?.gender ?? null,
+  address: user.profile?.address ?? null,
+  city: user.profile?.city ?? null,
+  state: user.profile?.state ?? null,
+  zipCode: user.profile?.zipCode ?? null,
+  country: user.profile?.country ?? null,
+  userType: user.profile?.userType || 'standard',
+  emailNotifications: user.preferences?.emailNotifications ?? true,
+  smsNotifications: user.preferences?.smsNotifications ?? false,
+  marketingEmails: user.preferences?.marketingEmails ?? false,
+  profileVisibility: user.preferences?.profileVisibility || 'public',
+  showContactInfo: user.preferences?.showContactInfo ?? true,
+  showOnlineStatus: user.preferences?.showOnlineStatus ?? true,
+  language: user.preferences?.language || 'English',
+  currency: user.preferences?.currency || 'USD',
+  timezone: user.preferences?.timezone ?? null
+});
+
+// Select for a listing owner, enough to build ownerInfo
+export const OWNER_SELECT = {
+  id: true,
+  username: true,
+  email: true,
+  fullName: true,
+  avatar: true,
+  verified: true,
+  role: true,
+  agentVerifiedAt: true,
+  createdAt: true,
+  profile: { select: { phone: true, city: true, state: true, userType: true } },
+  preferences: { select: { showContactInfo: true } }
+};
+
+// Public owner card for a listing. Email and phone are only shared when the
+// owner allows it; location falls back to the listing's city.
+export const toOwnerInfo = (user, fallbackCity) => {
+  const showContactInfo = user.preferences?.showContactInfo ?? true;
+  const location = [user.profile?.city, user.profile?.state].filter(Boolean).join(', ');
+
+  return {
+    id: user.id,
+    username: user.username,
+    email: showContactInfo ? user.email : null,
+    phone: showContactInfo ? user.profile?.phone ?? null : null,
+    fullName: user.fullName || user.username,
+    avatar: user.avatar,
+    verified: Boolean(user.verified),
+    role: roleOf(user),
+    agentVerified: isVerifiedAgent(user),
+    showContactInfo,
+    memberSince: user.createdAt,
+    location: location || fallbackCity || null,
+    userType: user.profile?.userType || 'standard'
+  };
+};
+
+// Select for GET /api/users/:id: OWNER_SELECT plus what decides visibility
+export const PUBLIC_USER_SELECT = {
+  ...OWNER_SELECT,
+  suspendedAt: true,
+  preferences: { select: { showContactInfo: true, profileVisibility: true } }
+};
+
+// Public profile built like toOwnerInfo, so contact details follow
+// showContactInfo. A private profile only shows who the account is.
+export const toPublicUser = (user) => {
+  const suspended = Boolean(user.suspendedAt);
+  if (user.preferences?.profileVisibility === 'private') {
+    return {
+      id: user.id,
+      username: user.username,
+      avatar: user.avatar,
+      profileVisibility: 'private',
+      suspended
+    };
+  }
+  return { ...toOwnerInfo(user), profileVisibility: 'public', suspended };
+};
+
+// Post with ownerInfo; the raw owner is trimmed to public fields so hidden
+// contact details don't leak through `post.user`
+export const withOwnerInfo = (post) => ({
+  ...post,
+  user: {
+    id: post.user.id,
+    username: post.user.username,
+    avatar: post.user.avatar
+  },
+  ownerInfo: toOwnerInfo(post.user, post.city)
+});
@@ -7,6 +7,9 @@ import ProtectedRoute from './components/ProtectedRoute';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Posts from './pages/Posts';
 import PostDetail from './pages/PostDetail';
 import CreatePost from './pages/CreatePost';
@@ -14,7 +17,11 @@ import Profile from './pages/profile'; // Changed to lowercase
 import Chat from './pages/Chat';
 import Test from './pages/test'; // Changed to lowercase
 import AddPost from './pages/AddPost';
+import EditPost from './pages/EditPost';
+import SavedPosts from './pages/SavedPosts';
+import Admin from './pages/Admin';
 import socketService from './services/socket';
+import { ROLES } from './utils/constants';
 import './index.css';
 import 'react-toastify/dist/ReactToastify.css';
 import { ToastContainer } from 'react-toastify';
@@ -46,8 +53,19 @@ function App() {
               <Route path="/" element={<Home />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
               <Route path="/posts" element={<Posts />} />
               <Route path="/posts/:id" element={<PostDetail />} />
+              <Route
+                path="/posts/:id/edit"
+                element={
+                  <ProtectedRoute>
+                    <EditPost />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/create-post"
                 element={
@@ -64,6 +82,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/saved"
+                element={
+                  <ProtectedRoute>
+                    <SavedPosts />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/chat"
                 element={
@@ -96,6 +122,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/admin"
+                element={
+                  <ProtectedRoute roles={[ROLES.ADMIN]}>
+                    <Admin />
+                  </ProtectedRoute>
+                }
+              />
             </Routes>
           </Layout>
         </ApiStatusProvider>
@@ -0,0 +1,83 @@
+import React, { useState, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { chatAPI } from '../services/api';
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENTS_PER_MESSAGE, MAX_ATTACHMENT_SIZE_MB } from '../utils/constants';
+import ShareListingPicker from './ShareListingPicker';
+
+// Composer buttons for sending photos/PDFs and sharing a listing in
+// conversation `chatId`. The typed text goes along as the caption;
+// onSent(message) receives the stored message.
+const ChatAttachmentActions = ({ chatId, caption = '', onSent }) => {
+  const fileInputRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+  const [pickerOpen, setPickerOpen] = useState(false);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    if (files.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      toast.error(`Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files to a message`);
+      return;
+    }
+    const tooLarge = files.find((file) => file.size > MAX_ATTACHMENT_SIZE_MB * 1024 * 1024);
+    if (tooLarge) {
+      toast.error(`${tooLarge.name} is larger than ${MAX_ATTACHMENT_SIZE_MB}MB`);
+      return;
+    }
+
+    setProgress(0);
+    try {
+      const response = await chatAPI.sendAttachments(chatId, files, caption.trim(), setProgress);
+      onSent(response.data);
+    } catch (error) {
+      console.error('❌ Error sending attachments:', error);
+      toast.error(error.response?.data?.message || 'Could not send your files. Please try again.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleShare = async (post) => {
+    setPickerOpen(false);
+    try {
+      const response = await chatAPI.shareListing(chatId, post.id, caption.trim());
+      onSent(response.data);
+    } catch (error) {
+      console.error('❌ Error sharing listing:', error);
+      toast.error(error.response?.data?.message || 'Could not share this listing.');
+    }
+  };
+
+  const buttonClass = 'px-2 text-xl text-gray-500 hover:text-blue-600 disabled:opacity-50';
+
+  return (
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={ATTACHMENT_ACCEPT}
+        multiple
+        onChange={handleFiles}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={progress !== null}
+        title="Attach photos or PDFs"
+        className={buttonClass}
+      >
+        {progress !== null ? <span className="text-xs">{progress}%</span> : '📎'}
+      </button>
+      <button type="button" onClick={() => setPickerOpen(true)} title="Share a listing" className={buttonClass}>
+        🏠
+      </button>
+
+      {pickerOpen && <ShareListingPicker onSelect={handleShare} onClose={() => setPickerOpen(false)} />}
+    </>
+  );
+};
+
+export default ChatAttachmentActions;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { uploadAPI } from '../services/api';
+import UploadProgress from './UploadProgress';
+
+const MAX_FILE_SIZE_MB = 15;
+
+// Uploads listing photos through POST /api/uploads and manages the list of
+// resulting URLs. `images` is the current list; onChange receives the new one.
+const ImageUploader = ({ images, onChange, maxImages = 10 }) => {
+  const [progress, setProgress] = useState(null);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const oversized = files.filter((file) => file.size > MAX_FILE_SIZE_MB * 1024 * 1024);
+    if (oversized.length > 0) {
+      toast.error(`${oversized.map((file) => file.name).join(', ')} must be smaller than ${MAX_FILE_SIZE_MB}MB`);
+      return;
+    }
+    if (images.length + files.length > maxImages) {
+      toast.error(`You can add up to ${maxImages} images`);
+      return;
+    }
+
+    setProgress(0);
+    try {
+      console.log('📸 Uploading images:', files.length);
+      const response = await uploadAPI.uploadImages(files, setProgress);
+      onChange([...images, ...response.data.uploads.map((upload) => upload.url)]);
+    } catch (error) {
+      console.error('❌ Error uploading images:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload images. Please try again.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const removeImage = (index) => {
+    onChange(images.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <input
+        type="file"
+        multiple
+        accept="image/*"
+        onChange={handleFiles}
+        disabled={progress !== null}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+      />
+      <p className="text-xs text-gray-500 mt-1">
+        Up to {maxImages} images, {MAX_FILE_SIZE_MB}MB each. Location data is removed from photos.
+      </p>
+
+      {progress !== null && <UploadProgress percent={progress} />}
+
+      {images.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">
+            Uploaded Images ({images.length})
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {images.map((image, index) => (
+              <div key={image} className="relative">
+                <img
+                  src={image}
+                  alt={`Upload ${index + 1}`}
+                  className="w-full h-24 object-cover rounded border"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeImage(index)}
+                  className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-xs hover:bg-red-600"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageUploader;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { AMENITIES, FURNISHING_OPTIONS } from '../utils/constants';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const NUMBER_FIELDS = [
+  { name: 'floor', label: 'Floor', placeholder: 'e.g. 3 (0 for ground)', min: -5 },
+  { name: 'totalFloors', label: 'Total Floors', placeholder: 'Floors in the building', min: 1 },
+  { name: 'parking', label: 'Parking Spots', placeholder: 'Number of spots', min: 0 },
+  { name: 'yearBuilt', label: 'Year Built', placeholder: 'e.g. 2015', min: 1800 },
+  { name: 'deposit', label: 'Deposit', placeholder: 'Security deposit amount', min: 0 }
+];
+
+// Amenities, furnishing, floors, parking, year built, availability and
+// deposit, shared by AddPost and EditPost. `values` has the shape of
+// EMPTY_LISTING_ATTRIBUTES; onChange receives the whole updated object.
+const ListingAttributesFields = ({ values, onChange }) => {
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...values, [name]: value });
+  };
+
+  const toggleAmenity = (amenity) => {
+    const amenities = values.amenities.includes(amenity)
+      ? values.amenities.filter((item) => item !== amenity)
+      : [...values.amenities, amenity];
+    onChange({ ...values, amenities });
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div className="md:col-span-2">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Amenities
+        </label>
+        <div className="flex flex-wrap gap-2">
+          {AMENITIES.map(({ value, label }) => {
+            const selected = values.amenities.includes(value);
+            return (
+              <button
+                key={value}
+                type="button"
+                onClick={() => toggleAmenity(value)}
+                aria-pressed={selected}
+                className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                  selected
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400'
+                }`}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Furnishing
+        </label>
+        <select
+          name="furnishing"
+          value={values.furnishing}
+          onChange={handleInputChange}
+          className={inputClassName}
+        >
+          <option value="">Select</option>
+          {FURNISHING_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Available From
+        </label>
+        <input
+          type="date"
+          name="availableFrom"
+          value={values.availableFrom}
+          onChange={handleInputChange}
+          className={inputClassName}
+        />
+      </div>
+
+      {NUMBER_FIELDS.map(({ name, label, placeholder, min }) => (
+        <div key={name}>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {label}
+          </label>
+          <input
+            type="number"
+            name={name}
+            value={values[name]}
+            onChange={handleInputChange}
+            min={min}
+            className={inputClassName}
+            placeholder={placeholder}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ListingAttributesFields;
@@ -0,0 +1,37 @@
+import React, { useState, useEffect } from 'react';
+import { postAPI } from '../services/api';
+import Sparkline from './Sparkline';
+
+const DAYS = 30;
+
+// Owner's view of how a listing is doing over the last 30 days. Renders
+// nothing until the stats arrive, or if the caller may not see them.
+const ListingStats = ({ postId }) => {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    postAPI.getPostStats(postId, DAYS)
+      .then((response) => !cancelled && setStats(response.data))
+      .catch((error) => console.error('❌ Error loading listing stats:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [postId]);
+
+  if (!stats) return null;
+
+  const recent = (field) => stats.series.reduce((sum, day) => sum + day[field], 0);
+
+  return (
+    <div className="flex items-center space-x-4 text-sm text-gray-600">
+      <span title={`${stats.totals.views} views in total`}>👁️ {recent('views')} views</span>
+      <span title={`${stats.totals.saves} saves in total`}>❤️ {recent('saves')} saves</span>
+      <span title={`${stats.totals.inquiries} inquiries in total`}>💬 {recent('inquiries')} inquiries</span>
+      <Sparkline values={stats.series.map((day) => day.views)} label={`Daily views over the last ${DAYS} days`} />
+      <span className="text-xs text-gray-400">last {DAYS} days</span>
+    </div>
+  );
+};
+
+export default ListingStats;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { LISTING_STATUS_LABELS } from '../utils/constants';
+
+const STATUS_CLASSES = {
+  draft: 'bg-gray-600',
+  under_offer: 'bg-yellow-500',
+  rented: 'bg-purple-600',
+  sold: 'bg-purple-600',
+  expired: 'bg-red-500'
+};
+
+// Shown on listings that aren't simply active; legacy posts have no status
+const ListingStatusBadge = ({ status, className = '' }) => {
+  if (!status || !STATUS_CLASSES[status]) return null;
+
+  return (
+    <span className={`px-2 py-1 rounded text-xs font-semibold text-white ${STATUS_CLASSES[status]} ${className}`}>
+      {LISTING_STATUS_LABELS[status]}
+    </span>
+  );
+};
+
+export default ListingStatusBadge;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { postAPI } from '../services/api';
+import { LISTING_STATUSES, LISTING_STATUS_LABELS } from '../utils/constants';
+
+const { DRAFT, ACTIVE, UNDER_OFFER, RENTED, SOLD, EXPIRED } = LISTING_STATUSES;
+
+// The moves offered for each status; the API enforces the same rules
+const actionsFor = (post) => {
+  const closed = post.type === 'rent' ? { status: RENTED, label: 'Mark as rented' } : { status: SOLD, label: 'Mark as sold' };
+  switch (post.status || ACTIVE) {
+    case DRAFT:
+      return [{ status: ACTIVE, label: 'Publish' }];
+    case ACTIVE:
+      return [{ status: UNDER_OFFER, label: 'Mark under offer' }, closed, { renew: true, label: 'Renew' }];
+    case UNDER_OFFER:
+      return [{ status: ACTIVE, label: 'Back on the market' }, closed];
+    case RENTED:
+    case SOLD:
+      return [{ status: ACTIVE, label: 'Relist' }];
+    case EXPIRED:
+      return [{ renew: true, label: 'Renew' }];
+    default:
+      return [];
+  }
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Lifecycle buttons for the listing's owner (or an admin). `onChange`
+// receives the updated post.
+const ListingStatusControls = ({ post, onChange, className = '' }) => {
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      const response = action.renew
+        ? await postAPI.renewPost(post.id)
+        : await postAPI.updateStatus(post.id, action.status);
+      toast.success(action.renew ? 'Listing renewed' : `Listing is now ${LISTING_STATUS_LABELS[action.status].toLowerCase()}`);
+      onChange?.(response.data);
+    } catch (error) {
+      console.error('❌ Error updating listing status:', error);
+      toast.error(error.response?.data?.message || 'Could not update the listing. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex flex-wrap gap-2">
+        {actionsFor(post).map((action) => (
+          <button
+            key={action.label}
+            onClick={() => run(action)}
+            disabled={busy}
+            className="px-3 py-1 rounded text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {action.label}
+          </button>
+        ))}
+      </div>
+      {post.expiresAt && (post.status || ACTIVE) === ACTIVE && (
+        <p className="text-xs text-gray-500 mt-2">Expires {formatDate(post.expiresAt)} unless renewed</p>
+      )}
+    </div>
+  );
+};
+
+export default ListingStatusControls;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import PropertyCard from './PropertyCard';
+import { chatAPI } from '../services/api';
+
+const formatFileSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Documents aren't public, so they are fetched with the user's credentials
+// and saved from a temporary object URL
+const downloadDocument = async (message, index, name) => {
+  const response = await chatAPI.downloadAttachment(message.chatId, message.id, index);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// A chat message's shared listing, attachments and text, in that order.
+// `own` styles document links for the sender's blue bubble.
+const MessageBody = ({ message, own = false }) => {
+  const [downloadError, setDownloadError] = useState(null);
+  const attachments = message.attachments || [];
+  const images = attachments.filter((attachment) => attachment.kind === 'image');
+  const documents = attachments
+    .map((attachment, index) => ({ ...attachment, index }))
+    .filter((attachment) => attachment.kind === 'document');
+
+  const handleDownload = async (attachment) => {
+    setDownloadError(null);
+    try {
+      await downloadDocument(message, attachment.index, attachment.name);
+    } catch (error) {
+      console.error('❌ Error downloading attachment:', error);
+      setDownloadError(`Could not download ${attachment.name}`);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {message.type === 'listing' && (
+        // PropertyCard shows "Property data unavailable" once the listing is gone
+        <div className="w-64 text-left text-gray-900">
+          <PropertyCard post={message.sharedPost} />
+        </div>
+      )}
+
+      {images.length > 0 && (
+        <div className={`grid gap-1 ${images.length > 1 ? 'grid-cols-2' : ''}`}>
+          {images.map((image) => (
+            <a key={image.url} href={image.url} target="_blank" rel="noopener noreferrer">
+              <img
+                src={image.thumbnailUrl || image.url}
+                alt={image.name}
+                loading="lazy"
+                className="rounded max-h-48 w-full object-cover"
+              />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {documents.map((attachment) => (
+        <button
+          key={attachment.index}
+          type="button"
+          onClick={() => handleDownload(attachment)}
+          className={`w-full flex items-center space-x-2 px-3 py-2 rounded border text-left ${
+            own ? 'border-blue-300 hover:bg-blue-600' : 'border-gray-300 bg-white hover:bg-gray-50'
+          }`}
+        >
+          <span className="text-xl">📄</span>
+          <span className="min-w-0">
+            <span className="block text-sm font-medium truncate">{attachment.name}</span>
+            <span className={`block text-xs ${own ? 'text-blue-100' : 'text-gray-500'}`}>
+              PDF · {formatFileSize(attachment.size)}
+            </span>
+          </span>
+        </button>
+      ))}
+      {downloadError && <p className={`text-xs ${own ? 'text-blue-100' : 'text-red-600'}`}>{downloadError}</p>}
+
+      {message.content && <p className="text-sm whitespace-pre-wrap break-words">{message.content}</p>}
+    </div>
+  );
+};
+
+export default MessageBody;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+const formatStatusTime = (value) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Ticks on the sender's own messages: ✓ sent, ✓✓ delivered to one of the
+// recipient's devices, highlighted ✓✓ read
+const MessageStatus = ({ message, className = '' }) => {
+  if (message.readAt) {
+    return (
+      <span className={`font-semibold text-emerald-300 ${className}`} title={`Read ${formatStatusTime(message.readAt)}`}>
+        ✓✓
+      </span>
+    );
+  }
+  if (message.deliveredAt) {
+    return (
+      <span className={className} title={`Delivered ${formatStatusTime(message.deliveredAt)}`}>
+        ✓✓
+      </span>
+    );
+  }
+  return (
+    <span className={className} title="Sent">
+      ✓
+    </span>
+  );
+};
+
+export default MessageStatus;
@@ -1,30 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { userAPI } from '../services/api';
+import NotificationBell from './NotificationBell';
+import { ROLES } from '../utils/constants';
 
 const Navbar = () => {
   const { user, logout, isAuthenticated } = useAuth();
-  const [notifications, setNotifications] = useState(0);
   const navigate = useNavigate();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 
-  useEffect(() => {
-    if (isAuthenticated) {
-      fetchNotifications();
-    }
-  }, [isAuthenticated]);
-
-  const fetchNotifications = async () => {
-    try {
-      const response = await userAPI.getNotifications();
-      setNotifications(response.data || 0);
-    } catch (error) {
-      console.error('Error fetching notifications:', error);
-      setNotifications(0); // Fallback to 0 notifications
-    }
-  };
-
   const handleLogout = async () => {
     await logout();
     setIsMenuOpen(false); // Close mobile menu
@@ -69,17 +53,18 @@ const Navbar = () => {
                 >
                   + Add Property
                 </Link>
-                <Link to="/chat" className="text-gray-700 hover:text-blue-600 transition-colors relative">
+                <Link to="/chat" className="text-gray-700 hover:text-blue-600 transition-colors">
                   Messages
-                  {notifications > 0 && (
-                    <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
-                      {notifications}
-                    </span>
-                  )}
                 </Link>
+                <NotificationBell />
                 <Link to="/profile" className="text-gray-700 hover:text-blue-600 transition-colors">
                   Profile
                 </Link>
+                {user?.role === ROLES.ADMIN && (
+                  <Link to="/admin" className="text-gray-700 hover:text-blue-600 transition-colors">
+                    Admin
+                  </Link>
+                )}
                 <div className="flex items-center space-x-2">
                   <div className="w-8 h-8 rounded-full bg-blue-500 flex items-center justify-center text-white text-sm font-semibold">
                     {user?.avatar ? (
@@ -186,12 +171,11 @@ const Navbar = () => {
                     onClick={closeMenu}
                   >
                     <span>Messages</span>
-                    {notifications > 0 && (
-                      <span className="bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
-                        {notifications}
-                      </span>
-                    )}
                   </Link>
+                  <div className="text-gray-700 py-2 px-2 flex items-center justify-between">
+                    <span>Notifications</span>
+                    <NotificationBell onNavigate={closeMenu} />
+                  </div>
                   <Link 
                     to="/profile" 
                     className="text-gray-700 hover:text-blue-600 py-2 px-2 rounded hover:bg-gray-50 transition-colors"
@@ -199,6 +183,15 @@ const Navbar = () => {
                   >
                     Profile
                   </Link>
+                  {user?.role === ROLES.ADMIN && (
+                    <Link 
+                      to="/admin" 
+                      className="text-gray-700 hover:text-blue-600 py-2 px-2 rounded hover:bg-gray-50 transition-colors"
+                      onClick={closeMenu}
+                    >
+                      Admin
+                    </Link>
+                  )}
                   <button
                     onClick={handleLogout}
                     className="text-left text-red-600 py-2 px-2 rounded hover:bg-red-50 transition-colors"
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { userAPI } from '../services/api';
+import socketService from '../services/socket';
+import { formatTimeAgo } from '../utils/formatters';
+
+const NOTIFICATION_ICONS = {
+  new_message: '💬',
+  new_conversation: '🏠',
+  post_saved: '❤️',
+  saved_search_match: '🔍',
+  listing_expired: '⏰',
+  price_drop: '📉'
+};
+
+// Where clicking a notification takes the user
+const notificationLink = (notification) => {
+  if (notification.conversationId) return '/chat';
+  if (notification.postId) return `/posts/${notification.postId}`;
+  return null;
+};
+
+// Navbar bell with an unread badge and a dropdown of recent notifications.
+// New notifications arrive over the socket, so nothing here polls.
+const NotificationBell = ({ onNavigate }) => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  const fetchNotifications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await userAPI.getNotifications();
+      setNotifications(response.data.notifications || []);
+      setUnreadCount(response.data.unreadCount || 0);
+    } catch (error) {
+      console.error('❌ Error fetching notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+
+    return socketService.on('notification:new', (notification) => {
+      setNotifications((prev) => [notification, ...prev.filter((n) => n.id !== notification.id)]);
+      setUnreadCount((count) => count + 1);
+    });
+  }, [fetchNotifications]);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const toggleOpen = () => {
+    // Refresh on open so tabs that missed a push still catch up
+    if (!isOpen) fetchNotifications();
+    setIsOpen(!isOpen);
+  };
+
+  const handleNotificationClick = async (notification) => {
+    setIsOpen(false);
+
+    if (!notification.read) {
+      setNotifications((prev) =>
+        prev.map((n) => (n.id === notification.id ? { ...n, read: true } : n))
+      );
+      setUnreadCount((count) => Math.max(count - 1, 0));
+
+      try {
+        const response = await userAPI.markNotificationAsRead(notification.id);
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        console.error('❌ Error marking notification as read:', error);
+      }
+    }
+
+    const link = notificationLink(notification);
+    if (link) {
+      onNavigate?.();
+      navigate(link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await userAPI.markAllNotificationsAsRead();
+      setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('❌ Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={toggleOpen}
+        className="relative text-xl focus:outline-none"
+        title="Notifications"
+        aria-label={`${unreadCount} unread notifications`}
+        aria-expanded={isOpen}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full h-5 min-w-5 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <ul className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <li className="px-4 py-6 text-center text-sm text-gray-500">
+                {loading ? 'Loading...' : "You're all caught up"}
+              </li>
+            ) : (
+              notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => handleNotificationClick(notification)}
+                    className={`w-full text-left px-4 py-3 flex items-start space-x-3 hover:bg-gray-50 transition-colors ${
+                      notification.read ? '' : 'bg-blue-50'
+                    }`}
+                  >
+                    <span className="text-lg">{NOTIFICATION_ICONS[notification.type] || '🔔'}</span>
+                    <span className="flex-1 min-w-0">
+                      <span className={`block text-sm ${notification.read ? 'text-gray-600' : 'text-gray-900 font-medium'}`}>
+                        {notification.message}
+                      </span>
+                      <span className="block text-xs text-gray-500 mt-1">
+                        {formatTimeAgo(notification.createdAt)}
+                      </span>
+                    </span>
+                    {!notification.read && (
+                      <span className="w-2 h-2 mt-2 rounded-full bg-blue-600" aria-hidden="true" />
+                    )}
+                  </button>
+                </li>
+              ))
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
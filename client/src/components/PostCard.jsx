@@ -1,107 +1,39 @@
-import React, { useState, useEffect } from 'react';
-import { postAPI } from '../services/api';
-import PostCard from '../components/PostCard';
-import SearchFilter from '../components/SearchFilter';
+import React from 'react';
+import PropertyCard from './PropertyCard';
+import SaveButton from './SaveButton';
+import ReportButton from './ReportButton';
+import SearchSnippet from './SearchSnippet';
+import { useAuth } from '../context/AuthContext';
 
-const Posts = () => {
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState({
-    city: '',
-    type: '',
-    property: '',
-    minPrice: '',
-    maxPrice: '',
-    bedroom: '',
-  });
+// Listing card with the actions a signed-in user can take on it
+const PostCard = ({ post, onSavedChange }) => {
+  const { user } = useAuth();
 
-  useEffect(() => {
-    fetchPosts();
-  }, [filters]);
+  if (!post) {
+    return <PropertyCard post={post} />;
+  }
 
-  const fetchPosts = async () => {
-    try {
-      setLoading(true);
-      // Filter out empty values
-      const cleanFilters = Object.fromEntries(
-        Object.entries(filters).filter(([_, value]) => value !== '')
-      );
-      
-      const response = await postAPI.getPosts(cleanFilters);
-      setPosts(response.data);
-    } catch (error) {
-      console.error('Error fetching posts:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleFilterChange = (newFilters) => {
-    setFilters(newFilters);
-  };
-
-  const handleResetFilters = () => {
-    setFilters({
-      city: '',
-      type: '',
-      property: '',
-      minPrice: '',
-      maxPrice: '',
-      bedroom: '',
-    });
-  };
+  // The title is already on the card, so show where else the search matched
+  const snippet = post.snippets?.find((entry) => entry.field !== 'title');
+  const isOwn = Boolean(user) && (post.ownerInfo?.id || post.userId) === user.id;
 
   return (
-    <div>
-      <h1 className="text-3xl font-bold mb-8">Property Listings</h1>
-      
-      {/* Search and Filter Section */}
-      <SearchFilter 
-        filters={filters} 
-        onFilterChange={handleFilterChange} 
-        onReset={handleResetFilters}
-      />
-      
-      {/* Results Info */}
-      <div className="flex justify-between items-center mb-6">
-        <p className="text-gray-600">
-          {loading ? 'Loading...' : `${posts.length} properties found`}
-        </p>
-      </div>
-      
-      {/* Posts Grid */}
-      {loading ? (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {/* Loading skeleton */}
-          {[...Array(6)].map((_, index) => (
-            <div key={index} className="bg-white rounded-lg shadow-md overflow-hidden animate-pulse">
-              <div className="h-48 bg-gray-300"></div>
-              <div className="p-4">
-                <div className="h-4 bg-gray-300 rounded mb-2"></div>
-                <div className="h-4 bg-gray-300 rounded w-3/4 mb-3"></div>
-                <div className="h-6 bg-gray-300 rounded w-1/2 mb-4"></div>
-                <div className="h-8 bg-gray-300 rounded"></div>
-              </div>
-            </div>
-          ))}
-        </div>
-      ) : posts.length === 0 ? (
-        <div className="text-center py-12">
-          <svg className="w-16 h-16 mx-auto mb-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h4a1 1 0 011 1v5m-6 0V9a1 1 0 011-1h4a1 1 0 011 1v11" />
-          </svg>
-          <h3 className="text-lg font-medium text-gray-900 mb-2">No properties found</h3>
-          <p className="text-gray-500">Try adjusting your search filters or check back later.</p>
-        </div>
-      ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {posts.map((post) => (
-            <PostCard key={post.id} post={post} />
-          ))}
-        </div>
-      )}
-    </div>
+    <PropertyCard
+      post={post}
+      actions={
+        <>
+          {!isOwn && <ReportButton targetType="post" targetId={post.id} label="this listing" variant="icon" />}
+          <SaveButton
+            postId={post.id}
+            initialSaved={!!post.isSaved}
+            onChange={(saved) => onSavedChange?.(post.id, saved)}
+          />
+        </>
+      }
+    >
+      {snippet && <SearchSnippet snippet={snippet} />}
+    </PropertyCard>
   );
 };
 
-export default Posts;
\ No newline at end of file
+export default PostCard;
@@ -0,0 +1,79 @@
+import React from 'react';
+
+const WIDTH = 400;
+const HEIGHT = 120;
+const PADDING = 8;
+
+const formatShortDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Step chart of a listing's price timeline ([{ price, date }], oldest first)
+// from GET /api/posts/:id. The line runs on to today at the current price.
+const PriceHistoryChart = ({ history, formatPrice }) => {
+  if (!history || history.length < 2) return null;
+
+  const points = [...history, { price: history[history.length - 1].price, date: new Date().toISOString() }];
+  const times = points.map((point) => new Date(point.date).getTime());
+  const prices = points.map((point) => point.price);
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const [minPrice, maxPrice] = [Math.min(...prices), Math.max(...prices)];
+
+  const x = (time) => PADDING + ((time - minTime) / (maxTime - minTime || 1)) * (WIDTH - 2 * PADDING);
+  // A flat history sits in the middle instead of on the floor
+  const y = (price) => maxPrice === minPrice
+    ? HEIGHT / 2
+    : PADDING + ((maxPrice - price) / (maxPrice - minPrice)) * (HEIGHT - 2 * PADDING);
+
+  // Horizontal to the next change, then vertical to the new price
+  const path = points
+    .map((point, index) => {
+      const px = x(times[index]);
+      if (index === 0) return `M ${px} ${y(point.price)}`;
+      return `H ${px} V ${y(point.price)}`;
+    })
+    .join(' ');
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-500 mb-1">
+        <span>High {formatPrice(maxPrice)}</span>
+        <span>Low {formatPrice(minPrice)}</span>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-32" preserveAspectRatio="none" role="img" aria-label="Price history">
+        <path d={path} fill="none" stroke="#2563eb" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        {history.map((point, index) => (
+          <circle key={index} cx={x(times[index])} cy={y(point.price)} r="3" fill="#2563eb">
+            <title>{`${formatPrice(point.price)} on ${formatShortDate(point.date)}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{formatShortDate(history[0].date)}</span>
+        <span>Today</span>
+      </div>
+
+      <ul className="mt-3 text-sm text-gray-700 space-y-1">
+        {[...history].reverse().map((point, index, newestFirst) => {
+          const previous = newestFirst[index + 1];
+          const change = previous ? point.price - previous.price : 0;
+          return (
+            <li key={point.date} className="flex justify-between">
+              <span>{formatShortDate(point.date)}</span>
+              <span>
+                {formatPrice(point.price)}
+                {change !== 0 && (
+                  <span className={`ml-2 ${change < 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {change < 0 ? '▼' : '▲'} {formatPrice(Math.abs(change))}
+                  </span>
+                )}
+                {!previous && <span className="ml-2 text-gray-400">listed</span>}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
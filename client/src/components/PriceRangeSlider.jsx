@@ -0,0 +1,74 @@
+import React from 'react';
+import { formatPrice } from '../utils/formatters';
+
+// Two-thumb price slider drawn over the facet histogram. Values are kept as
+// strings like the rest of the filter form; '' means "no bound".
+const PriceRangeSlider = ({ histogram, minPrice, maxPrice, onChange }) => {
+  if (!histogram?.buckets?.length || histogram.min === histogram.max) return null;
+
+  const { buckets, step } = histogram;
+  const rangeStart = buckets[0].from;
+  const rangeEnd = buckets[buckets.length - 1].to;
+  const low = minPrice === '' ? rangeStart : Math.max(Number(minPrice), rangeStart);
+  const high = maxPrice === '' ? rangeEnd : Math.min(Number(maxPrice), rangeEnd);
+  const tallest = Math.max(...buckets.map((bucket) => bucket.count), 1);
+
+  const handleLowChange = (e) => {
+    const value = Math.min(Number(e.target.value), high - step);
+    onChange({ minPrice: value <= rangeStart ? '' : String(value), maxPrice });
+  };
+
+  const handleHighChange = (e) => {
+    const value = Math.max(Number(e.target.value), low + step);
+    onChange({ minPrice, maxPrice: value >= rangeEnd ? '' : String(value) });
+  };
+
+  const thumbClass = 'absolute w-full top-0 h-6 appearance-none bg-transparent pointer-events-none '
+    + '[&::-webkit-slider-thumb]:pointer-events-auto [&::-moz-range-thumb]:pointer-events-auto';
+
+  return (
+    <div>
+      {/* Histogram - bars inside the selected range are highlighted */}
+      <div className="flex items-end h-12 gap-px" aria-hidden="true">
+        {buckets.map((bucket) => (
+          <div
+            key={bucket.from}
+            title={`${formatPrice(bucket.from, 'USD')} - ${formatPrice(bucket.to, 'USD')}: ${bucket.count}`}
+            className={`flex-1 rounded-t ${bucket.to > low && bucket.from < high ? 'bg-blue-400' : 'bg-gray-200'}`}
+            style={{ height: `${Math.max((bucket.count / tallest) * 100, bucket.count > 0 ? 8 : 2)}%` }}
+          />
+        ))}
+      </div>
+
+      <div className="relative h-6">
+        <input
+          type="range"
+          min={rangeStart}
+          max={rangeEnd}
+          step={step}
+          value={low}
+          onChange={handleLowChange}
+          aria-label="Minimum price"
+          className={thumbClass}
+        />
+        <input
+          type="range"
+          min={rangeStart}
+          max={rangeEnd}
+          step={step}
+          value={high}
+          onChange={handleHighChange}
+          aria-label="Maximum price"
+          className={thumbClass}
+        />
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{formatPrice(low, 'USD')}</span>
+        <span>{formatPrice(high, 'USD')}{maxPrice === '' && '+'}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceRangeSlider;
@@ -1,7 +1,9 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
+import VerifiedAgentBadge from './VerifiedAgentBadge';
+import ListingStatusBadge from './ListingStatusBadge';
 
-const PropertyCard = ({ post }) => {
+const PropertyCard = ({ post, actions = null, children = null }) => {
   const navigate = useNavigate();
 
   const handleClick = () => {
@@ -58,13 +60,14 @@ const PropertyCard = ({ post }) => {
           <span className="text-gray-400 text-4xl">🏠</span>
         </div>
         
-        {/* Property Type Badge */}
-        <div className="absolute top-3 left-3">
+        {/* Property Type and Status Badges */}
+        <div className="absolute top-3 left-3 flex space-x-2">
           <span className={`px-2 py-1 rounded text-xs font-semibold text-white ${
             post.type === 'rent' ? 'bg-blue-500' : 'bg-green-500'
           }`}>
             For {post.type === 'rent' ? 'Rent' : 'Sale'}
           </span>
+          <ListingStatusBadge status={post.status} />
         </div>
         
         {/* Image Count */}
@@ -73,6 +76,13 @@ const PropertyCard = ({ post }) => {
             📸 {post.images.length}
           </div>
         )}
+
+        {/* Card actions (save, report, ...) */}
+        {actions && (
+          <div className="absolute bottom-3 right-3 flex space-x-2">
+            {actions}
+          </div>
+        )}
       </div>
 
       {/* Property Details */}
@@ -136,6 +146,7 @@ const PropertyCard = ({ post }) => {
                   {post.ownerInfo.verified && (
                     <span className="text-green-600 text-xs">✅</span>
                   )}
+                  {post.ownerInfo.agentVerified && <VerifiedAgentBadge />}
                 </div>
                 <div className="flex items-center space-x-2 text-xs text-gray-500">
                   <span>@{post.ownerInfo.username || 'owner'}</span>
@@ -163,6 +174,9 @@ const PropertyCard = ({ post }) => {
           </div>
         )}
 
+        {/* Extra content from wrapping cards (search snippets, ...) */}
+        {children && <div className="mb-3">{children}</div>}
+
         {/* Posted Date */}
         <div className="mt-3 pt-2 border-t">
           <p className="text-xs text-gray-500">
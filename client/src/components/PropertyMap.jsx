@@ -0,0 +1,105 @@
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, CircleMarker, Popup, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import {
+  MAP_TILE_URL,
+  MAP_TILE_ATTRIBUTION,
+  MAP_DEFAULT_CENTER,
+  MAP_DEFAULT_ZOOM
+} from '../utils/constants';
+import { formatPrice } from '../utils/formatters';
+
+const isCoordinate = (value) =>
+  value !== null && value !== undefined && value !== '' && !Number.isNaN(Number(value));
+
+const hasCoordinates = (post) => isCoordinate(post?.latitude) && isCoordinate(post?.longitude);
+
+// Same order the API expects for ?bbox=, clamped because a zoomed-out map
+// can report longitudes beyond the antimeridian
+const toBbox = (bounds) =>
+  [
+    Math.max(bounds.getWest(), -180),
+    Math.max(bounds.getSouth(), -90),
+    Math.min(bounds.getEast(), 180),
+    Math.min(bounds.getNorth(), 90)
+  ]
+    .map((value) => value.toFixed(6))
+    .join(',');
+
+// Reports the visible area once on mount and again after every pan/zoom
+const BoundsWatcher = ({ onBoundsChange }) => {
+  const map = useMapEvents({
+    moveend: () => onBoundsChange(toBbox(map.getBounds()))
+  });
+
+  useEffect(() => {
+    onBoundsChange(toBbox(map.getBounds()));
+  }, [map, onBoundsChange]);
+
+  return null;
+};
+
+const DefaultPopup = ({ post }) => (
+  <div className="text-sm">
+    <p className="font-semibold text-gray-900">{post.title}</p>
+    <p className="text-blue-600 font-bold">
+      {formatPrice(post.price, 'USD')}
+      {post.type === 'rent' && <span className="font-normal">/mo</span>}
+    </p>
+    {post.distanceKm !== undefined && (
+      <p className="text-gray-500">{post.distanceKm} km away</p>
+    )}
+    <Link to={`/posts/${post.id}`} className="text-blue-600 hover:text-blue-800">
+      View details →
+    </Link>
+  </div>
+);
+
+const PropertyMap = ({
+  posts = [],
+  center,
+  zoom = MAP_DEFAULT_ZOOM,
+  height = '400px',
+  highlightedId = null,
+  onBoundsChange,
+  renderPopup
+}) => {
+  const pins = posts.filter(hasCoordinates);
+  const firstPin = pins[0];
+  const initialCenter = center
+    || (firstPin ? [Number(firstPin.latitude), Number(firstPin.longitude)] : MAP_DEFAULT_CENTER);
+
+  return (
+    <div className="rounded-lg overflow-hidden border border-gray-200" style={{ height }}>
+      <MapContainer center={initialCenter} zoom={zoom} scrollWheelZoom className="w-full h-full">
+        <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} />
+
+        {onBoundsChange && <BoundsWatcher onBoundsChange={onBoundsChange} />}
+
+        {pins.map((post) => {
+          const highlighted = post.id === highlightedId;
+          return (
+            <CircleMarker
+              key={post.id}
+              center={[Number(post.latitude), Number(post.longitude)]}
+              radius={highlighted ? 11 : 8}
+              pathOptions={{
+                color: '#ffffff',
+                weight: 2,
+                fillColor: highlighted ? '#dc2626' : '#2563eb',
+                fillOpacity: 0.9
+              }}
+            >
+              <Popup>
+                {renderPopup ? renderPopup(post) : <DefaultPopup post={post} />}
+              </Popup>
+            </CircleMarker>
+          );
+        })}
+      </MapContainer>
+    </div>
+  );
+};
+
+export default PropertyMap;
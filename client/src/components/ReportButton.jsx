@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { reportAPI } from '../services/api';
+import { REPORT_REASONS } from '../utils/constants';
+
+const MAX_DETAILS_LENGTH = 1000;
+
+const VARIANT_CLASSES = {
+  // Round button matching SaveButton, for listing cards
+  icon: 'w-9 h-9 rounded-full bg-white bg-opacity-90 shadow flex items-center justify-center text-base hover:scale-110 transition-transform',
+  // Plain text link for detail pages and chat messages
+  link: 'text-sm text-gray-500 hover:text-red-600 hover:underline'
+};
+
+// Opens a dialog to report a listing, user or message to the moderators.
+// `label` names the target in the dialog, e.g. 'this listing'. Like
+// SaveButton it can sit inside clickable cards, so clicks never bubble.
+const ReportButton = ({ targetType, targetId, label = 'this', variant = 'link', className = '' }) => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const stop = (e) => {
+    e.stopPropagation();
+  };
+
+  const handleOpen = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+    setOpen(true);
+  };
+
+  const handleClose = () => {
+    setOpen(false);
+    setReason('');
+    setDetails('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason || (reason === 'other' && !details.trim())) return;
+
+    setSending(true);
+    try {
+      await reportAPI.createReport({ targetType, targetId, reason, details: details.trim() });
+      toast.success('Thanks, our team will review your report.');
+      handleClose();
+    } catch (error) {
+      console.error('❌ Error sending report:', error);
+      if (error.response?.status === 409) {
+        toast.info(error.response.data.message);
+        handleClose();
+      } else {
+        toast.error(error.response?.data?.message || 'Could not send your report. Please try again.');
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={handleOpen}
+        title={`Report ${label}`}
+        className={`${VARIANT_CLASSES[variant]} ${className}`}
+      >
+        {variant === 'icon' ? '🚩' : '🚩 Report'}
+      </button>
+
+      {/* Rendered into <body> so card transforms and overflow don't clip it */}
+      {open && createPortal(
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50" onClick={stop}>
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl p-6 max-w-md w-full mx-4 text-left">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Report {label}</h3>
+            <p className="text-sm text-gray-500 mb-4">Reports are confidential. The person you report won't see who sent it.</p>
+
+            <fieldset className="space-y-2 mb-4">
+              <legend className="text-sm font-medium text-gray-700 mb-2">What's wrong?</legend>
+              {REPORT_REASONS.map((option) => (
+                <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="reason"
+                    value={option.value}
+                    checked={reason === option.value}
+                    onChange={(e) => setReason(e.target.value)}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </fieldset>
+
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              maxLength={MAX_DETAILS_LENGTH}
+              rows={3}
+              placeholder={reason === 'other' ? 'Please describe the problem' : 'Anything else we should know? (optional)'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm mb-4"
+            />
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={handleClose} className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={sending || !reason || (reason === 'other' && !details.trim())}
+                className="px-4 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                {sending ? 'Sending...' : 'Send report'}
+              </button>
+            </div>
+          </form>
+        </div>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default ReportButton;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import { userAPI } from '../services/api';
+
+// Heart toggle for saving a listing. Lives inside clickable cards, so clicks
+// must not bubble up to the card's navigation handler.
+const SaveButton = ({ postId, initialSaved = false, onChange, className = '' }) => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const [saved, setSaved] = useState(initialSaved);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setSaved(initialSaved);
+  }, [initialSaved]);
+
+  const handleClick = async (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+
+    const nextSaved = !saved;
+    setSaving(true);
+    setSaved(nextSaved);
+
+    try {
+      if (nextSaved) {
+        await userAPI.savePost(postId);
+      } else {
+        await userAPI.unsavePost(postId);
+      }
+      onChange?.(nextSaved);
+    } catch (error) {
+      console.error('❌ Error updating saved post:', error);
+      setSaved(!nextSaved);
+      toast.error('Could not update saved properties. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={saving}
+      aria-pressed={saved}
+      title={saved ? 'Remove from saved' : 'Save property'}
+      className={`w-9 h-9 rounded-full bg-white bg-opacity-90 shadow flex items-center justify-center text-lg hover:scale-110 transition-transform disabled:opacity-60 ${className}`}
+    >
+      {saved ? '❤️' : '🤍'}
+    </button>
+  );
+};
+
+export default SaveButton;
@@ -1,7 +1,23 @@
 import React from 'react';
 import { PROPERTY_TYPES, POST_TYPES } from '../utils/constants';
+import PriceRangeSlider from './PriceRangeSlider';
 
-const SearchFilter = ({ filters, onFilterChange, onReset }) => {
+const BEDROOM_OPTIONS = [1, 2, 3, 4, 5];
+
+// "Apartment (12)" once facet counts have loaded, plain "Apartment" before
+const withCount = (label, count) => (count === undefined ? label : `${label} (${count})`);
+
+// Options missing from a loaded facet have no matching listings
+const countFor = (options, value) =>
+  options ? options.find((option) => option.value === value)?.count ?? 0 : undefined;
+
+const minimumCountFor = (options, min) =>
+  options ? options.find((option) => option.min === min)?.count ?? 0 : undefined;
+
+// Filter panel for the listings page. `facets` is the GET /api/posts/facets
+// response for the current filters; `actions` render next to "Clear All" and
+// `children` between the header and the fields.
+const SearchFilter = ({ filters, onFilterChange, onReset, facets = null, actions = null, children = null }) => {
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     onFilterChange({
@@ -10,19 +26,49 @@ const SearchFilter = ({ filters, onFilterChange, onReset }) => {
     });
   };
 
+  const handlePriceRangeChange = ({ minPrice, maxPrice }) => {
+    onFilterChange({
+      ...filters,
+      minPrice,
+      maxPrice,
+    });
+  };
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md mb-8">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-semibold text-gray-900">Filter Properties</h3>
-        <button
-          onClick={onReset}
-          className="text-sm text-blue-600 hover:text-blue-800 font-medium"
-        >
-          Clear All
-        </button>
+        <div className="flex items-center space-x-4">
+          {actions}
+          <button
+            onClick={onReset}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            Clear All
+          </button>
+        </div>
       </div>
-      
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4">
+
+      {children}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {/* Free-text search */}
+        {filters.search !== undefined && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Search
+            </label>
+            <input
+              type="text"
+              name="search"
+              value={filters.search}
+              onChange={handleInputChange}
+              placeholder="Search properties..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        )}
+
         {/* City */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -34,8 +80,16 @@ const SearchFilter = ({ filters, onFilterChange, onReset }) => {
             value={filters.city}
             onChange={handleInputChange}
             placeholder="Enter city"
+            list="search-filter-cities"
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           />
+          <datalist id="search-filter-cities">
+            {facets?.cities?.map((city) => (
+              <option key={city.value} value={city.value}>
+                {withCount(city.value, city.count)}
+              </option>
+            ))}
+          </datalist>
         </div>
 
         {/* Type */}
@@ -50,8 +104,8 @@ const SearchFilter = ({ filters, onFilterChange, onReset }) => {
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
             <option value="">All Types</option>
-            <option value={POST_TYPES.BUY}>For Sale</option>
-            <option value={POST_TYPES.RENT}>For Rent</option>
+            <option value={POST_TYPES.BUY}>{withCount('For Sale', countFor(facets?.type, POST_TYPES.BUY))}</option>
+            <option value={POST_TYPES.RENT}>{withCount('For Rent', countFor(facets?.type, POST_TYPES.RENT))}</option>
           </select>
         </div>
 
@@ -67,10 +121,36 @@ const SearchFilter = ({ filters, onFilterChange, onReset }) => {
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
             <option value="">All Properties</option>
-            <option value={PROPERTY_TYPES.APARTMENT}>Apartment</option>
-            <option value={PROPERTY_TYPES.HOUSE}>House</option>
-            <option value={PROPERTY_TYPES.CONDO}>Condo</option>
-            <option value={PROPERTY_TYPES.LAND}>Land</option>
+            {[
+              [PROPERTY_TYPES.APARTMENT, 'Apartment'],
+              [PROPERTY_TYPES.HOUSE, 'House'],
+              [PROPERTY_TYPES.CONDO, 'Condo'],
+              [PROPERTY_TYPES.LAND, 'Land'],
+            ].map(([value, label]) => (
+              <option key={value} value={value}>
+                {withCount(label, countFor(facets?.property, value))}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Bedrooms */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Bedrooms
+          </label>
+          <select
+            name="bedroom"
+            value={filters.bedroom}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Any</option>
+            {BEDROOM_OPTIONS.map((min) => (
+              <option key={min} value={String(min)}>
+                {withCount(`${min}+ Bedroom${min > 1 ? 's' : ''}`, minimumCountFor(facets?.bedroom, min))}
+              </option>
+            ))}
           </select>
         </div>
 
@@ -103,29 +183,24 @@ const SearchFilter = ({ filters, onFilterChange, onReset }) => {
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           />
         </div>
+      </div>
 
-        {/* Bedrooms */}
-        <div>
+      {/* Price range from the facet histogram */}
+      {facets?.price?.buckets?.length > 1 && (
+        <div className="mt-4 max-w-xl">
           <label className="block text-sm font-medium text-gray-700 mb-1">
-            Bedrooms
+            Price Range
           </label>
-          <select
-            name="bedroom"
-            value={filters.bedroom}
-            onChange={handleInputChange}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-          >
-            <option value="">Any</option>
-            <option value="1">1+ Bedroom</option>
-            <option value="2">2+ Bedrooms</option>
-            <option value="3">3+ Bedrooms</option>
-            <option value="4">4+ Bedrooms</option>
-            <option value="5">5+ Bedrooms</option>
-          </select>
+          <PriceRangeSlider
+            histogram={facets.price}
+            minPrice={filters.minPrice}
+            maxPrice={filters.maxPrice}
+            onChange={handlePriceRangeChange}
+          />
         </div>
-      </div>
+      )}
     </div>
   );
 };
 
-export default SearchFilter;
\ No newline at end of file
+export default SearchFilter;
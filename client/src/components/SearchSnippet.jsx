@@ -0,0 +1,37 @@
+import React from 'react';
+
+const FIELD_LABELS = {
+  address: 'Address',
+  city: 'City',
+  desc: 'Description',
+  utilities: 'Utilities'
+};
+
+// Renders one of the API's search snippets ({ field, text, highlights }) with
+// the matched ranges marked. Text is rendered as-is, never as HTML.
+const SearchSnippet = ({ snippet }) => {
+  const parts = [];
+  let cursor = 0;
+
+  snippet.highlights.forEach(([start, end]) => {
+    if (start > cursor) parts.push(snippet.text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+        {snippet.text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < snippet.text.length) parts.push(snippet.text.slice(cursor));
+
+  return (
+    <p className="text-sm text-gray-600">
+      {FIELD_LABELS[snippet.field] && (
+        <span className="font-medium text-gray-700">{FIELD_LABELS[snippet.field]}: </span>
+      )}
+      {parts}
+    </p>
+  );
+};
+
+export default SearchSnippet;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { userAPI } from '../services/api';
+import { LISTING_STATUSES } from '../utils/constants';
+
+// Drafts and expired listings can't be opened by the other person
+const isShareable = (post) =>
+  ![LISTING_STATUSES.DRAFT, LISTING_STATUSES.EXPIRED].includes(post.status);
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 0 }).format(price || 0);
+
+// Dialog listing the user's own and saved listings; picking one calls
+// onSelect(post)
+const ShareListingPicker = ({ onSelect, onClose }) => {
+  const [sections, setSections] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    userAPI.getMyListings()
+      .then((response) => {
+        if (cancelled) return;
+        setSections([
+          { title: 'Your listings', posts: (response.data.myPosts || []).filter(isShareable) },
+          { title: 'Saved listings', posts: (response.data.savedPosts || []).filter(isShareable) }
+        ]);
+      })
+      .catch((error) => {
+        console.error('❌ Error loading listings to share:', error);
+        if (!cancelled) setSections([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const isEmpty = sections && sections.every((section) => section.posts.length === 0);
+
+  return createPortal(
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl p-6 max-w-md w-full mx-4 max-h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Share a listing</h3>
+
+        <div className="overflow-y-auto flex-1 space-y-4">
+          {!sections && <p className="text-sm text-gray-500">Loading listings...</p>}
+          {isEmpty && (
+            <p className="text-sm text-gray-500">Save or publish a listing to share it here.</p>
+          )}
+          {sections?.filter((section) => section.posts.length > 0).map((section) => (
+            <div key={section.title}>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">{section.title}</h4>
+              <ul className="space-y-2">
+                {section.posts.map((post) => (
+                  <li key={post.id}>
+                    <button
+                      type="button"
+                      onClick={() => onSelect(post)}
+                      className="w-full flex items-center space-x-3 p-2 rounded border border-gray-200 hover:bg-gray-50 text-left"
+                    >
+                      {post.images?.[0] ? (
+                        <img src={post.images[0]} alt="" className="w-14 h-14 rounded object-cover" />
+                      ) : (
+                        <div className="w-14 h-14 rounded bg-gray-200 flex items-center justify-center">🏠</div>
+                      )}
+                      <span className="min-w-0">
+                        <span className="block text-sm font-medium text-gray-900 truncate">{post.title}</span>
+                        <span className="block text-xs text-gray-500">{formatPrice(post.price)} · {post.city}</span>
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end mt-4">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ShareListingPicker;
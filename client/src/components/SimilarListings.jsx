@@ -0,0 +1,52 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { postAPI } from '../services/api';
+import PropertyCard from './PropertyCard';
+
+// Horizontally scrolling row of listings like `postId`. Hidden when the
+// API has nothing similar to offer.
+const SimilarListings = ({ postId }) => {
+  const [items, setItems] = useState([]);
+  const trackRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setItems([]);
+    postAPI.getSimilarPosts(postId)
+      .then((response) => !cancelled && setItems(response.data.items || []))
+      .catch((error) => console.error('❌ Error loading similar listings:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [postId]);
+
+  if (items.length === 0) return null;
+
+  // Moves by roughly one card
+  const scroll = (direction) => {
+    const track = trackRef.current;
+    if (track) track.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: 'smooth' });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold">Similar Properties</h3>
+        {items.length > 2 && (
+          <div className="flex space-x-2">
+            <button onClick={() => scroll(-1)} aria-label="Previous" className="w-8 h-8 rounded-full border hover:bg-gray-50">‹</button>
+            <button onClick={() => scroll(1)} aria-label="Next" className="w-8 h-8 rounded-full border hover:bg-gray-50">›</button>
+          </div>
+        )}
+      </div>
+      <div ref={trackRef} className="flex space-x-4 overflow-x-auto snap-x snap-mandatory pb-2">
+        {items.map((item) => (
+          <div key={item.id} className="snap-start shrink-0 w-64">
+            <PropertyCard post={item} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SimilarListings;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Tiny trend line for a list of numbers, oldest first
+const Sparkline = ({ values, width = 120, height = 28, className = 'text-blue-500', label }) => {
+  if (!values || values.length < 2) return null;
+
+  const max = Math.max(...values, 1);
+  const step = width / (values.length - 1);
+  const points = values
+    .map((value, index) => `${(index * step).toFixed(1)},${(height - 2 - (value / max) * (height - 4)).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className={className} role="img" aria-label={label}>
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,18 @@
+import React from 'react';
+
+const UploadProgress = ({ percent, label = 'Uploading' }) => (
+  <div className="mt-2">
+    <div className="flex justify-between text-xs text-gray-600 mb-1">
+      <span>{label}...</span>
+      <span>{percent}%</span>
+    </div>
+    <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+      <div
+        className="h-full bg-blue-600 transition-all duration-200"
+        style={{ width: `${percent}%` }}
+      />
+    </div>
+  </div>
+);
+
+export default UploadProgress;
@@ -0,0 +1,13 @@
+import React from 'react';
+
+// Shown next to owners whose agent account has been verified by an admin
+const VerifiedAgentBadge = ({ className = '' }) => (
+  <span
+    title="Licensed agent verified by PropertyState"
+    className={`inline-flex items-center text-xs font-medium bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full ${className}`}
+  >
+    🏅 Verified agent
+  </span>
+);
+
+export default VerifiedAgentBadge;
@@ -0,0 +1,28 @@
+import React from 'react';
+
+const AdminPagination = ({ page, pageCount, total, onPageChange }) => (
+  <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+    <span>{total} result{total === 1 ? '' : 's'}</span>
+    <div className="flex items-center space-x-2">
+      <button
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+        className="px-3 py-1 border rounded disabled:opacity-50"
+      >
+        Previous
+      </button>
+      <span>
+        Page {page} of {pageCount}
+      </span>
+      <button
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= pageCount}
+        className="px-3 py-1 border rounded disabled:opacity-50"
+      >
+        Next
+      </button>
+    </div>
+  </div>
+);
+
+export default AdminPagination;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { adminAPI } from '../../services/api';
+import { useAdminList } from '../../hooks/useAdminList';
+import { DEFAULT_PROPERTY_IMAGE } from '../../utils/constants';
+import { askReason, formatDateTime } from '../../utils/admin';
+import AdminPagination from './AdminPagination';
+import ModerationStatus from './ModerationStatus';
+
+// `onShowHistory(post)` opens the audit log filtered to that listing
+const AdminPosts = ({ onShowHistory }) => {
+  const [filters, setFilters] = useState({ q: '', status: '' });
+  const { items, total, page, pageCount, setPage, loading, error, runAction } = useAdminList(adminAPI.getPosts, filters);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleSuspend = (post) => {
+    const reason = askReason(`Why are you suspending "${post.title}"? It will be hidden from search.`);
+    if (reason) runAction(() => adminAPI.suspendPost(post.id, reason), 'Listing suspended');
+  };
+
+  const handleFlag = (post) => {
+    const reason = askReason(`What should reviewers check about "${post.title}"?`);
+    if (reason) runAction(() => adminAPI.flagPost(post.id, reason), 'Listing flagged for review');
+  };
+
+  const handleDelete = (post) => {
+    if (!window.confirm(`Delete "${post.title}"? This cannot be undone.`)) return;
+    runAction(() => adminAPI.deletePost(post.id), 'Listing deleted');
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+        <input
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          placeholder="Search title, city or address"
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <select name="status" value={filters.status} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-md">
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+          <option value="flagged">Flagged</option>
+        </select>
+      </div>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      <div className={`space-y-3 ${loading ? 'opacity-50' : ''}`}>
+        {items.map((post) => (
+          <div key={post.id} className="flex items-start border rounded-lg p-3">
+            <img
+              src={post.images?.[0] || DEFAULT_PROPERTY_IMAGE}
+              alt={post.title}
+              className="w-24 h-16 object-cover rounded mr-4"
+            />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center space-x-2">
+                <Link to={`/posts/${post.id}`} className="font-medium text-gray-900 hover:text-blue-600 truncate">
+                  {post.title}
+                </Link>
+                <ModerationStatus item={post} />
+              </div>
+              <p className="text-sm text-gray-500">
+                ${post.price?.toLocaleString()} · {post.city} · by @{post.user?.username} · {formatDateTime(post.createdAt)}
+              </p>
+              {(post.suspendedReason || post.flagReason) && (
+                <p className="text-xs text-gray-500 mt-1">{post.suspendedReason || post.flagReason}</p>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2 text-sm ml-4">
+              {post.suspendedAt ? (
+                <button onClick={() => runAction(() => adminAPI.unsuspendPost(post.id), 'Listing reinstated')} className="text-green-700 hover:underline">
+                  Reinstate
+                </button>
+              ) : (
+                <button onClick={() => handleSuspend(post)} className="text-red-600 hover:underline">
+                  Suspend
+                </button>
+              )}
+              {post.flaggedAt ? (
+                <button onClick={() => runAction(() => adminAPI.unflagPost(post.id), 'Flag cleared')} className="text-gray-700 hover:underline">
+                  Clear flag
+                </button>
+              ) : (
+                <button onClick={() => handleFlag(post)} className="text-yellow-700 hover:underline">
+                  Flag
+                </button>
+              )}
+              <Link to={`/posts/${post.id}/edit`} className="text-blue-600 hover:underline">
+                Edit
+              </Link>
+              <button onClick={() => onShowHistory(post)} className="text-blue-600 hover:underline">
+                History
+              </button>
+              <button onClick={() => handleDelete(post)} className="text-red-700 hover:underline">
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+        {!loading && items.length === 0 && (
+          <p className="py-6 text-center text-gray-500">No listings match these filters.</p>
+        )}
+      </div>
+
+      <AdminPagination page={page} pageCount={pageCount} total={total} onPageChange={setPage} />
+    </div>
+  );
+};
+
+export default AdminPosts;
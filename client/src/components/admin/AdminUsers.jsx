@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { adminAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { useAdminList } from '../../hooks/useAdminList';
+import { ROLES } from '../../utils/constants';
+import { askReason, formatDateTime } from '../../utils/admin';
+import AdminPagination from './AdminPagination';
+import ModerationStatus from './ModerationStatus';
+
+// `onShowHistory(user)` opens the audit log filtered to that user
+const AdminUsers = ({ onShowHistory }) => {
+  const { user: currentUser } = useAuth();
+  const [filters, setFilters] = useState({ q: '', role: '', status: '' });
+  const { items, total, page, pageCount, setPage, loading, error, runAction } = useAdminList(adminAPI.getUsers, filters);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleSuspend = (user) => {
+    const reason = askReason(`Why are you suspending ${user.username}? Their listings will be hidden too.`);
+    if (reason) runAction(() => adminAPI.suspendUser(user.id, reason), `${user.username} suspended`);
+  };
+
+  const handleFlag = (user) => {
+    const reason = askReason(`What should reviewers check about ${user.username}?`);
+    if (reason) runAction(() => adminAPI.flagUser(user.id, reason), `${user.username} flagged for review`);
+  };
+
+  const handleDelete = (user) => {
+    if (!window.confirm(`Delete ${user.username} and all of their listings and messages? This cannot be undone.`)) return;
+    runAction(() => adminAPI.deleteUser(user.id), `${user.username} deleted`);
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        <input
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          placeholder="Search username, email or name"
+          className="px-3 py-2 border border-gray-300 rounded-md"
+        />
+        <select name="role" value={filters.role} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-md">
+          <option value="">All roles</option>
+          {Object.values(ROLES).map((role) => (
+            <option key={role} value={role} className="capitalize">{role}</option>
+          ))}
+        </select>
+        <select name="status" value={filters.status} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-md">
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+          <option value="flagged">Flagged</option>
+        </select>
+      </div>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">User</th>
+              <th className="py-2 pr-4">Role</th>
+              <th className="py-2 pr-4">Status</th>
+              <th className="py-2 pr-4">Listings</th>
+              <th className="py-2 pr-4">Joined</th>
+              <th className="py-2">Actions</th>
+            </tr>
+          </thead>
+          <tbody className={loading ? 'opacity-50' : ''}>
+            {items.map((user) => {
+              const isSelf = user.id === currentUser?.id;
+              return (
+                <tr key={user.id} className="border-b align-top">
+                  <td className="py-2 pr-4">
+                    <p className="font-medium text-gray-900">{user.fullName || user.username}</p>
+                    <p className="text-gray-500">@{user.username} · {user.email}</p>
+                  </td>
+                  <td className="py-2 pr-4">
+                    <select
+                      value={user.role}
+                      disabled={isSelf}
+                      onChange={(e) => runAction(() => adminAPI.updateUserRole(user.id, { role: e.target.value }), `${user.username} is now ${e.target.value}`)}
+                      className="px-2 py-1 border border-gray-300 rounded capitalize"
+                    >
+                      {Object.values(ROLES).map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                    {user.role === ROLES.AGENT && (
+                      <label className="flex items-center mt-1 text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={user.agentVerified}
+                          onChange={(e) => runAction(
+                            () => adminAPI.updateUserRole(user.id, { agentVerified: e.target.checked }),
+                            e.target.checked ? `${user.username} verified as an agent` : `Agent verification removed`
+                          )}
+                          className="mr-1"
+                        />
+                        Verified agent
+                      </label>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4"><ModerationStatus item={user} /></td>
+                  <td className="py-2 pr-4">{user.postCount}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatDateTime(user.createdAt)}</td>
+                  <td className="py-2">
+                    <div className="flex flex-wrap gap-2">
+                      {user.suspendedAt ? (
+                        <button onClick={() => runAction(() => adminAPI.unsuspendUser(user.id), `${user.username} reinstated`)} className="text-green-700 hover:underline">
+                          Reinstate
+                        </button>
+                      ) : (
+                        <button onClick={() => handleSuspend(user)} disabled={isSelf} className="text-red-600 hover:underline disabled:opacity-40">
+                          Suspend
+                        </button>
+                      )}
+                      {user.flaggedAt ? (
+                        <button onClick={() => runAction(() => adminAPI.unflagUser(user.id), 'Flag cleared')} className="text-gray-700 hover:underline">
+                          Clear flag
+                        </button>
+                      ) : (
+                        <button onClick={() => handleFlag(user)} className="text-yellow-700 hover:underline">
+                          Flag
+                        </button>
+                      )}
+                      <button onClick={() => onShowHistory(user)} className="text-blue-600 hover:underline">
+                        History
+                      </button>
+                      <button onClick={() => handleDelete(user)} disabled={isSelf} className="text-red-700 hover:underline disabled:opacity-40">
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+            {!loading && items.length === 0 && (
+              <tr>
+                <td colSpan={6} className="py-6 text-center text-gray-500">No users match these filters.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <AdminPagination page={page} pageCount={pageCount} total={total} onPageChange={setPage} />
+    </div>
+  );
+};
+
+export default AdminUsers;
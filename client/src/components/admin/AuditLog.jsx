@@ -0,0 +1,63 @@
+import React from 'react';
+import { adminAPI } from '../../services/api';
+import { useAdminList } from '../../hooks/useAdminList';
+import { formatDateTime } from '../../utils/admin';
+import AdminPagination from './AdminPagination';
+
+// "user.role_changed" -> "role changed"
+const actionLabel = (action) => action.split('.').pop().replace(/_/g, ' ');
+
+const describeDetails = (details) => {
+  if (!details) return '';
+  if (details.reason) return details.reason;
+  if (details.reportIds) return `${details.reportIds.length} report(s): ${details.reasons.join(', ')}${details.note ? ` · ${details.note}` : ''}`;
+  if (details.from && details.to) return `${details.from.role} → ${details.to.role}${details.to.agentVerified ? ' (verified agent)' : ''}`;
+  if (details.fields) return `Changed ${details.fields.join(', ')}`;
+  if (details.title) return details.title;
+  if (details.username) return `${details.username} (${details.email})`;
+  return '';
+};
+
+// `target` ({ type, id, label }) limits the history to one user or listing
+const AuditLog = ({ target = null, onClearTarget }) => {
+  const filters = target ? { targetType: target.type, targetId: target.id } : {};
+  const { items, total, page, pageCount, setPage, loading, error } = useAdminList(adminAPI.getAuditLog, filters);
+
+  return (
+    <div>
+      {target && (
+        <div className="flex items-center justify-between bg-blue-50 text-blue-800 text-sm rounded-md px-3 py-2 mb-4">
+          <span>History for {target.type} {target.label}</span>
+          <button onClick={onClearTarget} className="hover:underline">Show everything</button>
+        </div>
+      )}
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      <ul className={`divide-y ${loading ? 'opacity-50' : ''}`}>
+        {items.map((entry) => (
+          <li key={entry.id} className="py-2 text-sm flex items-start justify-between">
+            <div>
+              <p>
+                <span className="font-medium">{entry.actorUsername ? `@${entry.actorUsername}` : 'Deleted admin'}</span>
+                {' '}<span className="capitalize">{actionLabel(entry.action)}</span>
+                {' '}<span className="text-gray-500">{entry.targetType} {entry.targetId}</span>
+              </p>
+              {describeDetails(entry.details) && (
+                <p className="text-gray-500">{describeDetails(entry.details)}</p>
+              )}
+            </div>
+            <span className="text-gray-400 whitespace-nowrap ml-4">{formatDateTime(entry.createdAt)}</span>
+          </li>
+        ))}
+        {!loading && items.length === 0 && (
+          <li className="py-6 text-center text-gray-500">No moderation history yet.</li>
+        )}
+      </ul>
+
+      <AdminPagination page={page} pageCount={pageCount} total={total} onPageChange={setPage} />
+    </div>
+  );
+};
+
+export default AuditLog;
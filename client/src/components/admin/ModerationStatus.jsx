@@ -0,0 +1,22 @@
+import React from 'react';
+
+// Suspended / flagged badges with the reason on hover
+const ModerationStatus = ({ item }) => (
+  <div className="flex flex-wrap gap-1">
+    {item.suspendedAt && (
+      <span title={item.suspendedReason} className="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded-full">
+        Suspended
+      </span>
+    )}
+    {item.flaggedAt && (
+      <span title={item.flagReason} className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">
+        Flagged
+      </span>
+    )}
+    {!item.suspendedAt && !item.flaggedAt && (
+      <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded-full">Active</span>
+    )}
+  </div>
+);
+
+export default ModerationStatus;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { adminAPI } from '../../services/api';
+import { useAdminList } from '../../hooks/useAdminList';
+import { REPORT_REASONS } from '../../utils/constants';
+import { askReason, formatDateTime } from '../../utils/admin';
+import AdminPagination from './AdminPagination';
+
+const reasonLabel = (value) => REPORT_REASONS.find((reason) => reason.value === value)?.label || value;
+
+// What was reported; the target is null once it has been deleted
+const ReportTarget = ({ report }) => {
+  const { target, targetType } = report;
+  if (!target) {
+    return <p className="text-gray-500 italic">Deleted {targetType}</p>;
+  }
+  if (targetType === 'post') {
+    return (
+      <p>
+        Listing{' '}
+        <Link to={`/posts/${target.id}`} className="font-medium text-gray-900 hover:text-blue-600">{target.title}</Link>
+        <span className="text-gray-500"> by @{target.user?.username}</span>
+        {target.suspendedAt && <span className="text-red-600"> · suspended</span>}
+      </p>
+    );
+  }
+  if (targetType === 'user') {
+    return (
+      <p>
+        User <span className="font-medium text-gray-900">@{target.username}</span>
+        <span className="text-gray-500"> ({target.email})</span>
+        {target.suspendedAt && <span className="text-red-600"> · suspended</span>}
+      </p>
+    );
+  }
+  return (
+    <div>
+      <p>
+        Message from <span className="font-medium text-gray-900">@{target.sender?.username}</span>
+        <span className="text-gray-500"> · {formatDateTime(target.createdAt)}</span>
+      </p>
+      <blockquote className="mt-1 border-l-4 border-gray-300 pl-3 text-gray-700 whitespace-pre-wrap">{target.content}</blockquote>
+    </div>
+  );
+};
+
+// User reports about listings, accounts and chat messages. Resolving or
+// dismissing a report closes every open report on the same target.
+const ReportsQueue = ({ onChange }) => {
+  const [filters, setFilters] = useState({ status: 'open', targetType: '' });
+  const { items, total, page, pageCount, setPage, loading, error, runAction } = useAdminList(adminAPI.getReports, filters);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const close = async (report, status) => {
+    const note = window.prompt(status === 'resolved' ? 'What action was taken? (optional)' : 'Why is this being dismissed? (optional)');
+    if (note === null) return;
+    await runAction(() => adminAPI.closeReport(report.id, status, note.trim()), status === 'resolved' ? 'Report resolved' : 'Report dismissed');
+    onChange?.();
+  };
+
+  // Suspends the reported listing or account (or a message's sender) and
+  // resolves the report with the same reason
+  const suspendAndResolve = async (report) => {
+    const { target, targetType } = report;
+    const user = targetType === 'message' ? target.sender : target;
+    const question = targetType === 'post'
+      ? `Why are you suspending "${target.title}"?`
+      : `Why are you suspending @${user.username}?`;
+    const reason = askReason(question);
+    if (!reason) return;
+
+    await runAction(async () => {
+      if (targetType === 'post') {
+        await adminAPI.suspendPost(target.id, reason);
+      } else {
+        await adminAPI.suspendUser(user.id, reason);
+      }
+      await adminAPI.closeReport(report.id, 'resolved', reason);
+    }, 'Suspended and resolved');
+    onChange?.();
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+        <select name="status" value={filters.status} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-md">
+          <option value="open">Open</option>
+          <option value="resolved">Resolved</option>
+          <option value="dismissed">Dismissed</option>
+        </select>
+        <select name="targetType" value={filters.targetType} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-md">
+          <option value="">Listings, users and messages</option>
+          <option value="post">Listings</option>
+          <option value="user">Users</option>
+          <option value="message">Messages</option>
+        </select>
+      </div>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+
+      <div className={`space-y-3 ${loading ? 'opacity-50' : ''}`}>
+        {items.map((report) => (
+          <div key={report.id} className="border rounded-lg p-3 flex items-start justify-between text-sm">
+            <div className="min-w-0">
+              <ReportTarget report={report} />
+              <p className="mt-2">
+                <span className="font-medium text-yellow-800">{reasonLabel(report.reason)}</span>
+                <span className="text-gray-500"> · reported by @{report.reporter?.username} · {formatDateTime(report.createdAt)}</span>
+              </p>
+              {report.details && <p className="text-gray-700 mt-1">{report.details}</p>}
+              {report.status !== 'open' && (
+                <p className="text-gray-500 mt-1">
+                  {report.status === 'resolved' ? 'Resolved' : 'Dismissed'} {formatDateTime(report.resolvedAt)}
+                  {report.resolution && `: ${report.resolution}`}
+                </p>
+              )}
+            </div>
+
+            {report.status === 'open' && (
+              <div className="flex flex-wrap gap-3 ml-4">
+                <button onClick={() => close(report, 'dismissed')} className="text-gray-700 hover:underline">
+                  Dismiss
+                </button>
+                <button onClick={() => close(report, 'resolved')} className="text-green-700 hover:underline">
+                  Resolve
+                </button>
+                {report.target && !(report.targetType !== 'message' && report.target.suspendedAt) && (
+                  <button onClick={() => suspendAndResolve(report)} className="text-red-600 hover:underline">
+                    {report.targetType === 'message' ? 'Suspend sender' : 'Suspend'}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+        {!loading && items.length === 0 && (
+          <p className="py-6 text-center text-gray-500">
+            {filters.status === 'open' ? 'No open reports. 🎉' : 'No reports match these filters.'}
+          </p>
+        )}
+      </div>
+
+      <AdminPagination page={page} pageCount={pageCount} total={total} onPageChange={setPage} />
+    </div>
+  );
+};
+
+export default ReportsQueue;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+import { askReason, formatDateTime } from '../../utils/admin';
+
+// Flagged users and listings, oldest first. Each item is either cleared
+// (nothing wrong) or suspended, which also clears it from the queue.
+const ReviewQueue = ({ onChange }) => {
+  const [flagged, setFlagged] = useState({ users: [], posts: [] });
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await adminAPI.getFlagged();
+      setFlagged(response.data);
+    } catch (error) {
+      console.error('❌ Error loading review queue:', error);
+      toast.error(error.response?.data?.message || 'Failed to load the review queue');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action, message) => {
+    try {
+      await action();
+      toast.success(message);
+      await load();
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const suspendAndClear = (suspend, unflag, question) => {
+    const reason = askReason(question);
+    if (!reason) return;
+    run(async () => {
+      await suspend(reason);
+      await unflag();
+    }, 'Suspended');
+  };
+
+  if (loading) {
+    return <p className="text-gray-500">Loading review queue...</p>;
+  }
+
+  if (flagged.users.length === 0 && flagged.posts.length === 0) {
+    return <p className="py-6 text-center text-gray-500">Nothing is waiting for review. 🎉</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {flagged.posts.length > 0 && (
+        <section>
+          <h3 className="font-semibold text-gray-900 mb-2">Listings ({flagged.posts.length})</h3>
+          <div className="space-y-2">
+            {flagged.posts.map((post) => (
+              <div key={post.id} className="border rounded-lg p-3 flex items-start justify-between">
+                <div>
+                  <Link to={`/posts/${post.id}`} className="font-medium text-gray-900 hover:text-blue-600">
+                    {post.title}
+                  </Link>
+                  <p className="text-sm text-gray-500">by @{post.user?.username} · flagged {formatDateTime(post.flaggedAt)}</p>
+                  <p className="text-sm text-yellow-800 mt-1">{post.flagReason}</p>
+                </div>
+                <div className="flex gap-3 text-sm">
+                  <button onClick={() => run(() => adminAPI.unflagPost(post.id), 'Flag cleared')} className="text-gray-700 hover:underline">
+                    Dismiss
+                  </button>
+                  {!post.suspendedAt && (
+                    <button
+                      onClick={() => suspendAndClear(
+                        (reason) => adminAPI.suspendPost(post.id, reason),
+                        () => adminAPI.unflagPost(post.id),
+                        `Why are you suspending "${post.title}"?`
+                      )}
+                      className="text-red-600 hover:underline"
+                    >
+                      Suspend
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {flagged.users.length > 0 && (
+        <section>
+          <h3 className="font-semibold text-gray-900 mb-2">Users ({flagged.users.length})</h3>
+          <div className="space-y-2">
+            {flagged.users.map((user) => (
+              <div key={user.id} className="border rounded-lg p-3 flex items-start justify-between">
+                <div>
+                  <p className="font-medium text-gray-900">{user.fullName || user.username} <span className="text-gray-500">@{user.username}</span></p>
+                  <p className="text-sm text-gray-500">{user.email} · flagged {formatDateTime(user.flaggedAt)}</p>
+                  <p className="text-sm text-yellow-800 mt-1">{user.flagReason}</p>
+                </div>
+                <div className="flex gap-3 text-sm">
+                  <button onClick={() => run(() => adminAPI.unflagUser(user.id), 'Flag cleared')} className="text-gray-700 hover:underline">
+                    Dismiss
+                  </button>
+                  {!user.suspendedAt && (
+                    <button
+                      onClick={() => suspendAndClear(
+                        (reason) => adminAPI.suspendUser(user.id, reason),
+                        () => adminAPI.unflagUser(user.id),
+                        `Why are you suspending ${user.username}?`
+                      )}
+                      className="text-red-600 hover:underline"
+                    >
+                      Suspend
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -1,5 +1,19 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import authService from '../services/authService'; // Adjust the path as needed
+import authService, { refreshAccessToken } from '../services/authService'; // Adjust the path as needed
+import { authAPI } from '../services/api';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// JWT payloads are base64url encoded
+const tokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch {
+    return null;
+  }
+};
 
 const AuthContext = createContext();
 
@@ -20,6 +34,46 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // Token refreshes and expired sessions are handled in services/authService;
+  // the storage event keeps other tabs' logins, logouts and refreshes in sync
+  useEffect(() => {
+    const handleRefreshed = (event) => setUser(event.detail);
+    const handleExpired = () => {
+      console.log('🔒 Session expired, logging out');
+      setUser(null);
+      setIsAuthenticated(false);
+    };
+    const handleStorage = (event) => {
+      if (event.key !== 'user') return;
+      const nextUser = event.newValue ? JSON.parse(event.newValue) : null;
+      setUser(nextUser);
+      setIsAuthenticated(Boolean(nextUser));
+    };
+
+    window.addEventListener('auth:refreshed', handleRefreshed);
+    window.addEventListener('auth:expired', handleExpired);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener('auth:refreshed', handleRefreshed);
+      window.removeEventListener('auth:expired', handleExpired);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  // Refresh shortly before the access token expires, so requests that don't
+  // go through the axios instance still carry a valid token
+  useEffect(() => {
+    if (!user?.token) return undefined;
+
+    const expiresAt = tokenExpiry(user.token);
+    if (!expiresAt) return undefined;
+
+    const timer = setTimeout(() => {
+      refreshAccessToken();
+    }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+    return () => clearTimeout(timer);
+  }, [user?.token]);
+
   const checkAuth = async () => {
     try {
       const savedUser = localStorage.getItem('user');
@@ -27,6 +81,13 @@ export const AuthProvider = ({ children }) => {
         const userData = JSON.parse(savedUser);
         console.log('🔍 Restored user from localStorage:', userData);
         
+        // Older versions kept the refresh token here too; it now lives only
+        // in an httpOnly cookie
+        if ('refreshToken' in userData) {
+          delete userData.refreshToken;
+          localStorage.setItem('user', JSON.stringify(userData));
+        }
+
         // Ensure user has a valid token
         if (!userData.token) {
           userData.token = `user_${userData.id}`;
@@ -145,6 +206,11 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      // Revoke the session on the server; the local logout happens regardless
+      await authAPI.logout().catch((error) => {
+        console.error('⚠️ Could not revoke session:', error.message);
+      });
+
       setUser(null);
       setIsAuthenticated(false);
       localStorage.removeItem('user');
@@ -154,6 +220,24 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Merges changed profile fields (e.g. a new avatar) into the stored session
+  const updateUser = (changes) => {
+    setUser(prev => {
+      const updatedUser = { ...prev, ...changes };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  };
+
+  // Ends every session of this user, on all devices
+  const logoutAllDevices = async () => {
+    await authAPI.logoutAll();
+    setUser(null);
+    setIsAuthenticated(false);
+    localStorage.removeItem('user');
+    console.log('👋 Logged out from all devices');
+  };
+
   // Add this function to refresh user data
   const refreshUserData = async () => {
     try {
@@ -217,7 +301,9 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     register,
-    logout
+    logout,
+    logoutAllDevices,
+    updateUser
   };
 
   return (
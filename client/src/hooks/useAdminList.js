@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+
+// Loads one page of an admin list endpoint ({ items, total, page, limit }).
+// Changing `filters` goes back to the first page. `runAction` performs a
+// moderation call, toasts the outcome and reloads the page.
+export const useAdminList = (fetchPage, filters) => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(20);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const filterKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    setPage(1);
+  }, [filterKey]);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchPage({ ...JSON.parse(filterKey), page });
+      setItems(response.data.items);
+      setTotal(response.data.total);
+      setLimit(response.data.limit);
+    } catch (err) {
+      console.error('❌ Error loading admin list:', err);
+      setError(err.response?.data?.message || 'Failed to load');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchPage, filterKey, page]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const runAction = useCallback(async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      await reload();
+    } catch (err) {
+      console.error('❌ Admin action failed:', err);
+      toast.error(err.response?.data?.message || 'Action failed');
+    }
+  }, [reload]);
+
+  const pageCount = Math.max(Math.ceil(total / limit), 1);
+
+  return { items, total, page, pageCount, setPage, loading, error, reload, runAction };
+};
+
+export default useAdminList;
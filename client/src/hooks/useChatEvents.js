@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import socketService from '../services/socket';
+import { chatAPI } from '../services/api';
+
+// Stop showing "typing…" if a typing:stop never arrives
+const TYPING_EXPIRY_MS = 6000;
+// Send typing:stop after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+// Live messages arriving within this window share one read request
+const MARK_READ_DELAY_MS = 500;
+
+// Typing state for one conversation. `otherTyping` is true while someone
+// else in it is typing; call `onInput` on every keystroke and `stopTyping`
+// when the message is sent.
+export const useTypingIndicator = (conversationId, userId) => {
+  const [otherTyping, setOtherTyping] = useState(false);
+  const typingRef = useRef(false);
+  const idleTimerRef = useRef(null);
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    if (typingRef.current) {
+      typingRef.current = false;
+      socketService.stopTyping(conversationId);
+    }
+  }, [conversationId]);
+
+  const onInput = useCallback(() => {
+    if (!conversationId) return;
+    if (!typingRef.current) {
+      typingRef.current = true;
+      socketService.startTyping(conversationId);
+    }
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  }, [conversationId, stopTyping]);
+
+  // Leaving a conversation stops typing in it
+  useEffect(() => stopTyping, [stopTyping]);
+
+  useEffect(() => {
+    setOtherTyping(false);
+    if (!conversationId) return undefined;
+
+    let expiryTimer = null;
+    const isOther = (event) => event.conversationId === conversationId && event.userId !== userId;
+
+    const offStart = socketService.on('typing:start', (event) => {
+      if (!isOther(event)) return;
+      setOtherTyping(true);
+      clearTimeout(expiryTimer);
+      expiryTimer = setTimeout(() => setOtherTyping(false), TYPING_EXPIRY_MS);
+    });
+    const offStop = socketService.on('typing:stop', (event) => {
+      if (!isOther(event)) return;
+      clearTimeout(expiryTimer);
+      setOtherTyping(false);
+    });
+
+    return () => {
+      clearTimeout(expiryTimer);
+      offStart();
+      offStop();
+    };
+  }, [conversationId, userId]);
+
+  return { otherTyping, onInput, stopTyping };
+};
+
+// Applies message:delivered and message:read events for one conversation
+// to its `messages` state, so the sender's ticks update live
+export const useReadReceipts = (conversationId, setMessages) => {
+  useEffect(() => {
+    if (!conversationId) return undefined;
+
+    const offDelivered = socketService.on('message:delivered', (event) => {
+      if (event.conversationId !== conversationId) return;
+      setMessages((prev) => prev.map((message) =>
+        event.messageIds.includes(message.id) && !message.deliveredAt
+          ? { ...message, deliveredAt: event.deliveredAt }
+          : message
+      ));
+    });
+
+    // Everything the reader had received up to readAt is now read
+    const offRead = socketService.on('message:read', (event) => {
+      if (event.conversationId !== conversationId) return;
+      setMessages((prev) => prev.map((message) =>
+        message.senderId !== event.readerId &&
+        !message.readAt &&
+        new Date(message.createdAt) <= new Date(event.readAt)
+          ? { ...message, deliveredAt: message.deliveredAt || event.readAt, readAt: event.readAt }
+          : message
+      ));
+    });
+
+    return () => {
+      offDelivered();
+      offRead();
+    };
+  }, [conversationId, setMessages]);
+};
+
+// Returns `markRead()` for the open conversation, to call when a live
+// message lands on screen. Calls are debounced, so a burst such as the
+// unread replay on connect sends one request; a pending one is sent
+// straight away when the conversation is left.
+export const useMarkRead = (conversationId) => {
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    if (!conversationId) return undefined;
+    return () => {
+      if (timerRef.current) {
+        clearTimeout(timerRef.current);
+        timerRef.current = null;
+        chatAPI.markChatAsRead(conversationId);
+      }
+    };
+  }, [conversationId]);
+
+  return useCallback(() => {
+    if (!conversationId) return;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      chatAPI.markChatAsRead(conversationId);
+    }, MARK_READ_DELAY_MS);
+  }, [conversationId]);
+};
@@ -1,55 +1,97 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { postAPI } from '../services/api';
 
 export const usePosts = (initialFilters = {}) => {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState(initialFilters);
-  
-  const loadPosts = async (queryParams = {}) => {
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  // Params of the current result set, reused when fetching further pages
+  const lastParamsRef = useRef({});
+  // Bumped on every fresh load so responses to superseded requests are dropped
+  const requestIdRef = useRef(0);
+
+  const loadPosts = useCallback(async (queryParams = {}) => {
+    const requestId = ++requestIdRef.current;
     setLoading(true);
     setError(null);
-    
+
     try {
       const mergedParams = { ...filters, ...queryParams };
+      lastParamsRef.current = mergedParams;
       const response = await postAPI.getAllPosts(mergedParams);
-      
-      // Check if we got an array back
-      const postsData = Array.isArray(response.data) 
-        ? response.data 
-        : response.data.posts || [];
-        
-      setPosts(postsData);
-      return postsData;
+      if (requestId !== requestIdRef.current) return [];
+
+      const { items = [], nextCursor: cursor = null, total: count = items.length } = response.data;
+      setPosts(items);
+      setNextCursor(cursor);
+      setTotal(count);
+      return items;
     } catch (error) {
+      if (requestId !== requestIdRef.current) return [];
       console.error('❌ Error loading posts from API:', error);
-      setError(error.message || 'Failed to load posts');
-      
+      setError(error.response?.data?.message || error.message || 'Failed to load posts');
+
       // Fallback to empty array on error
       setPosts([]);
+      setNextCursor(null);
+      setTotal(0);
       return [];
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) setLoading(false);
     }
-  };
-  
+  }, [filters]);
+
+  // Appends the next page of the current result set (infinite scroll)
+  const loadMore = useCallback(async () => {
+    if (!nextCursor) return [];
+
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+
+    try {
+      const response = await postAPI.getAllPosts({ ...lastParamsRef.current, cursor: nextCursor });
+      if (requestId !== requestIdRef.current) return [];
+
+      const { items = [], nextCursor: cursor = null } = response.data;
+      setPosts((prev) => {
+        const seen = new Set(prev.map((post) => post.id));
+        return [...prev, ...items.filter((post) => !seen.has(post.id))];
+      });
+      setNextCursor(cursor);
+      return items;
+    } catch (error) {
+      console.error('❌ Error loading more posts:', error);
+      setError(error.response?.data?.message || error.message || 'Failed to load more posts');
+      return [];
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor]);
+
   // Load posts on mount or when filters change
   useEffect(() => {
     loadPosts();
   }, [JSON.stringify(filters)]);
-  
+
   const updateFilters = (newFilters) => {
     setFilters(prev => ({ ...prev, ...newFilters }));
   };
-  
+
   return {
     posts,
     loading,
+    loadingMore,
     error,
     filters,
+    total,
+    hasMore: Boolean(nextCursor),
     updateFilters,
     loadPosts,
+    loadMore,
     setPosts
   };
-};
\ No newline at end of file
+};
@@ -21,8 +21,8 @@ export const usePosts = () => {
         console.log('🔄 Using mock post data in usePosts hook');
         // Format the structure to match what the component expects
         const formattedData = {
-          allPosts: response.data,
-          myPosts: response.data.filter(post => user && post.user && post.user.id === user.id)
+          allPosts: response.data.items,
+          myPosts: response.data.items.filter(post => user && post.user && post.user.id === user.id)
         };
         
         setPosts(formattedData);
@@ -31,8 +31,8 @@ export const usePosts = () => {
         return;
       }
 
-      // Normal API response processing
-      const allPosts = response.data;
+      // Normal API response processing - the listing comes back as { items, nextCursor, total }
+      const allPosts = response.data.items || [];
       
       // Filter for user's posts if logged in
       const myPosts = user 
@@ -1,16 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { usePosts } from '../hooks/usePosts';
+import { postAPI } from '../services/api';
+import ListingAttributesFields from '../components/ListingAttributesFields';
+import ImageUploader from '../components/ImageUploader';
+import { EMPTY_LISTING_ATTRIBUTES } from '../utils/listingAttributes';
+import { LISTING_STATUSES } from '../utils/constants';
 
 const AddPost = () => {
-  const { isAuthenticated, user } = useAuth();
+  const { isAuthenticated, user, logout } = useAuth();
   const navigate = useNavigate();
-  const { createPost } = usePosts();
   
   const [currentStep, setCurrentStep] = useState(1);
   const [loading, setLoading] = useState(false);
-  const [images, setImages] = useState([]);
   
   const [formData, setFormData] = useState({
     title: '',
@@ -37,6 +39,8 @@ const AddPost = () => {
     restaurant: ''
   });
 
+  const [attributes, setAttributes] = useState(EMPTY_LISTING_ATTRIBUTES);
+
   // REMOVE or ADJUST this if it exists
   // useEffect(() => {
   //   if (!isAuthenticated) {
@@ -68,125 +72,10 @@ const AddPost = () => {
     }));
   };
 
-  // Image compression function
-  const compressImage = (file, maxWidth = 800, quality = 0.8) => {
-    return new Promise((resolve) => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      const img = new Image();
-      
-      img.onload = () => {
-        // Calculate new dimensions - more aggressive resizing
-        let { width, height } = img;
-        
-        // Calculate target dimensions to keep file size reasonable
-        let targetWidth = width;
-        
-        // For large images, scale down more aggressively
-        if (width > 1600) {
-          targetWidth = 800; // Very large images become 800px wide
-        } else if (width > 1200) {
-          targetWidth = 700; // Large images become 700px wide
-        } else if (width > 800) {
-          targetWidth = 600; // Medium-large images become 600px wide
-        } else if (width > 600) {
-          targetWidth = 500; // Medium images remain 500px wide
-        } else if (width > 400) {
-          targetWidth = 400; // Smaller images remain as is
-        }
-        
-        // Calculate new height to maintain aspect ratio
-        const scaleFactor = targetWidth / width;
-        height = Math.round(height * scaleFactor);
-        width = targetWidth;
-        
-        canvas.width = width;
-        canvas.height = height;
-        
-        // Draw and compress
-        ctx.fillStyle = '#FFFFFF'; // White background
-        ctx.fillRect(0, 0, width, height);
-        ctx.drawImage(img, 0, 0, width, height);
-        
-        // Use a lower quality for JPEG for smaller file size
-        const actualQuality = file.size > 1024 * 1024 ? 0.6 : 0.75; // Lower quality for large files
-        
-        // Convert to blob with compression
-        canvas.toBlob(
-          (blob) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.readAsDataURL(blob);
-          },
-          'image/jpeg',
-          actualQuality
-        );
-      };
-      
-      img.src = URL.createObjectURL(file);
-    });
-  };
-
-  const handleImageUpload = async (e) => {
-    const files = Array.from(e.target.files);
-    
-    if (files.length === 0) return;
-
-    console.log('📸 Processing images:', files.length);
-    
-    // Check file sizes before processing
-    const maxFileSize = 5 * 1024 * 1024; // 5MB
-    const oversizedFiles = files.filter(file => file.size > maxFileSize);
-    
-    if (oversizedFiles.length > 0) {
-      console.log('⚠️ Large files detected, compressing...');
-    }
-
-    try {
-      const imagePromises = files.map(async (file) => {
-        try {
-          // If file is too large, compress it
-          if (file.size > maxFileSize) {
-            console.log(`🔄 Compressing ${file.name} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
-            return await compressImage(file, 800, 0.7); // More aggressive compression for large files
-          } else {
-            console.log(`✅ ${file.name} is acceptable size (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
-            return await compressImage(file, 1200, 0.9); // Light compression for smaller files
-          }
-        } catch (error) {
-          console.error('❌ Error processing file:', file.name, error);
-          return null;
-        }
-      });
-
-      const imageUrls = await Promise.all(imagePromises);
-      const validImageUrls = imageUrls.filter(url => url !== null);
-      
-      console.log('✅ Images processed successfully:', validImageUrls.length);
-      
-      setImages(prev => [...prev, ...validImageUrls]);
-      setFormData(prev => ({
-        ...prev,
-        images: [...prev.images, ...validImageUrls]
-      }));
-      
-      // Show success message
-      if (validImageUrls.length > 0) {
-        console.log(`📸 ${validImageUrls.length} images uploaded successfully`);
-      }
-      
-    } catch (error) {
-      console.error('❌ Error processing images:', error);
-      alert('Error processing images. Please try again.');
-    }
-  };
-
-  const removeImage = (index) => {
-    const newImages = images.filter((_, i) => i !== index);
-    setImages(newImages);
+  const handleImagesChange = (images) => {
     setFormData(prev => ({
       ...prev,
-      images: newImages
+      images
     }));
   };
 
@@ -205,6 +94,8 @@ const AddPost = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // "Save as draft" keeps the listing private until it is published
+    const asDraft = e.nativeEvent.submitter?.value === 'draft';
     
     // Double-check authentication
     if (!isAuthenticated || !user) {
@@ -221,7 +112,7 @@ const AddPost = () => {
       // IMPORTANT: Make sure to properly format the post data with user connection
       const postData = {
         title: formData.title,
-        price: parseInt(formData.price),
+        price: parseFloat(formData.price),
         address: formData.address,
         city: formData.city,
         bedroom: parseInt(formData.bedroom) || 0,
@@ -231,6 +122,7 @@ const AddPost = () => {
         type: formData.type,
         property: formData.property,
         images: formData.images,
+        ...(asDraft && { status: LISTING_STATUSES.DRAFT }),
         
         // THIS IS THE KEY PART - explicitly pass user ID in the proper format
         user: {
@@ -246,7 +138,8 @@ const AddPost = () => {
             size: postDetail.size ? parseInt(postDetail.size) : null,
             school: postDetail.school ? parseInt(postDetail.school) : null,
             bus: postDetail.bus ? parseInt(postDetail.bus) : null,
-            restaurant: postDetail.restaurant ? parseInt(postDetail.restaurant) : null
+            restaurant: postDetail.restaurant ? parseInt(postDetail.restaurant) : null,
+            ...attributes
           }
         }
       };
@@ -256,14 +149,16 @@ const AddPost = () => {
         userConnection: postData.user
       }));
 
-      // If using Option 1 (usePosts hook):
-      const result = await createPost(postData);
-      
-      // OR if using Option 2 (postAPI):
-      // const result = await postAPI.createPost(postData);
+      const result = await postAPI.createPost(postData);
       
       console.log('✅ Post created successfully:', result);
       
+      if (asDraft) {
+        alert('Draft saved. Publish it from the listing page when you are ready.');
+        navigate(`/posts/${result.id}`);
+        return;
+      }
+
       alert('Property listing created successfully!');
       navigate('/posts');
       
@@ -280,7 +175,7 @@ const AddPost = () => {
           // If there's an authentication issue, redirect to login
           if (error.response.status === 401 || error.response.status === 403) {
             alert('Your session has expired. Please login again.');
-            logout(); // Make sure you have access to logout function
+            logout();
             navigate('/login');
             return;
           }
@@ -413,6 +308,8 @@ const AddPost = () => {
                 <input
                   type="number"
                   name="price"
+                  min="0.01"
+                  step="0.01"
                   value={formData.price}
                   onChange={handleInputChange}
                   required
@@ -514,50 +411,14 @@ const AddPost = () => {
                 />
               </div>
 
-              <div>
+              <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Images (Max 5MB each)
+                  Images
                 </label>
-                <input
-                  type="file"
-                  multiple
-                  accept="image/*"
-                  onChange={handleImageUpload}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  Large images will be automatically compressed for faster upload
-                </p>
+                <ImageUploader images={formData.images} onChange={handleImagesChange} />
               </div>
             </div>
 
-            {/* Image Preview */}
-            {images.length > 0 && (
-              <div className="mt-6">
-                <h3 className="text-sm font-medium text-gray-700 mb-2">
-                  Uploaded Images ({images.length})
-                </h3>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                  {images.map((image, index) => (
-                    <div key={index} className="relative">
-                      <img
-                        src={image}
-                        alt={`Upload ${index + 1}`}
-                        className="w-full h-24 object-cover rounded border"
-                      />
-                      <button
-                        type="button"
-                        onClick={() => removeImage(index)}
-                        className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-xs hover:bg-red-600"
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
-
             <div className="flex justify-end mt-6">
               <button
                 type="button"
@@ -695,6 +556,9 @@ const AddPost = () => {
               </div>
             </div>
 
+            <h3 className="text-lg font-semibold mt-8 mb-4">Features</h3>
+            <ListingAttributesFields values={attributes} onChange={setAttributes} />
+
             <div className="flex justify-between mt-6">
               <button
                 type="button"
@@ -703,13 +567,23 @@ const AddPost = () => {
               >
                 Back
               </button>
-              <button
-                type="submit"
-                disabled={loading}
-                className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
-              >
-                {loading ? 'Creating...' : 'Create Post'}
-              </button>
+              <div className="flex space-x-3">
+                <button
+                  type="submit"
+                  value="draft"
+                  disabled={loading}
+                  className="bg-white text-gray-700 border border-gray-300 px-6 py-2 rounded hover:bg-gray-50 transition disabled:opacity-50"
+                >
+                  Save as Draft
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
+                >
+                  {loading ? 'Creating...' : 'Create Post'}
+                </button>
+              </div>
             </div>
           </div>
         )}
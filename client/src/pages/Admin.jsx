@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { adminAPI } from '../services/api';
+import AdminUsers from '../components/admin/AdminUsers';
+import AdminPosts from '../components/admin/AdminPosts';
+import ReviewQueue from '../components/admin/ReviewQueue';
+import ReportsQueue from '../components/admin/ReportsQueue';
+import AuditLog from '../components/admin/AuditLog';
+
+const TABS = [
+  { id: 'review', label: 'Review Queue' },
+  { id: 'reports', label: 'Reports' },
+  { id: 'users', label: 'Users' },
+  { id: 'posts', label: 'Listings' },
+  { id: 'audit', label: 'Audit Log' }
+];
+
+const StatCard = ({ label, stats }) => (
+  <div className="bg-white rounded-lg shadow-md p-4">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="text-2xl font-bold text-gray-900">{stats?.total ?? '—'}</p>
+    <p className="text-xs text-gray-500 mt-1">
+      {stats ? `${stats.suspended} suspended · ${stats.flagged} flagged` : ''}
+    </p>
+  </div>
+);
+
+// Moderation console; the route is limited to admins in App.jsx and every
+// call is checked again by the API
+const Admin = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = TABS.some((tab) => tab.id === searchParams.get('tab')) ? searchParams.get('tab') : 'review';
+  const [stats, setStats] = useState(null);
+  const [historyTarget, setHistoryTarget] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    try {
+      const response = await adminAPI.getStats();
+      setStats(response.data);
+    } catch (error) {
+      console.error('❌ Error loading admin stats:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats, activeTab]);
+
+  const selectTab = (tab) => {
+    setSearchParams({ tab });
+  };
+
+  const showHistory = (type) => (item) => {
+    setHistoryTarget({ type, id: item.id, label: type === 'user' ? `@${item.username}` : `"${item.title}"` });
+    selectTab('audit');
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold text-gray-900 mb-6">Admin Console</h1>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+        <StatCard label="Users" stats={stats?.users} />
+        <StatCard label="Listings" stats={stats?.posts} />
+        <button onClick={() => selectTab('reports')} className="bg-white rounded-lg shadow-md p-4 text-left hover:bg-gray-50">
+          <p className="text-sm text-gray-500">Open reports</p>
+          <p className="text-2xl font-bold text-gray-900">{stats?.reports?.open ?? '—'}</p>
+          <p className="text-xs text-gray-500 mt-1">from users</p>
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="border-b flex">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => selectTab(tab.id)}
+              className={`px-5 py-3 text-sm font-medium border-b-2 -mb-px ${
+                activeTab === tab.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="p-6">
+          {activeTab === 'review' && <ReviewQueue onChange={loadStats} />}
+          {activeTab === 'reports' && <ReportsQueue onChange={loadStats} />}
+          {activeTab === 'users' && <AdminUsers onShowHistory={showHistory('user')} />}
+          {activeTab === 'posts' && <AdminPosts onShowHistory={showHistory('post')} />}
+          {activeTab === 'audit' && <AuditLog target={historyTarget} onClearTarget={() => setHistoryTarget(null)} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -2,6 +2,14 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { chatAPI } from '../services/api';
 import socketService from '../services/socket';
+import ReportButton from '../components/ReportButton';
+import MessageStatus from '../components/MessageStatus';
+import MessageBody from '../components/MessageBody';
+import ChatAttachmentActions from '../components/ChatAttachmentActions';
+import { useTypingIndicator, useReadReceipts, useMarkRead } from '../hooks/useChatEvents';
+
+// Optimistic messages have temporary ids until the API stores them
+const isStoredMessage = (message) => /^[a-f0-9]{24}$/i.test(message.id || '');
 
 const Chat = () => {
   const [chats, setChats] = useState([]);
@@ -14,6 +22,9 @@ const Chat = () => {
   const { user, isAuthenticated } = useAuth();
   const messagesEndRef = useRef(null);
   const [showUserInfoModal, setShowUserInfoModal] = useState(false);
+  const { otherTyping, onInput, stopTyping } = useTypingIndicator(selectedChat?.id, user?.id);
+  useReadReceipts(selectedChat?.id, setMessages);
+  const markRead = useMarkRead(selectedChat?.id);
 
   useEffect(() => {
     // Initialize the component
@@ -50,12 +61,14 @@ const Chat = () => {
           console.log('📩 Message received in Chat component:', data);
           
           // Handle incoming message (add to state, etc.)
-          if (selectedChat && 
-             (data.senderId === selectedChat.otherUser.id || 
-              data.chatId === selectedChat.id)) {
+          // The same user may be in other conversations too, so match on chatId
+          if (selectedChat && data.chatId === selectedChat.id) {
             
             console.log('📥 Adding received message to current chat');
-            setMessages(prev => [...prev, data]);
+            // Unread messages are replayed on every connect; skip ones we have
+            setMessages(prev => prev.some(msg => msg.id === data.id) ? prev : [...prev, data]);
+            // It's on screen, so the sender gets a read receipt
+            markRead();
           }
         });
       }
@@ -67,7 +80,7 @@ const Chat = () => {
         }
       };
     }
-  }, [user, selectedChat]);
+  }, [user, selectedChat, markRead]);
 
   useEffect(() => {
     if (user?.id) {
@@ -79,6 +92,10 @@ const Chat = () => {
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    socketService.joinConversation(selectedChat?.id);
+  }, [selectedChat?.id]);
+
   // Update the fetchChats function to filter chats for the current user
   const fetchChats = async () => {
     if (!user?.id) {
@@ -203,6 +220,7 @@ const Chat = () => {
 
     const messageContent = newMessage.trim();
     const chatId = selectedChat.id;
+    stopTyping();
     
     console.log(`📝 Sending message to chat ${chatId}: ${messageContent.substring(0, 20)}...`);
     setNewMessage(''); // Clear input field immediately for better UX
@@ -230,23 +248,14 @@ const Chat = () => {
       const response = await chatAPI.sendMessage(chatId, messageContent);
       const sentMessage = response.data;
       
-      // Replace the temporary message with the real one
+      // Replace the temporary message with the real one. The API pushes it
+      // to the other user through the socket server.
       setMessages((prev) => 
         prev.map(msg => 
           msg.id === tempMessage.id ? sentMessage : msg
         )
       );
       
-      // Also send via socket for real-time delivery
-      if (socketConnected) {
-        socketService.sendMessage(selectedChat.otherUser.id, {
-          chatId: chatId,
-          content: messageContent,
-          senderId: user.id,
-          createdAt: new Date().toISOString()
-        });
-      }
-      
       // Refresh chat list to update last message
       fetchChats();
       
@@ -262,6 +271,18 @@ const Chat = () => {
     }
   };
 
+  // Attachments and shared listings are stored before they appear, so
+  // there's no temporary message to replace. The typed text was the caption.
+  const handleAttachmentSent = (message) => {
+    stopTyping();
+    setNewMessage('');
+    setMessages((prev) => prev.some((msg) => msg.id === message.id) ? prev : [...prev, message]);
+    fetchChats();
+  };
+
+  // The "Seen at" line goes under the newest message the user sent
+  const lastOwnMessage = [...messages].reverse().find((message) => message.senderId === user?.id);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -522,11 +543,21 @@ const Chat = () => {
                           {selectedChat.otherUser?.fullName || selectedChat.otherUser?.username || 'Unknown User'}
                         </h3>
                         
-                        {/* Status indicator */}
-                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                          <span className="h-2 w-2 mr-1 rounded-full bg-green-400"></span>
-                          Online
-                        </span>
+                        <div className="flex items-center space-x-3">
+                          {selectedChat.otherUser?.id && (
+                            <ReportButton
+                              targetType="user"
+                              targetId={selectedChat.otherUser.id}
+                              label={`@${selectedChat.otherUser.username}`}
+                            />
+                          )}
+
+                          {/* Status indicator */}
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                            <span className="h-2 w-2 mr-1 rounded-full bg-green-400"></span>
+                            Online
+                          </span>
+                        </div>
                       </div>
                       
                       <div className="flex items-center text-sm text-gray-500">
@@ -578,43 +609,74 @@ const Chat = () => {
                         
                         {group.messages.map((message) => {
                           const isOwnMessage = message.senderId === user?.id;
+                          const showSeen = message.id === lastOwnMessage?.id && message.readAt;
                           return (
-                            <div
-                              key={message.id}
-                              className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}
-                            >
+                            <React.Fragment key={message.id}>
                               <div
-                                className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
-                                  isOwnMessage
-                                    ? 'bg-blue-500 text-white'
-                                    : 'bg-gray-200 text-gray-900'
-                                }`}
+                                className={`group flex items-end ${isOwnMessage ? 'justify-end' : 'justify-start'}`}
                               >
-                                <p className="text-sm">{message.content}</p>
-                                <p
-                                  className={`text-xs mt-1 ${
-                                    isOwnMessage ? 'text-blue-100' : 'text-gray-500'
+                                <div
+                                  className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
+                                    isOwnMessage
+                                      ? 'bg-blue-500 text-white'
+                                      : 'bg-gray-200 text-gray-900'
                                   }`}
                                 >
-                                  {formatTime(message.createdAt)}
-                                </p>
+                                  <MessageBody message={message} own={isOwnMessage} />
+                                  <p
+                                    className={`text-xs mt-1 ${
+                                      isOwnMessage ? 'text-blue-100' : 'text-gray-500'
+                                    }`}
+                                  >
+                                    {formatTime(message.createdAt)}
+                                    {isOwnMessage && isStoredMessage(message) && (
+                                      <MessageStatus message={message} className="ml-1" />
+                                    )}
+                                  </p>
+                                </div>
+                                {!isOwnMessage && isStoredMessage(message) && (
+                                  <ReportButton
+                                    targetType="message"
+                                    targetId={message.id}
+                                    label="this message"
+                                    className="ml-2 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                                  />
+                                )}
                               </div>
-                            </div>
+                              {showSeen && (
+                                <p className="text-xs text-gray-500 text-right -mt-3">
+                                  Seen at {formatTime(message.readAt)}
+                                </p>
+                              )}
+                            </React.Fragment>
                           );
                         })}
                       </div>
                     ))
                   )}
+                  {otherTyping && (
+                    <p className="text-sm text-gray-500 italic">
+                      {selectedChat.otherUser?.fullName || selectedChat.otherUser?.username || 'They'} is typing…
+                    </p>
+                  )}
                   <div ref={messagesEndRef} />
                 </div>
 
                 {/* Message Input */}
                 <form onSubmit={handleSendMessage} className="p-4 border-t border-gray-200">
                   <div className="flex space-x-2">
+                    <ChatAttachmentActions
+                      chatId={selectedChat.id}
+                      caption={newMessage}
+                      onSent={handleAttachmentSent}
+                    />
                     <input
                       type="text"
                       value={newMessage}
-                      onChange={(e) => setNewMessage(e.target.value)}
+                      onChange={(e) => {
+                        setNewMessage(e.target.value);
+                        onInput();
+                      }}
                       placeholder="Type your message..."
                       className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                     />
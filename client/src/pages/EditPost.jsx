@@ -2,6 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { postAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import ListingAttributesFields from '../components/ListingAttributesFields';
+import ImageUploader from '../components/ImageUploader';
+import { toListingAttributeForm } from '../utils/listingAttributes';
+import { ROLES } from '../utils/constants';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
 
 const EditPost = () => {
   const { id } = useParams();
@@ -20,8 +27,11 @@ const EditPost = () => {
     bedroom: 1,
     bathroom: 1,
     description: '',
-    amenities: []
+    images: []
   });
+  const [attributes, setAttributes] = useState(toListingAttributeForm());
+  // The API resets omitted detail fields, so the rest of postDetail is sent back as loaded
+  const [postDetail, setPostDetail] = useState({});
   
   useEffect(() => {
     const fetchPost = async () => {
@@ -29,8 +39,8 @@ const EditPost = () => {
         setLoading(true);
         const response = await postAPI.getPost(id);
         
-        // Check if the post belongs to the current user
-        if (response.data.userId !== user.id) {
+        // Owners edit their own listings; admins can edit any
+        if (response.data.userId !== user.id && user.role !== ROLES.ADMIN) {
           setError("You don't have permission to edit this property");
           return;
         }
@@ -44,9 +54,11 @@ const EditPost = () => {
           property: response.data.property || 'apartment',
           bedroom: response.data.bedroom || 1,
           bathroom: response.data.bathroom || 1,
-          description: response.data.description || '',
-          amenities: response.data.amenities || []
+          description: response.data.postDetail?.desc || '',
+          images: response.data.images || []
         });
+        setPostDetail(response.data.postDetail || {});
+        setAttributes(toListingAttributeForm(response.data.postDetail));
       } catch (error) {
         console.error('Error fetching property:', error);
         setError('Failed to load property details.');
@@ -56,7 +68,7 @@ const EditPost = () => {
     };
     
     fetchPost();
-  }, [id, user.id]);
+  }, [id, user.id, user.role]);
   
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -66,15 +78,37 @@ const EditPost = () => {
     }));
   };
   
+  const handleImagesChange = (images) => {
+    setFormData(prev => ({
+      ...prev,
+      images
+    }));
+  };
+  
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       setLoading(true);
-      await postAPI.updatePost(id, formData);
+      const { description, ...basicInfo } = formData;
+      await postAPI.updatePost(id, {
+        ...basicInfo,
+        postDetail: {
+          desc: description,
+          utilities: postDetail.utilities,
+          pet: postDetail.pet,
+          income: postDetail.income,
+          size: postDetail.size,
+          school: postDetail.school,
+          bus: postDetail.bus,
+          restaurant: postDetail.restaurant,
+          ...attributes
+        }
+      });
       navigate(`/posts/${id}`);
     } catch (error) {
       console.error('Error updating property:', error);
-      setError('Failed to update property.');
+      // Keep the form open so validation errors can be corrected
+      toast.error(error.response?.data?.message || 'Failed to update property.');
     } finally {
       setLoading(false);
     }
@@ -120,7 +154,7 @@ const EditPost = () => {
               value={formData.title}
               onChange={handleChange}
               required
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              className={inputClassName}
             />
           </div>
           
@@ -131,14 +165,117 @@ const EditPost = () => {
             <input
               type="number"
               name="price"
+              min="0.01"
+              step="0.01"
               value={formData.price}
               onChange={handleChange}
               required
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              className={inputClassName}
+            />
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Address
+            </label>
+            <input
+              type="text"
+              name="address"
+              value={formData.address}
+              onChange={handleChange}
+              required
+              className={inputClassName}
+            />
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              City
+            </label>
+            <input
+              type="text"
+              name="city"
+              value={formData.city}
+              onChange={handleChange}
+              required
+              className={inputClassName}
+            />
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Type
+            </label>
+            <select name="type" value={formData.type} onChange={handleChange} className={inputClassName}>
+              <option value="rent">For Rent</option>
+              <option value="buy">For Sale</option>
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Property Type
+            </label>
+            <select name="property" value={formData.property} onChange={handleChange} className={inputClassName}>
+              <option value="apartment">Apartment</option>
+              <option value="house">House</option>
+              <option value="condo">Condo</option>
+              <option value="land">Land</option>
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Bedrooms
+            </label>
+            <input
+              type="number"
+              name="bedroom"
+              value={formData.bedroom}
+              onChange={handleChange}
+              min="0"
+              className={inputClassName}
             />
           </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Bathrooms
+            </label>
+            <input
+              type="number"
+              name="bathroom"
+              value={formData.bathroom}
+              onChange={handleChange}
+              min="0"
+              className={inputClassName}
+            />
+          </div>
+          
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Description
+            </label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows="4"
+              className={inputClassName}
+            />
+          </div>
+          
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Images
+            </label>
+            <ImageUploader images={formData.images} onChange={handleImagesChange} />
+          </div>
         </div>
         
+        <h2 className="text-lg font-semibold mb-4">Features</h2>
+        <ListingAttributesFields values={attributes} onChange={setAttributes} />
+        
         <div className="flex justify-end mt-6">
           <button
             type="button"
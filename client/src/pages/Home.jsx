@@ -23,7 +23,7 @@ const Home = () => {
       });
       
       clearTimeout(timeoutId);
-      setFeaturedPosts(response.data.slice(0, 6));
+      setFeaturedPosts(response.data.items.slice(0, 6));
     } catch (error) {
       console.error('Error fetching featured posts:', error);
       // Set mock data if API fails
@@ -2,6 +2,14 @@ import React, { useState, useEffect, useRef } from 'react';
 import { chatAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import socketService from '../services/socket';
+import MessageStatus from '../components/MessageStatus';
+import MessageBody from '../components/MessageBody';
+import ChatAttachmentActions from '../components/ChatAttachmentActions';
+import { useTypingIndicator, useReadReceipts, useMarkRead } from '../hooks/useChatEvents';
+
+// Attachment and listing messages may have no text of their own
+const messagePreview = (message) =>
+  message.content || (message.type === 'listing' ? '🏠 Shared a listing' : '📎 Attachment');
 
 const Messages = () => {
   const { user, isAuthenticated } = useAuth();
@@ -13,6 +21,9 @@ const Messages = () => {
   const [error, setError] = useState(null);
   const [socketConnected, setSocketConnected] = useState(false);
   const messagesEndRef = useRef(null);
+  const { otherTyping, onInput, stopTyping } = useTypingIndicator(selectedChat?.id, user?.id);
+  useReadReceipts(selectedChat?.id, setMessages);
+  const markRead = useMarkRead(selectedChat?.id);
   
   // Connect to socket when component mounts
   useEffect(() => {
@@ -41,20 +52,21 @@ const Messages = () => {
         console.log('📩 Message received in Messages component:', data);
         
         // Add message to the current chat if it's from the selected chat
-        if (selectedChat && 
-           (data.senderId === selectedChat.otherUser.id || 
-            data.chatId === selectedChat.id)) {
+        // The same user may be in other conversations too, so match on chatId
+        if (selectedChat && data.chatId === selectedChat.id) {
           
           console.log('📥 Adding received message to current chat');
-          setMessages(prev => [...prev, data]);
+          // Unread messages are replayed on every connect; skip ones we have
+          setMessages(prev => prev.some(msg => msg.id === data.id) ? prev : [...prev, data]);
+          // It's on screen, so the sender gets a read receipt
+          markRead();
           
           // Update chat with latest message
           setChats(prev => prev.map(chat => 
-            chat.id === data.chatId || 
-            (chat.otherUser.id === data.senderId) 
+            chat.id === data.chatId
               ? { 
                   ...chat, 
-                  lastMessage: data.content,
+                  lastMessage: messagePreview(data),
                   updatedAt: new Date().toISOString()
                 } 
               : chat
@@ -63,16 +75,13 @@ const Messages = () => {
           // Update chat list to show new unread message
           console.log('📥 Updating chat list with new message');
           setChats(prev => {
-            const chatIndex = prev.findIndex(chat => 
-              chat.id === data.chatId || 
-              chat.otherUser.id === data.senderId
-            );
+            const chatIndex = prev.findIndex(chat => chat.id === data.chatId);
             
             if (chatIndex >= 0) {
               const updatedChats = [...prev];
               updatedChats[chatIndex] = {
                 ...updatedChats[chatIndex],
-                lastMessage: data.content,
+                lastMessage: messagePreview(data),
                 updatedAt: new Date().toISOString(),
                 unreadCount: (updatedChats[chatIndex].unreadCount || 0) + 1
               };
@@ -88,7 +97,11 @@ const Messages = () => {
     return () => {
       socketService.offMessage();
     };
-  }, [socketConnected, selectedChat]);
+  }, [socketConnected, selectedChat, markRead]);
+
+  useEffect(() => {
+    socketService.joinConversation(selectedChat?.id);
+  }, [selectedChat?.id]);
   
   // Fetch chats
   useEffect(() => {
@@ -207,6 +220,18 @@ const Messages = () => {
     scrollToBottom();
   }, [messages]);
   
+  // Attachments and shared listings are stored before they appear, so
+  // there's no temporary message to replace. The typed text was the caption.
+  const handleAttachmentSent = (message) => {
+    stopTyping();
+    setNewMessage('');
+    setMessages(prev => prev.some(msg => msg.id === message.id) ? prev : [...prev, message]);
+    fetchChats();
+  };
+
+  // The "Seen at" line goes under the newest message the user sent
+  const lastOwnMessage = [...messages].reverse().find((message) => message.senderId === user?.id);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -218,6 +243,7 @@ const Messages = () => {
     try {
       const messageText = newMessage.trim();
       setNewMessage(''); // Clear input field immediately
+      stopTyping();
       
       // Create message object
       const messageData = {
@@ -248,16 +274,9 @@ const Messages = () => {
           : chat
       ));
       
-      // Send via API (this will also store in database)
-      await chatAPI.sendMessage(selectedChat.id, messageText);
-      
-      // Send via socket for real-time delivery
-      console.log('📤 Sending message via socket to:', selectedChat.otherUser.id);
-      const socketResult = socketService.sendMessage(
-        selectedChat.otherUser.id, 
-        messageData
-      );
-      console.log('📤 Socket send result:', socketResult ? 'Message sent via socket' : 'Socket not connected');
+      // The API stores the message and pushes it to the other user
+      const response = await chatAPI.sendMessage(selectedChat.id, messageText);
+      setMessages(prev => prev.map(msg => msg.id === tempMessageId ? response.data : msg));
       
     } catch (error) {
       console.error('❌ Error sending message:', error);
@@ -426,22 +445,41 @@ const Messages = () => {
                               : 'bg-gray-200 text-gray-800'
                           }`}
                         >
-                          <p>{message.content}</p>
+                          <MessageBody message={message} own={message.senderId === user.id} />
                           <p className={`text-xs mt-1 ${message.senderId === user.id ? 'text-blue-100' : 'text-gray-500'}`}>
                             {formatDate(message.createdAt)}
+                            {message.senderId === user.id && !String(message.id).startsWith('temp-') && (
+                              <MessageStatus message={message} className="ml-1" />
+                            )}
                           </p>
+                          {message.id === lastOwnMessage?.id && message.readAt && (
+                            <p className="text-xs mt-1 text-blue-100">Seen at {formatDate(message.readAt)}</p>
+                          )}
                         </div>
                       </div>
                     ))}
+                    {otherTyping && (
+                      <p className="text-sm text-gray-500 italic">
+                        {selectedChat.otherUser?.username || 'They'} is typing…
+                      </p>
+                    )}
                     <div ref={messagesEndRef} />
                   </div>
                   
                   <div className="p-4 border-t">
                     <form onSubmit={handleSendMessage} className="flex">
+                      <ChatAttachmentActions
+                        chatId={selectedChat.id}
+                        caption={newMessage}
+                        onSent={handleAttachmentSent}
+                      />
                       <input
                         type="text"
                         value={newMessage}
-                        onChange={(e) => setNewMessage(e.target.value)}
+                        onChange={(e) => {
+                          setNewMessage(e.target.value);
+                          onInput();
+                        }}
                         placeholder="Type a message..."
                         className="flex-1 px-4 py-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                       />
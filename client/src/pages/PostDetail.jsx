@@ -3,7 +3,18 @@ import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { postAPI, chatAPI } from '../services/api';
 import socketService from '../services/socket';
+import PropertyMap from '../components/PropertyMap';
+import SaveButton from '../components/SaveButton';
 import { toast } from 'react-toastify';
+import { amenityLabel, furnishingLabel } from '../utils/listingAttributes';
+import { ROLES, LISTING_STATUSES } from '../utils/constants';
+import VerifiedAgentBadge from '../components/VerifiedAgentBadge';
+import ReportButton from '../components/ReportButton';
+import ListingStatusBadge from '../components/ListingStatusBadge';
+import ListingStatusControls from '../components/ListingStatusControls';
+import PriceHistoryChart from '../components/PriceHistoryChart';
+import ListingStats from '../components/ListingStats';
+import SimilarListings from '../components/SimilarListings';
 
 const PostDetail = () => {
   const { id } = useParams();
@@ -16,6 +27,7 @@ const PostDetail = () => {
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [showContactInfo, setShowContactInfo] = useState(false);
   const [contacting, setContacting] = useState(false);
+  const [deleting, setDeleting] = useState(false);
 
   useEffect(() => {
     loadPost();
@@ -112,6 +124,21 @@ const PostDetail = () => {
     }
   };
 
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this listing? This cannot be undone.')) return;
+
+    setDeleting(true);
+    try {
+      await postAPI.deletePost(post.id);
+      toast.success('Listing deleted');
+      navigate('/posts');
+    } catch (error) {
+      console.error('❌ Error deleting post:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete listing');
+      setDeleting(false);
+    }
+  };
+
   const handleShowContact = () => {
     if (!isAuthenticated) {
       alert('Please login to view contact information');
@@ -167,6 +194,34 @@ const PostDetail = () => {
     );
   }
 
+  // Owners manage their own listing; admins can moderate any
+  const canManage = Boolean(user) && (post.ownerInfo?.id === user.id || user.role === ROLES.ADMIN);
+
+  const hasLocation = post.latitude != null && post.longitude != null &&
+    post.latitude !== '' && post.longitude !== '';
+
+  // Nearby distances (in minutes) shown alongside the map pin
+  const nearby = [
+    { icon: '🏫', label: 'Schools', minutes: post.postDetail?.school },
+    { icon: '🚌', label: 'Public Transport', minutes: post.postDetail?.bus },
+    { icon: '🍽️', label: 'Restaurants', minutes: post.postDetail?.restaurant }
+  ].filter((item) => item.minutes);
+
+  // Structured attributes, skipping the ones the owner left empty
+  const detail = post.postDetail || {};
+  const features = [
+    { icon: '🛋️', label: 'Furnishing', value: detail.furnishing && furnishingLabel(detail.furnishing) },
+    {
+      icon: '🏢',
+      label: 'Floor',
+      value: detail.floor != null && (detail.totalFloors != null ? `${detail.floor} of ${detail.totalFloors}` : `${detail.floor}`)
+    },
+    { icon: '🚗', label: 'Parking', value: detail.parking != null && `${detail.parking} spot${detail.parking === 1 ? '' : 's'}` },
+    { icon: '🏗️', label: 'Year Built', value: detail.yearBuilt },
+    { icon: '📅', label: 'Available From', value: detail.availableFrom && formatDate(detail.availableFrom) },
+    { icon: '💵', label: 'Deposit', value: detail.deposit != null && formatPrice(detail.deposit) }
+  ].filter((feature) => feature.value);
+
   const nextImage = () => {
     if (post.images && post.images.length > 1) {
       setCurrentImageIndex((prev) => (prev + 1) % post.images.length);
@@ -189,6 +244,53 @@ const PostDetail = () => {
         ← Back to Properties
       </button>
 
+      {/* Only the owner and admins can open a suspended listing */}
+      {post.suspendedAt && (
+        <div className="mb-6 bg-red-50 border border-red-200 text-red-800 rounded-lg p-4">
+          <p className="font-semibold">This listing is suspended and hidden from search.</p>
+          {post.suspendedReason && <p className="text-sm mt-1">Reason: {post.suspendedReason}</p>}
+        </div>
+      )}
+
+      {/* Closed listings stay up so buyers and renters can see what happened */}
+      {(post.status === LISTING_STATUSES.RENTED || post.status === LISTING_STATUSES.SOLD) && (
+        <div className="mb-6 bg-purple-50 border border-purple-200 text-purple-900 rounded-lg p-4">
+          <p className="text-xl font-bold">{post.status === LISTING_STATUSES.RENTED ? 'Rented' : 'Sold'}</p>
+          <p className="text-sm mt-1">
+            This property is no longer available{post.statusChangedAt ? ` since ${formatDate(post.statusChangedAt)}` : ''}.
+          </p>
+        </div>
+      )}
+      {post.status === LISTING_STATUSES.UNDER_OFFER && (
+        <div className="mb-6 bg-yellow-50 border border-yellow-200 text-yellow-900 rounded-lg p-4">
+          <p className="font-semibold">Under offer</p>
+          <p className="text-sm mt-1">The owner has accepted an offer, but you can still get in touch.</p>
+        </div>
+      )}
+      {(post.status === LISTING_STATUSES.DRAFT || post.status === LISTING_STATUSES.EXPIRED) && (
+        <div className="mb-6 bg-gray-50 border border-gray-200 text-gray-800 rounded-lg p-4">
+          <p className="font-semibold">
+            {post.status === LISTING_STATUSES.DRAFT
+              ? 'This listing is a draft. Only you can see it.'
+              : 'This listing has expired and is hidden from search.'}
+          </p>
+        </div>
+      )}
+
+      {canManage && (
+        <div className="mb-6 bg-white rounded-lg shadow-md p-4 flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center space-x-2">
+            <span className="text-sm font-medium text-gray-700">Listing status:</span>
+            <ListingStatusBadge status={post.status || LISTING_STATUSES.ACTIVE} />
+            {(!post.status || post.status === LISTING_STATUSES.ACTIVE) && <span className="text-sm text-green-700">Active</span>}
+          </div>
+          <ListingStatusControls post={post} onChange={(updated) => setPost({ ...post, ...updated })} />
+          <div className="w-full border-t pt-3">
+            <ListingStats postId={post.id} />
+          </div>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Main Content */}
         <div className="lg:col-span-2">
@@ -247,11 +349,34 @@ const PostDetail = () => {
           <div className="bg-white rounded-lg shadow-md p-6">
             <div className="flex items-center justify-between mb-4">
               <h1 className="text-3xl font-bold text-gray-900">{post.title}</h1>
-              <span className={`px-3 py-1 rounded text-sm font-semibold text-white ${
-                post.type === 'rent' ? 'bg-blue-500' : 'bg-green-500'
-              }`}>
-                For {post.type === 'rent' ? 'Rent' : 'Sale'}
-              </span>
+              <div className="flex items-center space-x-3">
+                {canManage && (
+                  <>
+                    <button
+                      onClick={() => navigate(`/posts/${post.id}/edit`)}
+                      className="px-3 py-1 rounded text-sm font-medium text-blue-600 border border-blue-200 hover:bg-blue-50"
+                    >
+                      ✏️ Edit
+                    </button>
+                    <button
+                      onClick={handleDelete}
+                      disabled={deleting}
+                      className="px-3 py-1 rounded text-sm font-medium text-red-600 border border-red-200 hover:bg-red-50 disabled:opacity-50"
+                    >
+                      {deleting ? 'Deleting...' : '🗑️ Delete'}
+                    </button>
+                  </>
+                )}
+                {post.ownerInfo?.id !== user?.id && (
+                  <ReportButton targetType="post" targetId={post.id} label="this listing" />
+                )}
+                <SaveButton postId={post.id} initialSaved={!!post.isSaved} className="border border-gray-200" />
+                <span className={`px-3 py-1 rounded text-sm font-semibold text-white ${
+                  post.type === 'rent' ? 'bg-blue-500' : 'bg-green-500'
+                }`}>
+                  For {post.type === 'rent' ? 'Rent' : 'Sale'}
+                </span>
+              </div>
             </div>
 
             <div className="flex items-center text-gray-600 mb-4">
@@ -260,9 +385,19 @@ const PostDetail = () => {
             </div>
 
             <div className="flex items-center justify-between mb-6">
-              <div className="text-3xl font-bold text-blue-600">
-                {formatPrice(post.price)}
-                {post.type === 'rent' && <span className="text-lg font-normal">/month</span>}
+              <div>
+                <div className="text-3xl font-bold text-blue-600">
+                  {formatPrice(post.price)}
+                  {post.type === 'rent' && <span className="text-lg font-normal">/month</span>}
+                </div>
+                {post.priceReduction && (
+                  <span
+                    className="inline-block mt-1 px-2 py-0.5 rounded bg-green-100 text-green-800 text-sm font-medium"
+                    title={`Was ${formatPrice(post.priceReduction.from)}`}
+                  >
+                    📉 Reduced by {post.priceReduction.percent}% on {formatDate(post.priceReduction.date)}
+                  </span>
+                )}
               </div>
               
               <div className="flex space-x-6 text-gray-700">
@@ -316,6 +451,34 @@ const PostDetail = () => {
               )}
             </div>
 
+            {/* Structured attributes */}
+            {features.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-xl font-semibold mb-3">Features</h3>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                  {features.map((feature) => (
+                    <div key={feature.label} className="bg-gray-50 rounded-lg p-3">
+                      <div className="text-sm text-gray-500">{feature.icon} {feature.label}</div>
+                      <div className="font-medium text-gray-800">{feature.value}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {post.postDetail?.amenities?.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-xl font-semibold mb-3">Amenities</h3>
+                <div className="flex flex-wrap gap-2">
+                  {post.postDetail.amenities.map((amenity) => (
+                    <span key={amenity} className="px-3 py-1 rounded-full bg-blue-50 text-blue-700 text-sm">
+                      {amenityLabel(amenity)}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Nearby Amenities */}
             {(post.postDetail?.school || post.postDetail?.bus || post.postDetail?.restaurant) && (
               <div className="mt-6">
@@ -348,6 +511,8 @@ const PostDetail = () => {
               </div>
             )}
           </div>
+
+          <SimilarListings postId={post.id} />
         </div>
 
         {/* Sidebar */}
@@ -379,6 +544,7 @@ const PostDetail = () => {
                       <span className="text-green-600 text-sm">✅</span>
                     )}
                   </div>
+                  {post.ownerInfo.agentVerified && <VerifiedAgentBadge className="mt-1" />}
                   <p className="text-gray-600 text-sm">@{post.ownerInfo.username}</p>
                   {post.ownerInfo.location && (
                     <p className="text-gray-500 text-sm">📍 {post.ownerInfo.location}</p>
@@ -414,6 +580,12 @@ const PostDetail = () => {
                     📞 Show Contact Info
                   </button>
                 )}
+
+                {post.ownerInfo.id !== user?.id && (
+                  <div className="text-center">
+                    <ReportButton targetType="user" targetId={post.ownerInfo.id} label={`@${post.ownerInfo.username}`} />
+                  </div>
+                )}
               </div>
 
               {/* Debug Socket Connection - DEV ONLY */}
@@ -448,15 +620,49 @@ const PostDetail = () => {
             </div>
           )}
 
-          {/* Map placeholder */}
+          {/* Price History - only once the price has changed */}
+          {post.priceHistory?.length > 1 && (
+            <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+              <h3 className="text-xl font-semibold mb-4">Price History</h3>
+              <PriceHistoryChart history={post.priceHistory} formatPrice={formatPrice} />
+            </div>
+          )}
+
+          {/* Location Map */}
           <div className="bg-white rounded-lg shadow-md p-6">
             <h3 className="text-xl font-semibold mb-4">Location</h3>
-            <div className="bg-gray-100 h-48 rounded flex items-center justify-center">
-              <span className="text-gray-500">🗺️ Map coming soon</span>
-            </div>
+            {hasLocation ? (
+              <PropertyMap
+                posts={[post]}
+                zoom={15}
+                height="16rem"
+                highlightedId={post.id}
+                renderPopup={() => (
+                  <div className="text-sm">
+                    <p className="font-semibold text-gray-900 mb-1">{post.title}</p>
+                    {nearby.map((item) => (
+                      <p key={item.label} className="text-gray-600">
+                        {item.icon} {item.label}: {item.minutes} min
+                      </p>
+                    ))}
+                  </div>
+                )}
+              />
+            ) : (
+              <div className="bg-gray-100 h-48 rounded flex items-center justify-center">
+                <span className="text-gray-500">🗺️ Exact location not provided</span>
+              </div>
+            )}
             <p className="text-sm text-gray-600 mt-2">
               📍 {post.address ? `${post.address}, ` : ''}{post.city}
             </p>
+            {hasLocation && nearby.length > 0 && (
+              <div className="flex flex-wrap gap-3 mt-2 text-sm text-gray-600">
+                {nearby.map((item) => (
+                  <span key={item.label}>{item.icon} {item.minutes} min to {item.label.toLowerCase()}</span>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -1,13 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { usePosts } from '../hooks/usePosts';
-import PropertyCard from '../components/PropertyCard';
+import { useAuth } from '../context/AuthContext';
+import { userAPI, postAPI } from '../services/api';
+import PostCard from '../components/PostCard';
+import PropertyMap from '../components/PropertyMap';
+import SearchFilter from '../components/SearchFilter';
 import { useApiStatus } from '../context/ApiStatusContext';
 import { mockPosts } from '../services/mockData';
+import { SORT_OPTIONS } from '../utils/constants';
+
+// Filters the API understands. Free text is sent separately as ?q=
+const SERVER_FILTER_FIELDS = ['city', 'type', 'property', 'bedroom', 'minPrice', 'maxPrice'];
+const MIN_SEARCH_LENGTH = 2;
 
 const Posts = () => {
-  const { posts, loading, error, loadPosts } = usePosts();
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const { posts, loading, loadingMore, error, total, hasMore, loadPosts, loadMore } = usePosts();
   const { isUsingMockData } = useApiStatus();
+  const [savedSearches, setSavedSearches] = useState([]);
   const [filteredPosts, setFilteredPosts] = useState([]);
+  const [view, setView] = useState('grid');
+  const [mapBounds, setMapBounds] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  // Empty means the API default: newest first, or best match when searching
+  const [sort, setSort] = useState('');
+  const [facets, setFacets] = useState(null);
+  const loadMoreRef = useRef(null);
   const [filters, setFilters] = useState({
     city: '',
     type: '',
@@ -18,13 +39,35 @@ const Posts = () => {
     search: ''
   });
 
+  const searchQuery = filters.search.trim();
+  const serverSearch = searchQuery.length >= MIN_SEARCH_LENGTH ? searchQuery : '';
+
+  // Filters, search and sort are applied by the API so paging stays correct
+  const serverParams = useMemo(() => ({
+    ...Object.fromEntries(
+      SERVER_FILTER_FIELDS
+        .filter((key) => filters[key] !== '')
+        .map((key) => [key, filters[key]])
+    ),
+    ...(serverSearch && { q: serverSearch }),
+    ...(sort && { sort })
+  }), [filters, serverSearch, sort]);
+  const serverParamsKey = JSON.stringify(serverParams);
+  // usePosts already ran the unfiltered load on mount
+  const lastParamsRef = useRef(serverParamsKey);
+
   // Use mock data when API is offline or posts are empty
-  const displayPosts = isUsingMockData && (!posts || !posts.allPosts || posts.allPosts.length === 0) 
-    ? mockPosts 
-    : (posts && posts.allPosts ? posts.allPosts : []);
+  const displayPosts = useMemo(() => (
+    isUsingMockData && (!posts || posts.length === 0) ? mockPosts : (posts || [])
+  ), [isUsingMockData, posts]);
 
-  // Apply filters whenever posts or filters change
+  // The API has already filtered real results; only mock data is filtered here
   useEffect(() => {
+    if (!isUsingMockData) {
+      setFilteredPosts(displayPosts);
+      return;
+    }
+
     console.log('🔍 Applying filters to posts...');
     console.log('📊 Total posts available:', displayPosts.length);
     console.log('🏷️ Current filters:', filters);
@@ -72,15 +115,146 @@ const Posts = () => {
 
     console.log('✅ Filtered posts count:', filtered.length);
     setFilteredPosts(filtered);
-  }, [displayPosts, filters]);
-
-  const handleFilterChange = (e) => {
-    const { name, value } = e.target;
-    console.log(`🔄 Filter changed: ${name} = ${value}`);
-    setFilters(prev => ({
-      ...prev,
-      [name]: value
-    }));
+  }, [displayPosts, filters, isUsingMockData]);
+
+  // In map view, reload results for the visible area whenever the user pans
+  // or the filters change. Debounced so typing in a filter doesn't spam the API.
+  useEffect(() => {
+    if (view !== 'map' || !mapBounds) return;
+
+    const timeoutId = setTimeout(() => {
+      console.log('🗺️ Loading posts for map bounds:', mapBounds);
+      loadPosts({ ...serverParams, bbox: mapBounds, limit: 100 });
+    }, 400);
+
+    return () => clearTimeout(timeoutId);
+  }, [view, mapBounds, serverParams, loadPosts]);
+
+  const loadGridPosts = useCallback(() => {
+    lastParamsRef.current = serverParamsKey;
+    return loadPosts(serverParams);
+  }, [loadPosts, serverParams, serverParamsKey]);
+
+  // In grid view, reload from the first page whenever filters, search or sort
+  // change. Debounced so typing in a filter doesn't spam the API.
+  useEffect(() => {
+    if (view !== 'grid' || serverParamsKey === lastParamsRef.current) return;
+
+    const timeoutId = setTimeout(loadGridPosts, 400);
+    return () => clearTimeout(timeoutId);
+  }, [view, serverParamsKey, loadGridPosts]);
+
+  // Option counts for the filter panel follow the same filters (and the
+  // visible area in map view)
+  useEffect(() => {
+    if (isUsingMockData) return;
+
+    let cancelled = false;
+    const timeoutId = setTimeout(() => {
+      postAPI.getFacets({ ...serverParams, ...(view === 'map' && mapBounds && { bbox: mapBounds }) })
+        .then((response) => {
+          if (!cancelled) setFacets(response.data);
+        })
+        .catch((err) => console.error('❌ Error loading filter counts:', err));
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [serverParams, view, mapBounds, isUsingMockData]);
+
+  // Infinite scroll: fetch the next page when the sentinel below the grid
+  // comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (view !== 'grid' || !sentinel || !hasMore || loading || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [view, hasMore, loading, loadingMore, loadMore]);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setSavedSearches([]);
+      return;
+    }
+
+    userAPI.getSavedSearches()
+      .then((response) => setSavedSearches(response.data || []))
+      .catch((err) => console.error('❌ Error loading saved searches:', err));
+  }, [isAuthenticated]);
+
+  const handleSaveSearch = async () => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: '/posts', message: 'Please login to save searches' } });
+      return;
+    }
+
+    const criteria = Object.fromEntries(
+      SERVER_FILTER_FIELDS
+        .filter((key) => filters[key] !== '')
+        .map((key) => [key, filters[key]])
+    );
+    if (Object.keys(criteria).length === 0) {
+      toast.info('Set at least one filter before saving a search.');
+      return;
+    }
+
+    const name = window.prompt('Name this search', filters.city ? `Homes in ${filters.city}` : 'My search');
+    if (name === null) return;
+
+    try {
+      const response = await userAPI.createSavedSearch({ ...criteria, name });
+      setSavedSearches((prev) => [response.data, ...prev]);
+      toast.success("Search saved! We'll notify you about new matching listings.");
+    } catch (err) {
+      console.error('❌ Error saving search:', err);
+      toast.error(err.response?.data?.message || 'Failed to save search');
+    }
+  };
+
+  const applySavedSearch = (search) => {
+    console.log('🔔 Applying saved search:', search.name);
+    setFilters({
+      ...Object.fromEntries(
+        SERVER_FILTER_FIELDS.map((key) => [key, search[key] === null || search[key] === undefined ? '' : String(search[key])])
+      ),
+      search: ''
+    });
+  };
+
+  const removeSavedSearch = async (id) => {
+    try {
+      await userAPI.deleteSavedSearch(id);
+      setSavedSearches((prev) => prev.filter((search) => search.id !== id));
+    } catch (err) {
+      console.error('❌ Error deleting saved search:', err);
+      toast.error('Failed to delete saved search');
+    }
+  };
+
+  const handleBoundsChange = useCallback((bbox) => {
+    setMapBounds(bbox);
+  }, []);
+
+  const changeView = (nextView) => {
+    if (nextView === view) return;
+    setView(nextView);
+    if (nextView === 'grid') {
+      // Back to the unrestricted listing
+      setMapBounds(null);
+      loadGridPosts();
+    }
+  };
+
+  const handleFilterChange = (nextFilters) => {
+    console.log('🔄 Filters changed:', nextFilters);
+    setFilters(nextFilters);
   };
 
   const clearFilters = () => {
@@ -98,10 +272,13 @@ const Posts = () => {
 
   const refreshPosts = () => {
     console.log('🔄 Manually refreshing posts...');
-    loadPosts();
+    loadGridPosts();
   };
 
-  if (loading) {
+  // The map stays mounted while it reloads, so only block the grid view, and
+  // only before anything is shown so filter inputs keep their focus
+  const hasActiveFilters = Object.values(filters).some((value) => value !== '');
+  if (loading && view === 'grid' && displayPosts.length === 0 && !hasActiveFilters) {
     return (
       <div className="max-w-7xl mx-auto px-4 py-8">
         <div className="text-center">
@@ -119,10 +296,37 @@ const Posts = () => {
         <div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Properties</h1>
           <p className="text-gray-600">
-            {filteredPosts.length} {filteredPosts.length === 1 ? 'property' : 'properties'} available
+            {isUsingMockData ? filteredPosts.length : total} {(isUsingMockData ? filteredPosts.length : total) === 1 ? 'property' : 'properties'} available
           </p>
         </div>
         <div className="flex space-x-4 mt-4 md:mt-0">
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            aria-label="Sort properties"
+            className="px-3 py-2 border border-gray-300 rounded bg-white text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">{serverSearch ? 'Best match' : 'Newest'}</option>
+            {SORT_OPTIONS
+              .filter((option) => serverSearch || option.value !== 'newest')
+              .map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+          </select>
+          <div className="flex rounded border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => changeView('grid')}
+              className={`px-4 py-2 text-sm ${view === 'grid' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              ▦ Grid
+            </button>
+            <button
+              onClick={() => changeView('map')}
+              className={`px-4 py-2 text-sm ${view === 'map' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              🗺️ Map
+            </button>
+          </div>
           <button
             onClick={refreshPosts}
             className="bg-gray-500 text-white px-4 py-2 rounded hover:bg-gray-600 transition"
@@ -149,136 +353,44 @@ const Posts = () => {
       )}
 
       {/* Filters */}
-      <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4 md:mb-0">Filter Properties</h2>
+      <SearchFilter
+        filters={filters}
+        onFilterChange={handleFilterChange}
+        onReset={clearFilters}
+        facets={facets}
+        actions={
           <button
-            onClick={clearFilters}
+            onClick={handleSaveSearch}
             className="text-blue-600 hover:text-blue-800 text-sm font-medium"
           >
-            Clear All Filters
+            🔔 Save Search
           </button>
-        </div>
-
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
-          {/* Search */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Search
-            </label>
-            <input
-              type="text"
-              name="search"
-              value={filters.search}
-              onChange={handleFilterChange}
-              placeholder="Search properties..."
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
+        }
+      >
+        {/* Saved searches */}
+        {savedSearches.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className="text-sm text-gray-600">Saved searches:</span>
+            {savedSearches.map((search) => (
+              <span key={search.id} className="inline-flex items-center bg-blue-50 text-blue-700 text-sm rounded-full">
+                <button
+                  onClick={() => applySavedSearch(search)}
+                  className="pl-3 pr-1 py-1 hover:text-blue-900"
+                >
+                  {search.name}
+                </button>
+                <button
+                  onClick={() => removeSavedSearch(search.id)}
+                  className="pr-3 pl-1 py-1 text-blue-400 hover:text-red-600"
+                  aria-label={`Delete saved search ${search.name}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
           </div>
-
-          {/* City */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              City
-            </label>
-            <input
-              type="text"
-              name="city"
-              value={filters.city}
-              onChange={handleFilterChange}
-              placeholder="Enter city"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-
-          {/* Type */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Type
-            </label>
-            <select
-              name="type"
-              value={filters.type}
-              onChange={handleFilterChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              <option value="">All Types</option>
-              <option value="rent">For Rent</option>
-              <option value="buy">For Sale</option>
-            </select>
-          </div>
-
-          {/* Property Type */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Property Type
-            </label>
-            <select
-              name="property"
-              value={filters.property}
-              onChange={handleFilterChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              <option value="">All Properties</option>
-              <option value="apartment">Apartment</option>
-              <option value="house">House</option>
-              <option value="condo">Condo</option>
-              <option value="land">Land</option>
-            </select>
-          </div>
-        </div>
-
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          {/* Bedrooms */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Min Bedrooms
-            </label>
-            <select
-              name="bedroom"
-              value={filters.bedroom}
-              onChange={handleFilterChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              <option value="">Any</option>
-              <option value="1">1+</option>
-              <option value="2">2+</option>
-              <option value="3">3+</option>
-              <option value="4">4+</option>
-            </select>
-          </div>
-
-          {/* Min Price */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Min Price
-            </label>
-            <input
-              type="number"
-              name="minPrice"
-              value={filters.minPrice}
-              onChange={handleFilterChange}
-              placeholder="0"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-
-          {/* Max Price */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Max Price
-            </label>
-            <input
-              type="number"
-              name="maxPrice"
-              value={filters.maxPrice}
-              onChange={handleFilterChange}
-              placeholder="No limit"
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-        </div>
-      </div>
+        )}
+      </SearchFilter>
 
       {/* Development Debug Info */}
       {/* {process.env.NODE_ENV === 'development' && (
@@ -307,27 +419,73 @@ const Posts = () => {
         </div>
       )}
 
-      {/* Properties Grid */}
-      {filteredPosts.length > 0 ? (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {filteredPosts.map((post) => (
-            <PropertyCard key={post.id} post={post} />
-          ))}
+      {loading && view === 'grid' && (
+        <p className="mb-4 text-sm text-gray-500">Updating results...</p>
+      )}
+
+      {/* Split list/map view */}
+      {view === 'map' ? (
+        <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+          <div className="lg:col-span-2 space-y-4 overflow-y-auto" style={{ maxHeight: '70vh' }}>
+            {loading && (
+              <p className="text-sm text-gray-500">Updating results for this area...</p>
+            )}
+            {filteredPosts.length > 0 ? (
+              filteredPosts.map((post) => (
+                <div
+                  key={post.id}
+                  onMouseEnter={() => setHighlightedId(post.id)}
+                  onMouseLeave={() => setHighlightedId(null)}
+                >
+                  <PostCard post={post} />
+                </div>
+              ))
+            ) : (
+              !loading && (
+                <div className="text-center py-12 bg-white rounded-lg shadow-md">
+                  <div className="text-gray-400 text-6xl mb-4">🗺️</div>
+                  <p className="text-gray-600">No properties in this area. Try zooming out or moving the map.</p>
+                </div>
+              )
+            )}
+          </div>
+          <div className="lg:col-span-3">
+            <PropertyMap
+              posts={filteredPosts}
+              height="70vh"
+              highlightedId={highlightedId}
+              onBoundsChange={handleBoundsChange}
+            />
+          </div>
         </div>
+      ) : filteredPosts.length > 0 ? (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+            {filteredPosts.map((post) => (
+              <PostCard key={post.id} post={post} />
+            ))}
+          </div>
+
+          {/* Infinite scroll sentinel */}
+          <div ref={loadMoreRef} className="py-8 text-center text-sm text-gray-500">
+            {loadingMore && 'Loading more properties...'}
+            {!loadingMore && !hasMore && !isUsingMockData && `Showing all ${total} properties`}
+          </div>
+        </>
       ) : (
         <div className="text-center py-12 bg-white rounded-lg shadow-md">
           <div className="text-gray-400 text-6xl mb-4">🏠</div>
           <h3 className="text-xl font-semibold text-gray-800 mb-2">
-            {posts.allPosts.length === 0 ? 'No Properties Available' : 'No Properties Match Your Filters'}
+            {displayPosts.length === 0 ? 'No Properties Available' : 'No Properties Match Your Filters'}
           </h3>
           <p className="text-gray-600 mb-4">
-            {posts.allPosts.length === 0 
+            {displayPosts.length === 0
               ? 'Be the first to list a property!' 
               : 'Try adjusting your search filters to find more properties.'
             }
           </p>
           <div className="flex justify-center space-x-4">
-            {posts.allPosts.length === 0 ? (
+            {displayPosts.length === 0 ? (
               <button
                 onClick={() => window.location.href = '/add-post'}
                 className="bg-blue-600 text-white px-6 py-3 rounded-md hover:bg-blue-700 transition-colors"
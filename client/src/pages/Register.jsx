@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
 // Import any icons you might be using in your project
 // import { FaUser, FaEnvelope, FaLock, FaPhone, FaMapMarkerAlt, FaCog } from 'react-icons/fa';
 
@@ -70,8 +71,8 @@ const Register = () => {
         return;
       }
       
-      if (formData.password.length < 6) {
-        setError('Password must be at least 6 characters long');
+      if (formData.password.length < 8) {
+        setError('Password must be at least 8 characters long');
         return;
       }
     }
@@ -154,6 +155,7 @@ const Register = () => {
       
       if (result.success) {
         console.log('✅ Registration successful with complete data:', result.user);
+        toast.info(`We sent a confirmation link to ${result.user.email}.`);
         navigate('/posts');
       }
     } catch (error) {
@@ -358,7 +360,7 @@ const Register = () => {
                           required
                         />
                       </div>
-                      <p className="mt-1 text-xs text-gray-500">Must be at least 6 characters</p>
+                      <p className="mt-1 text-xs text-gray-500">Must be at least 8 characters</p>
                     </div>
                     
                     <div className="col-span-2 sm:col-span-1">
@@ -385,7 +387,7 @@ const Register = () => {
                         <div 
                           className={`h-1 rounded-full ${
                             formData.password.length === 0 ? 'bg-gray-200' :
-                            formData.password.length < 6 ? 'bg-red-500' :
+                            formData.password.length < 8 ? 'bg-red-500' :
                             formData.password.length < 10 ? 'bg-yellow-500' : 'bg-green-500'
                           }`}
                           style={{ width: `${Math.min(100, formData.password.length * 10)}%` }}
@@ -393,7 +395,7 @@ const Register = () => {
                       </div>
                       <p className="text-xs text-gray-500 mt-1">
                         {formData.password.length === 0 ? 'Enter a password' :
-                         formData.password.length < 6 ? 'Password is too weak' :
+                         formData.password.length < 8 ? 'Password is too weak' :
                          formData.password.length < 10 ? 'Password strength: Medium' : 'Password strength: Strong'}
                       </p>
                     </div>
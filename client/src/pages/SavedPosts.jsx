@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { postAPI } from '../services/api';
+import { userAPI } from '../services/api';
 import PostCard from '../components/PostCard';
 
 const SavedPosts = () => {
@@ -20,45 +20,9 @@ const SavedPosts = () => {
         setLoading(true);
         setError(null);
         
-        // Try to fetch from API
-        try {
-          const response = await postAPI.getSavedPosts();
-          console.log('✅ Saved posts loaded:', response.data?.length || 0);
-          setSavedPosts(response.data || []);
-        } catch (apiError) {
-          console.error('Error fetching saved posts from API:', apiError);
-          
-          // Generate mock data for development
-          if (process.env.NODE_ENV === 'development') {
-            console.log('🔧 Using mock saved posts data');
-            setSavedPosts([
-              {
-                id: 'mock-saved-1',
-                title: 'Modern Apartment',
-                price: 1800,
-                city: 'Seattle',
-                bedroom: 2,
-                bathroom: 1,
-                images: ['https://via.placeholder.com/400x300?text=Modern+Apartment'],
-                type: 'rent',
-                createdAt: new Date().toISOString()
-              },
-              {
-                id: 'mock-saved-2',
-                title: 'Beach House',
-                price: 750000,
-                city: 'Miami',
-                bedroom: 4,
-                bathroom: 3,
-                images: ['https://via.placeholder.com/400x300?text=Beach+House'],
-                type: 'buy',
-                createdAt: new Date().toISOString()
-              }
-            ]);
-          } else {
-            throw apiError;
-          }
-        }
+        const response = await userAPI.getSavedPosts();
+        console.log('✅ Saved posts loaded:', response.data?.length || 0);
+        setSavedPosts(response.data || []);
       } catch (error) {
         console.error('Error in saved posts page:', error);
         setError('Failed to load saved posts. Please try again later.');
@@ -70,6 +34,13 @@ const SavedPosts = () => {
     fetchSavedPosts();
   }, [user?.id]);
 
+  // Unsaving from this page removes the card straight away
+  const handleSavedChange = (postId, saved) => {
+    if (!saved) {
+      setSavedPosts(prev => prev.filter(post => post.id !== postId));
+    }
+  };
+
   return (
     <div className="container mx-auto px-4 py-8">
       <h1 className="text-3xl font-bold mb-6">Saved Properties</h1>
@@ -95,7 +66,7 @@ const SavedPosts = () => {
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {savedPosts.map(post => (
-            <PostCard key={post.id} post={post} />
+            <PostCard key={post.id} post={post} onSavedChange={handleSavedChange} />
           ))}
         </div>
       )}
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single-use, so StrictMode's second effect run must not resend it
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        if (isAuthenticated) updateUser({ verified: true });
+      })
+      .catch((error) => {
+        console.error('❌ Email verification failed:', error);
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify your email.');
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md bg-white py-8 px-6 shadow sm:rounded-lg text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-700">Confirming your email...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">✅ Email confirmed</h2>
+            <p className="text-gray-600 mb-6">Your listings now show a verified badge.</p>
+            <Link to="/posts" className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700">
+              Browse properties
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Verification failed</h2>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <p className="text-sm text-gray-500">
+              You can request a new link from your{' '}
+              <Link to="/profile" className="text-blue-600 hover:text-blue-500">profile</Link>.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
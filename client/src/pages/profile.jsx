@@ -1,10 +1,31 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { userAPI } from '../services/api';
-import { Link } from 'react-router-dom';
+import { authAPI, userAPI, uploadAPI } from '../services/api';
+import UploadProgress from '../components/UploadProgress';
+import VerifiedAgentBadge from '../components/VerifiedAgentBadge';
+import ListingStatusBadge from '../components/ListingStatusBadge';
+import ListingStatusControls from '../components/ListingStatusControls';
+import Sparkline from '../components/Sparkline';
+import { Link, useNavigate } from 'react-router-dom';
+import { USER_TYPES } from '../utils/constants';
+
+const toEditForm = (source) => ({
+  fullName: source.fullName || source.username || '',
+  phone: source.phone || '',
+  city: source.city || '',
+  state: source.state || '',
+  showContactInfo: source.showContactInfo ?? true
+});
+
+const formatLocation = (source) =>
+  [source?.city, source?.state].filter(Boolean).join(', ') || source?.location || '';
+
+const userTypeLabel = (value) =>
+  USER_TYPES.find((option) => option.value === value)?.label || 'Standard';
 
 const Profile = () => {
-  const { user, isAuthenticated, updateUser } = useAuth();
+  const { user, isAuthenticated, updateUser, logoutAllDevices } = useAuth();
+  const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState('overview');
   const [loading, setLoading] = useState(false);
   const [stats, setStats] = useState({
@@ -16,6 +37,10 @@ const Profile = () => {
   const [userPosts, setUserPosts] = useState([]);
   const [savedPosts, setSavedPosts] = useState([]);
   const [isEditing, setIsEditing] = useState(false);
+  const [avatarProgress, setAvatarProgress] = useState(null);
+  const [resendingVerification, setResendingVerification] = useState(false);
+  // Saved profile from GET /users/profile; null until it loads
+  const [profile, setProfile] = useState(null);
   const [editForm, setEditForm] = useState({
     fullName: '',
     phone: '',
@@ -27,13 +52,7 @@ const Profile = () => {
   useEffect(() => {
     if (isAuthenticated && user) {
       loadProfileData();
-      setEditForm({
-        fullName: user.fullName || user.username || '',
-        phone: user.phone || '',
-        city: user.city || '',
-        state: user.state || '',
-        showContactInfo: user.showContactInfo ?? true
-      });
+      setEditForm(toEditForm(user));
     }
   }, [isAuthenticated, user]);
 
@@ -41,6 +60,7 @@ const Profile = () => {
     setLoading(true);
     try {
       await Promise.all([
+        fetchProfile(),
         fetchUserStats(),
         fetchProfilePosts(),
         fetchSavedPosts()
@@ -52,6 +72,16 @@ const Profile = () => {
     }
   };
 
+  const fetchProfile = async () => {
+    try {
+      const response = await userAPI.getProfile();
+      setProfile(response.data);
+      setEditForm(toEditForm(response.data));
+    } catch (error) {
+      console.error('Error fetching profile:', error);
+    }
+  };
+
   const fetchUserStats = async () => {
     try {
       console.log('📊 Fetching user stats...');
@@ -98,6 +128,52 @@ const Profile = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    setResendingVerification(true);
+    try {
+      const response = await authAPI.resendVerification();
+      alert(response.data.message);
+    } catch (error) {
+      console.error('❌ Error resending verification email:', error);
+      alert(error.response?.data?.message || 'Failed to send verification email.');
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) return;
+
+    try {
+      await logoutAllDevices();
+      navigate('/login');
+    } catch (error) {
+      console.error('❌ Error logging out all devices:', error);
+      alert('Failed to log out other devices. Please try again.');
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setAvatarProgress(0);
+    try {
+      const response = await uploadAPI.uploadImages([file], setAvatarProgress);
+      // The medium variant is plenty for an avatar
+      const avatar = response.data.uploads[0].variants.medium;
+      await userAPI.updateUser(user.id, { avatar });
+      updateUser({ avatar });
+      console.log('✅ Avatar updated');
+    } catch (error) {
+      console.error('❌ Error updating avatar:', error);
+      alert(error.response?.data?.message || 'Failed to update photo. Please try again.');
+    } finally {
+      setAvatarProgress(null);
+    }
+  };
+
   const handleEditProfile = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -105,16 +181,20 @@ const Profile = () => {
     try {
       console.log('🔄 Updating profile...', editForm);
       
-      const updatedData = {
-        ...editForm,
-        location: editForm.city && editForm.state ? `${editForm.city}, ${editForm.state}` : '',
-        lastModified: new Date().toISOString()
-      };
+      const response = await userAPI.updateProfile(editForm);
+      const saved = response.data;
+      setProfile(saved);
 
-      const response = await userAPI.updateProfile(updatedData);
-      
-      // Update auth context
-      await updateUser(updatedData);
+      // Keep the stored user in step for the navbar and other pages
+      updateUser({
+        fullName: saved.fullName,
+        phone: saved.phone,
+        city: saved.city,
+        state: saved.state,
+        location: formatLocation(saved),
+        userType: saved.userType,
+        showContactInfo: saved.showContactInfo
+      });
       
       setIsEditing(false);
       console.log('✅ Profile updated successfully');
@@ -122,12 +202,15 @@ const Profile = () => {
       
     } catch (error) {
       console.error('❌ Error updating profile:', error);
-      alert('Failed to update profile. Please try again.');
+      alert(error.response?.data?.message || 'Failed to update profile. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const details = profile || user;
+  const location = formatLocation(details);
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Not available';
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -176,44 +259,87 @@ const Profile = () => {
 
   return (
     <div className="max-w-6xl mx-auto px-4 py-8">
+      {/* Email verification reminder */}
+      {user && !user.verified && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 mb-6 flex items-center justify-between">
+          <span>Please confirm your email address ({user.email}) to get a verified badge on your listings.</span>
+          <button
+            onClick={handleResendVerification}
+            disabled={resendingVerification}
+            className="ml-4 text-sm font-medium text-yellow-900 underline hover:no-underline disabled:opacity-50"
+          >
+            {resendingVerification ? 'Sending...' : 'Resend link'}
+          </button>
+        </div>
+      )}
+
       {/* Profile Header */}
       <div className="bg-white rounded-lg shadow-md p-6 mb-8">
         <div className="flex items-center space-x-6">
           {/* Avatar */}
-          <div className="w-24 h-24 rounded-full bg-blue-500 flex items-center justify-center text-white text-3xl font-bold">
-            {user?.avatar ? (
-              <img 
-                src={user.avatar} 
-                alt={user.username} 
-                className="w-24 h-24 rounded-full object-cover"
+          <div className="w-24 flex-shrink-0 text-center">
+            <div className="w-24 h-24 rounded-full bg-blue-500 flex items-center justify-center text-white text-3xl font-bold">
+              {user?.avatar ? (
+                <img 
+                  src={user.avatar} 
+                  alt={user.username} 
+                  className="w-24 h-24 rounded-full object-cover"
+                />
+              ) : (
+                (user?.fullName || user?.username || 'U').charAt(0).toUpperCase()
+              )}
+            </div>
+            <label className={`inline-block mt-2 text-sm text-blue-600 ${avatarProgress === null ? 'cursor-pointer hover:text-blue-800' : 'opacity-50'}`}>
+              Change photo
+              <input
+                type="file"
+                accept="image/*"
+                onChange={handleAvatarChange}
+                disabled={avatarProgress !== null}
+                className="hidden"
               />
-            ) : (
-              (user?.fullName || user?.username || 'U').charAt(0).toUpperCase()
-            )}
+            </label>
+            {avatarProgress !== null && <UploadProgress percent={avatarProgress} />}
           </div>
 
           {/* User Info */}
           <div className="flex-1">
             <h1 className="text-3xl font-bold text-gray-900">
-              {user?.fullName || user?.username || 'User'}
+              {details?.fullName || user?.username || 'User'}
             </h1>
-            <p className="text-gray-600">@{user?.username}</p>
+            <p className="text-gray-600">
+              @{user?.username}
+              {profile && (
+                <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full">
+                  {userTypeLabel(profile.userType)}
+                </span>
+              )}
+              {profile?.agentVerified && <VerifiedAgentBadge className="ml-2" />}
+            </p>
             <p className="text-gray-600">{user?.email}</p>
-            {user?.location && (
-              <p className="text-gray-500">📍 {user.location}</p>
+            {location && (
+              <p className="text-gray-500">📍 {location}</p>
             )}
             <p className="text-sm text-gray-500 mt-2">
               Member since {formatDate(user?.createdAt)}
             </p>
           </div>
 
-          {/* Edit Button */}
-          <button
-            onClick={() => setIsEditing(!isEditing)}
-            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
-          >
-            {isEditing ? 'Cancel' : 'Edit Profile'}
-          </button>
+          {/* Account Actions */}
+          <div className="flex flex-col items-end space-y-2">
+            <button
+              onClick={() => setIsEditing(!isEditing)}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
+            >
+              {isEditing ? 'Cancel' : 'Edit Profile'}
+            </button>
+            <button
+              onClick={handleLogoutAllDevices}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Log out all devices
+            </button>
+          </div>
         </div>
 
         {/* Edit Form */}
@@ -363,15 +489,37 @@ const Profile = () => {
                   </div>
                   <div>
                     <span className="font-medium text-gray-700">Full Name:</span>
-                    <span className="ml-2 text-gray-600">{user?.fullName || 'Not provided'}</span>
+                    <span className="ml-2 text-gray-600">{details?.fullName || 'Not provided'}</span>
                   </div>
                   <div>
                     <span className="font-medium text-gray-700">Phone:</span>
-                    <span className="ml-2 text-gray-600">{user?.phone || 'Not provided'}</span>
+                    <span className="ml-2 text-gray-600">{details?.phone || 'Not provided'}</span>
                   </div>
                   <div>
                     <span className="font-medium text-gray-700">Location:</span>
-                    <span className="ml-2 text-gray-600">{user?.location || 'Not provided'}</span>
+                    <span className="ml-2 text-gray-600">{location || 'Not provided'}</span>
+                  </div>
+                  <div>
+                    <span className="font-medium text-gray-700">Account Type:</span>
+                    <span className="ml-2 text-gray-600">{userTypeLabel(details?.userType)}</span>
+                  </div>
+                  <div>
+                    <span className="font-medium text-gray-700">Role:</span>
+                    <span className="ml-2 text-gray-600 capitalize">{details?.role || 'buyer'}</span>
+                  </div>
+                  {profile && (
+                    <div>
+                      <span className="font-medium text-gray-700">Listing Limit:</span>
+                      <span className="ml-2 text-gray-600">
+                        {profile.listingQuota == null ? 'Unlimited' : `${profile.listingQuota} listings`}
+                      </span>
+                    </div>
+                  )}
+                  <div>
+                    <span className="font-medium text-gray-700">Contact Info:</span>
+                    <span className="ml-2 text-gray-600">
+                      {(details?.showContactInfo ?? true) ? 'Shown on your listings' : 'Hidden'}
+                    </span>
                   </div>
                   <div>
                     <span className="font-medium text-gray-700">Member Since:</span>
@@ -432,7 +580,8 @@ const Profile = () => {
                             e.target.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200"><rect width="300" height="200" fill="%23f3f4f6"/><text x="150" y="100" text-anchor="middle" dy=".3em" fill="%236b7280" font-family="Arial, sans-serif" font-size="48">🏠</text></svg>';
                           }}
                         />
-                        <div className="absolute top-2 right-2">
+                        <div className="absolute top-2 right-2 flex space-x-2">
+                          <ListingStatusBadge status={post.status} />
                           <span className={`px-2 py-1 rounded text-xs font-semibold text-white ${
                             post.type === 'rent' ? 'bg-blue-500' : 'bg-green-500'
                           }`}>
@@ -454,6 +603,19 @@ const Profile = () => {
                             {post.bathroom > 0 && <span>🚿 {post.bathroom}</span>}
                           </div>
                         </div>
+                        {post.stats && (
+                          <div className="mt-3 flex items-center justify-between border-t pt-3">
+                            <div className="flex space-x-3 text-sm text-gray-600">
+                              <span title="Views">👁️ {post.stats.totals.views}</span>
+                              <span title="Saves">❤️ {post.stats.totals.saves}</span>
+                              <span title="Inquiries">💬 {post.stats.totals.inquiries}</span>
+                            </div>
+                            <Sparkline
+                              values={post.stats.series.map((day) => day.views)}
+                              label={`Daily views over the last ${post.stats.series.length} days`}
+                            />
+                          </div>
+                        )}
                         <div className="mt-3 flex space-x-2">
                           <Link
                             to={`/posts/${post.id}`}
@@ -461,10 +623,18 @@ const Profile = () => {
                           >
                             View Details
                           </Link>
-                          <button className="flex-1 bg-gray-200 text-gray-700 py-2 rounded text-sm hover:bg-gray-300 transition-colors">
+                          <Link
+                            to={`/posts/${post.id}/edit`}
+                            className="flex-1 bg-gray-200 text-gray-700 text-center py-2 rounded text-sm hover:bg-gray-300 transition-colors"
+                          >
                             Edit
-                          </button>
+                          </Link>
                         </div>
+                        <ListingStatusControls
+                          post={post}
+                          onChange={(updated) => setUserPosts((posts) => posts.map((item) => (item.id === updated.id ? { ...item, ...updated } : item)))}
+                          className="mt-3"
+                        />
                       </div>
                     </div>
                   ))}
@@ -508,7 +678,8 @@ const Profile = () => {
                             e.target.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200"><rect width="300" height="200" fill="%23f3f4f6"/><text x="150" y="100" text-anchor="middle" dy=".3em" fill="%236b7280" font-family="Arial, sans-serif" font-size="48">💾</text></svg>';
                           }}
                         />
-                        <div className="absolute top-2 right-2">
+                        <div className="absolute top-2 right-2 flex space-x-2">
+                          <ListingStatusBadge status={post.status} />
                           <span className={`px-2 py-1 rounded text-xs font-semibold text-white ${
                             post.type === 'rent' ? 'bg-blue-500' : 'bg-green-500'
                           }`}>
@@ -19,7 +19,7 @@ export const userAPI = {
 };
 
 export const postAPI = {
-  getAllPosts: async () => ({ data: [] }),
+  getAllPosts: async () => ({ data: { items: [], nextCursor: null, total: 0 } }),
   getPostById: async () => ({ data: {} }),
   createPost: async () => ({ data: {} }),
   updatePost: async () => ({ data: {} }),
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import { API_URL } from '../utils/constants';
 import { mockPosts } from './mockData';
+import { refreshAccessToken } from './authService';
 
 console.log('🌐 Using API URL:', API_URL);
 
@@ -11,8 +12,14 @@ const api = axios.create({
     'Content-Type': 'application/json',
   },
   timeout: 60000, // Increase to 60 seconds
+  // Send the auth cookies as well as the bearer header
+  withCredentials: true,
 });
 
+// Auth endpoints answer 401 for bad credentials or sessions; retrying them
+// after a refresh would never help
+const isAuthEndpoint = (url = '') => url.startsWith('/auth/');
+
 // Add request interceptor to include auth token
 api.interceptors.request.use(
   (config) => {
@@ -44,6 +51,19 @@ api.interceptors.response.use(
     return response;
   },
   async (error) => {
+    // Expired access token: refresh once and replay the request
+    if (error.response?.status === 401 &&
+        error.config &&
+        !error.config.__isAuthRetry &&
+        !isAuthEndpoint(error.config.url)) {
+      const token = await refreshAccessToken();
+      if (token) {
+        error.config.__isAuthRetry = true;
+        error.config.headers['Authorization'] = `Bearer ${token}`;
+        return api(error.config);
+      }
+    }
+
     // Only retry GET requests that time out
     if (error.config && 
         !error.config.__isRetryRequest && 
@@ -67,7 +87,7 @@ api.interceptors.response.use(
       if (url.includes('/posts') && !url.includes('/posts/')) {
         console.log('🔄 Posts fetch timed out - returning mock data');
         return Promise.resolve({ 
-          data: mockPosts,
+          data: { items: mockPosts, nextCursor: null, total: mockPosts.length },
           isMock: true
         });
       }
@@ -81,16 +101,25 @@ api.interceptors.response.use(
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
+  // Revokes the current session; logoutAll revokes every session of the user
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  // Emailed single-use links
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
   getProfile: () => api.get('/auth/profile'),
 };
 
 // User API
 export const userAPI = {
+  // Profile details and preferences for the logged-in user
   getProfile: async () => {
     try {
-      return await api.get('/user/profile');
+      return await api.get('/users/profile');
     } catch (error) {
+      if (error.response) throw error;
       console.log('🔄 API unavailable, returning local user data...');
       const userData = localStorage.getItem('user');
       if (userData) {
@@ -102,8 +131,10 @@ export const userAPI = {
   
   updateProfile: async (profileData) => {
     try {
-      return await api.put('/user/profile', profileData);
+      return await api.put('/users/profile', profileData);
     } catch (error) {
+      // Validation errors must reach the form; only fall back when offline
+      if (error.response) throw error;
       console.log('🔄 API unavailable, updating local user data...');
       const userData = localStorage.getItem('user');
       if (userData) {
@@ -116,33 +147,17 @@ export const userAPI = {
     }
   },
   
-  getNotifications: async () => {
-    try {
-      const response = await api.get('/users/notifications'); // Notice 'users' plural
-      return response;
-    } catch (error) {
-      console.error('❌ Error fetching notifications:', error);
-      if (process.env.NODE_ENV !== 'production' && 
-         (error.code === 'ERR_NETWORK' || error.message === 'Network Error')) {
-        console.log('🔄 Using mock notifications data');
-        return { data: 3 }; // Return mock notification count
-      }
-      throw error;
-    }
-  },
+  updateUser: (id, userData) => api.put(`/users/${id}`, userData),
   
-  markNotificationAsRead: async (notificationId) => {
-    try {
-      return await api.put(`/user/notifications/${notificationId}/read`);
-    } catch (error) {
-      console.log('🔄 API unavailable, simulating notification mark as read...');
-      return { data: { success: true } };
-    }
-  },
+  // Notifications - newest first, with the unread count for the bell
+  getNotifications: (params = {}) => api.get('/users/notifications', { params }),
+  getUnreadNotificationCount: () => api.get('/users/notifications/count'),
+  markNotificationAsRead: (notificationId) => api.put(`/users/notifications/${notificationId}/read`),
+  markAllNotificationsAsRead: () => api.put('/users/notifications/read-all'),
   
   getUserStats: async () => {
     try {
-      return await api.get('/user/stats');
+      return await api.get('/users/stats');
     } catch (error) {
       console.log('🔄 API unavailable, returning mock stats...');
       const userData = localStorage.getItem('user');
@@ -182,7 +197,14 @@ export const userAPI = {
         }
       }
 
-      // Try to get from API first
+      // Try to get from API first - the current user's own listings come from profile-posts
+      const currentUser = JSON.parse(localStorage.getItem('user') || 'null');
+      if (currentUser && currentUser.id === userId) {
+        const profileResponse = await api.get('/users/profile-posts');
+        console.log('✅ Profile posts loaded from API:', profileResponse.data?.myPosts?.length || 0);
+        return { ...profileResponse, data: profileResponse.data?.myPosts || [] };
+      }
+
       const response = await api.get(`/user/${userId}/posts`);
       console.log('✅ Profile posts loaded from API:', response.data?.length || 0);
       return response;
@@ -212,35 +234,17 @@ export const userAPI = {
     }
   },
 
-  // Add function to get user's saved posts
-  getSavedPosts: async () => {
-    try {
-      return await api.get('/user/saved-posts');
-    } catch (error) {
-      console.log('🔄 API unavailable, returning empty saved posts...');
-      // TODO: Implement localStorage saved posts
-      return { data: [] };
-    }
-  },
-
-  // Add function to save/unsave posts
-  savePost: async (postId) => {
-    try {
-      return await api.post(`/user/save-post/${postId}`);
-    } catch (error) {
-      console.log('🔄 API unavailable, simulating save post...');
-      return { data: { success: true, saved: true } };
-    }
-  },
+  // Saved posts - errors are passed on so the UI never shows a save that didn't happen
+  getSavedPosts: () => api.get('/users/saved-posts'),
+  // { myPosts, savedPosts } for the logged-in user
+  getMyListings: () => api.get('/users/profile-posts'),
+  savePost: (postId) => api.post('/users/saved-posts', { postId }),
+  unsavePost: (postId) => api.delete(`/users/saved-posts/${postId}`),
 
-  unsavePost: async (postId) => {
-    try {
-      return await api.delete(`/user/save-post/${postId}`);
-    } catch (error) {
-      console.log('🔄 API unavailable, simulating unsave post...');
-      return { data: { success: true, saved: false } };
-    }
-  },
+  // Saved searches - filter sets that trigger new-listing notifications
+  getSavedSearches: () => api.get('/users/saved-searches'),
+  createSavedSearch: (search) => api.post('/users/saved-searches', search),
+  deleteSavedSearch: (id) => api.delete(`/users/saved-searches/${id}`),
 
   // Add function to get user activity
   getUserActivity: async () => {
@@ -278,6 +282,9 @@ export const postAPI = {
     }
   },
   
+  // Option counts and price histogram for the current filters
+  getFacets: (params = {}) => api.get('/posts/facets', { params }),
+  
   getPost: async (id) => {
     try {
       console.log(`🔍 Fetching post by ID: ${id}...`);
@@ -345,8 +352,15 @@ export const postAPI = {
   
   updatePost: (id, postData) => api.put(`/posts/${id}`, postData),
   deletePost: (id) => api.delete(`/posts/${id}`),
-  savePost: (id) => api.post(`/posts/${id}/save`),
-  unsavePost: (id) => api.delete(`/posts/${id}/save`),
+  // Listings like this one, best match first: { items }
+  getSimilarPosts: (id, limit = 6) => api.get(`/posts/${id}/similar`, { params: { limit } }),
+  // Owner-only analytics: { totals, series: [{ day, views, saves, inquiries }] }
+  getPostStats: (id, days = 30) => api.get(`/posts/${id}/stats`, { params: { days } }),
+  // Lifecycle changes by the owner; both respond with the updated post
+  updateStatus: (id, status) => api.patch(`/posts/${id}/status`, { status }),
+  renewPost: (id) => api.post(`/posts/${id}/renew`),
+  savePost: (id) => api.post('/users/saved-posts', { postId: id }),
+  unsavePost: (id) => api.delete(`/users/saved-posts/${id}`),
 };
 
 // Import the mock chat API for development use
@@ -445,6 +459,35 @@ export const chatAPI = {
     }
   },
   
+  // Photos and PDFs with an optional caption, stored by the API and sent
+  // as one message. onProgress receives 0-100 while the files are sent.
+  sendAttachments: (chatId, files, content = '', onProgress) => {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append('files', file));
+    formData.append('content', content);
+
+    return api.post(`/chat/${chatId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+  },
+
+  // A PDF attachment as a Blob; the API checks the user is in the chat
+  downloadAttachment: (chatId, messageId, index) =>
+    api.get(`/chat/${chatId}/messages/${messageId}/attachments/${index}`, {
+      responseType: 'blob',
+      timeout: 120000
+    }),
+
+  // Sends a listing as a card message
+  shareListing: (chatId, postId, content = '') =>
+    api.post(`/chat/${chatId}/messages`, { sharedPostId: postId, content }),
+  
   // Fix the other methods too
   markChatAsRead: async (chatId) => {
     try {
@@ -494,5 +537,56 @@ export const messageAPI = {
   },
 };
 
+// Image uploads - the API resizes, strips EXIF data and returns URLs.
+// onProgress receives 0-100 while the files are sent.
+export const uploadAPI = {
+  uploadImages: (files, onProgress) => {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append('images', file));
+
+    return api.post('/uploads', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+  },
+};
+
+// Reports about listings, users or chat messages, reviewed by admins.
+// Answers 429 with a Retry-After header when the reporter hits the limit.
+export const reportAPI = {
+  createReport: ({ targetType, targetId, reason, details }) =>
+    api.post('/reports', { targetType, targetId, reason, details }),
+};
+
+// Admin console. List endpoints take { q, status, role, page, limit } and
+// respond with { items, total, page, limit }; moderation actions need a reason.
+export const adminAPI = {
+  getStats: () => api.get('/admin/stats'),
+  getFlagged: () => api.get('/admin/flagged'),
+  getAuditLog: (params = {}) => api.get('/admin/audit', { params }),
+  getReports: (params = {}) => api.get('/admin/reports', { params }),
+  closeReport: (id, status, note) => api.patch(`/admin/reports/${id}`, { status, note }),
+
+  getUsers: (params = {}) => api.get('/admin/users', { params }),
+  updateUserRole: (id, changes) => api.patch(`/users/${id}/role`, changes),
+  suspendUser: (id, reason) => api.post(`/admin/users/${id}/suspend`, { reason }),
+  unsuspendUser: (id) => api.delete(`/admin/users/${id}/suspend`),
+  flagUser: (id, reason) => api.post(`/admin/users/${id}/flag`, { reason }),
+  unflagUser: (id) => api.delete(`/admin/users/${id}/flag`),
+  deleteUser: (id) => api.delete(`/admin/users/${id}`),
+
+  getPosts: (params = {}) => api.get('/admin/posts', { params }),
+  suspendPost: (id, reason) => api.post(`/admin/posts/${id}/suspend`, { reason }),
+  unsuspendPost: (id) => api.delete(`/admin/posts/${id}/suspend`),
+  flagPost: (id, reason) => api.post(`/admin/posts/${id}/flag`, { reason }),
+  unflagPost: (id) => api.delete(`/admin/posts/${id}/flag`),
+  deletePost: (id) => api.delete(`/admin/posts/${id}`),
+};
+
 export { mockPosts };
 export default api;
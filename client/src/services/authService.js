@@ -61,6 +61,46 @@ export const register = async (userData) => {
   }
 };
 
+// Trades the httpOnly refreshToken cookie for a new access token. The
+// refresh token itself never reaches page scripts. Concurrent callers share
+// one request, since the server rotates the refresh token and a second
+// refresh with the old one would look like token reuse.
+// Resolves to the new access token, or null when the session is gone.
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      if (!localStorage.getItem('user')) return null;
+
+      try {
+        const response = await axios.post(`${API_URL}/auth/refresh`, null, { withCredentials: true });
+
+        // Re-read in case the user logged out while the request was in flight
+        const latestUser = JSON.parse(localStorage.getItem('user') || 'null');
+        if (!latestUser) return null;
+
+        const updatedUser = { ...latestUser, token: response.data.token };
+        localStorage.setItem('user', JSON.stringify(updatedUser));
+        window.dispatchEvent(new CustomEvent('auth:refreshed', { detail: updatedUser }));
+        console.log('🔄 Access token refreshed');
+        return updatedUser.token;
+      } catch (error) {
+        console.error('❌ Token refresh failed:', error.response?.data?.message || error.message);
+        // Only a rejected session ends the login; network errors can be retried later
+        if (error.response?.status === 401) {
+          localStorage.removeItem('user');
+          window.dispatchEvent(new Event('auth:expired'));
+        }
+        return null;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+  return refreshPromise;
+};
+
 export const logout = async () => {
   try {
     // Remove user from local storage
@@ -76,5 +116,6 @@ export const logout = async () => {
 export default {
   login,
   register,
-  logout
+  logout,
+  refreshAccessToken
 };
\ No newline at end of file
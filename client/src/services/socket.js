@@ -1,15 +1,30 @@
 import { io } from 'socket.io-client';
+import { refreshAccessToken } from './authService';
 
 // Define the socket server URL - use production URL
 const SOCKET_URL = 'https://property-state-socket.onrender.com';
 
 console.log('🔌 Using Socket URL:', SOCKET_URL);
 
+// The socket server checks the same access token as the API
+const storedAccessToken = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user') || 'null')?.token || null;
+  } catch {
+    return null;
+  }
+};
+
 class SocketService {
   constructor() {
     this.socket = null;
     this.userId = null;
     this.connected = false;
+    // Listeners registered through on() survive reconnects and are attached
+    // to every socket this service creates
+    this.listeners = new Map();
+    // Set after one refresh-and-retry so a bad session can't loop
+    this.refreshedForSocket = false;
   }
 
   connect(userId) {
@@ -29,18 +44,19 @@ class SocketService {
       // Try to connect to the socket server with HTTPS
       this.socket = io(SOCKET_URL, {
         transports: ['websocket', 'polling'],
-        query: { userId },
+        // Read on every (re)connect so a refreshed token is picked up
+        auth: (cb) => cb({ token: storedAccessToken() }),
+        withCredentials: true,
         secure: true // Ensure secure connection for HTTPS
       });
       
       this.userId = userId;
+      this.attachListeners();
       
       this.socket.on('connect', () => {
         console.log('✅ Socket connected! Socket ID:', this.socket.id);
         this.connected = true;
-        
-        // Register the user with socket server
-        this.socket.emit('user:connect', { userId });
+        this.refreshedForSocket = false;
       });
       
       this.socket.on('disconnect', () => {
@@ -48,9 +64,20 @@ class SocketService {
         this.connected = false;
       });
       
-      this.socket.on('connect_error', (error) => {
+      this.socket.on('connect_error', async (error) => {
         console.error('❌ Socket connection error:', error.message);
         this.connected = false;
+
+        // The server refused an expired access token: refresh it and retry
+        // once, rather than falling back to simulation
+        if (error.data?.code === 'TOKEN_EXPIRED' && !this.refreshedForSocket) {
+          this.refreshedForSocket = true;
+          const token = await refreshAccessToken();
+          if (token && this.socket) {
+            this.socket.connect();
+            return;
+          }
+        }
         
         // If we can't connect to the socket server, fall back to simulation
         console.log('🔄 Socket connection simulated for user:', userId);
@@ -87,6 +114,29 @@ class SocketService {
     }
   }
   
+  attachListeners() {
+    this.listeners.forEach((callbacks, event) => {
+      callbacks.forEach((callback) => this.socket.on(event, callback));
+    });
+  }
+
+  // Subscribe to a server event. Safe to call before connect(); returns an
+  // unsubscribe function for use in effect cleanups.
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    this.socket?.on(event, callback);
+
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    this.listeners.get(event)?.delete(callback);
+    this.socket?.off(event, callback);
+  }
+  
   getSocketId() {
     if (this.socket && this.connected) {
       return this.socket.id;
@@ -94,58 +144,40 @@ class SocketService {
     return 'not-connected';
   }
   
-  // Update the sendMessage method to include all necessary fields
-  sendMessage(receiverId, messageData) {
-    if (!messageData || !receiverId) {
-      console.error('❌ Cannot send message: Missing data');
-      return false;
+  // Asks the server to add this socket to a conversation's room, e.g. one
+  // created after the socket connected
+  joinConversation(conversationId) {
+    if (conversationId && this.socket && this.connected) {
+      this.socket.emit('conversation:join', { conversationId });
     }
-    
-    if (this.socket && this.connected) {
-      console.log('📨 Sending message via socket to:', receiverId);
-      
-      // Ensure all required fields are present
-      const message = {
-        ...messageData,
-        id: messageData.id || `temp_${Date.now()}`,
-        chatId: messageData.chatId,
-        senderId: messageData.senderId,
-        content: messageData.content,
-        createdAt: messageData.createdAt || new Date().toISOString(),
-      };
-      
-      this.socket.emit('sendMessage', { 
-        receiverId,
-        data: message
-      });
-      
-      return true;
-    } else {
-      console.error('❌ Cannot send message: Socket not connected');
-      return false;
+  }
+
+  // typing:start / typing:stop are relayed to the rest of the conversation
+  startTyping(conversationId) {
+    if (conversationId && this.socket && this.connected) {
+      this.socket.emit('typing:start', { conversationId });
     }
   }
-  
-  // Update the onMessage method to verify the recipient
-  onMessage(callback) {
-    if (this.socket) {
-      console.log('👂 Registering message listener for user:', this.userId);
-      this.socket.on('message:receive', (data) => {
-        // Verify this message is intended for the current user
-        if (data.receiverId === this.userId || data.chatParticipants?.includes(this.userId)) {
-          console.log('📩 Received message intended for this user:', data);
-          callback(data);
-        } else {
-          console.warn('⚠️ Received message not intended for this user, ignoring');
-        }
-      });
+
+  stopTyping(conversationId) {
+    if (conversationId && this.socket && this.connected) {
+      this.socket.emit('typing:stop', { conversationId });
     }
   }
+
+  // Messages are sent through chatAPI.sendMessage; the API stores them and
+  // has the socket server push each one to the recipient as getMessage.
+  // The server only routes to the authenticated user's own rooms, so no
+  // recipient check is needed here.
+  onMessage(callback) {
+    this.offMessage();
+    console.log('👂 Registering message listener for user:', this.userId);
+    this.unsubscribeMessage = this.on('getMessage', callback);
+  }
   
   offMessage() {
-    if (this.socket) {
-      this.socket.off('message:receive');
-    }
+    this.unsubscribeMessage?.();
+    this.unsubscribeMessage = null;
   }
   
   disconnect() {
@@ -0,0 +1,9 @@
+// Moderation actions need a reason for the audit history; null means the
+// admin cancelled
+export const askReason = (question) => {
+  const reason = window.prompt(question);
+  return reason && reason.trim() ? reason.trim() : null;
+};
+
+export const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '';
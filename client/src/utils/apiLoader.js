@@ -13,7 +13,7 @@ export const loadApiService = async () => {
       return {
         default: {},
         userAPI: { getNotifications: async () => ({ data: 0 }) },
-        postAPI: { getAllPosts: async () => ({ data: [] }) },
+        postAPI: { getAllPosts: async () => ({ data: { items: [], nextCursor: null, total: 0 } }) },
         authAPI: {},
         chatAPI: {}
       };
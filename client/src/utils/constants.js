@@ -2,6 +2,12 @@
 export const API_URL = import.meta.env.VITE_API_URL || 'https://property-state.onrender.com/api';
 export const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'https://property-state-socket.onrender.com';
 
+// Map tiles - point VITE_MAP_TILE_URL at a local tile server to use maps offline
+export const MAP_TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const MAP_TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors';
+export const MAP_DEFAULT_CENTER = [39.8283, -98.5795];
+export const MAP_DEFAULT_ZOOM = 4;
+
 // Log the URLs being used (helpful for debugging)
 console.log('🌐 Using API URL:', API_URL);
 console.log('🔌 Using Socket URL:', SOCKET_URL);
@@ -20,6 +26,88 @@ export const PROPERTY_TYPES = {
   LAND: 'land'
 };
 
+// Structured listing attributes, same values as api/utils/listingAttributes.js
+export const AMENITIES = [
+  { value: 'air_conditioning', label: 'Air conditioning' },
+  { value: 'balcony', label: 'Balcony' },
+  { value: 'dishwasher', label: 'Dishwasher' },
+  { value: 'elevator', label: 'Elevator' },
+  { value: 'garden', label: 'Garden' },
+  { value: 'gym', label: 'Gym' },
+  { value: 'heating', label: 'Heating' },
+  { value: 'laundry', label: 'Laundry' },
+  { value: 'pool', label: 'Pool' },
+  { value: 'security', label: 'Security' },
+  { value: 'storage', label: 'Storage' },
+  { value: 'wheelchair_access', label: 'Wheelchair access' }
+];
+
+export const FURNISHING_OPTIONS = [
+  { value: 'furnished', label: 'Furnished' },
+  { value: 'semi_furnished', label: 'Semi-furnished' },
+  { value: 'unfurnished', label: 'Unfurnished' }
+];
+
+// Permission roles (User.role); admins can moderate any listing or account
+export const ROLES = {
+  BUYER: 'buyer',
+  OWNER: 'owner',
+  AGENT: 'agent',
+  ADMIN: 'admin'
+};
+
+// Account types chosen at registration (UserProfile.userType)
+export const USER_TYPES = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'premium', label: 'Premium' },
+  { value: 'agent', label: 'Real Estate Agent' },
+  { value: 'landlord', label: 'Property Owner' }
+];
+
+// Listing lifecycle (Post.status). Drafts and expired listings are only
+// visible to their owner.
+export const LISTING_STATUSES = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  UNDER_OFFER: 'under_offer',
+  RENTED: 'rented',
+  SOLD: 'sold',
+  EXPIRED: 'expired'
+};
+
+export const LISTING_STATUS_LABELS = {
+  draft: 'Draft',
+  active: 'Active',
+  under_offer: 'Under offer',
+  rented: 'Rented',
+  sold: 'Sold',
+  expired: 'Expired'
+};
+
+// Reasons accepted by POST /api/reports; 'other' needs a description
+export const REPORT_REASONS = [
+  { value: 'scam', label: 'Scam or fraud' },
+  { value: 'duplicate', label: 'Duplicate listing' },
+  { value: 'misleading', label: 'Misleading or inaccurate' },
+  { value: 'spam', label: 'Spam' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'harassment', label: 'Harassment or abuse' },
+  { value: 'other', label: 'Something else' }
+];
+
+// Chat attachments, matching the API's limits
+export const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/webp,image/gif,image/avif,application/pdf';
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+export const MAX_ATTACHMENT_SIZE_MB = 10;
+
+// Listing sort orders understood by GET /api/posts
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'price_asc', label: 'Price: low to high' },
+  { value: 'price_desc', label: 'Price: high to low' },
+  { value: 'size', label: 'Largest first' }
+];
+
 // Default values
 export const DEFAULT_AVATAR = 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=40&h=40&fit=crop&crop=face';
 export const DEFAULT_PROPERTY_IMAGE = 'https://via.placeholder.com/400x250/e5e7eb/6b7280?text=No+Image';
\ No newline at end of file
@@ -16,4 +16,14 @@ export const formatPrice = (price, currency = 'INR') => {
     currency: format.currency,
     minimumFractionDigits: 0
   }).format(price || 0);
-};
\ No newline at end of file
+};
+// "just now", "5m ago", "3h ago", then a plain date after a week
+export const formatTimeAgo = (date) => {
+  const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+  return new Date(date).toLocaleDateString();
+};
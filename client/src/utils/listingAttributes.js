@@ -0,0 +1,34 @@
+import { AMENITIES, FURNISHING_OPTIONS } from './constants';
+
+// Form state for ListingAttributesFields. Values stay as strings; the API
+// parses them and treats '' as "not set".
+export const EMPTY_LISTING_ATTRIBUTES = {
+  amenities: [],
+  furnishing: '',
+  floor: '',
+  totalFloors: '',
+  parking: '',
+  yearBuilt: '',
+  availableFrom: '',
+  deposit: ''
+};
+
+const toInputValue = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Stored postDetail -> form state, e.g. when opening EditPost
+export const toListingAttributeForm = (postDetail = {}) => ({
+  amenities: postDetail?.amenities || [],
+  furnishing: postDetail?.furnishing || '',
+  floor: toInputValue(postDetail?.floor),
+  totalFloors: toInputValue(postDetail?.totalFloors),
+  parking: toInputValue(postDetail?.parking),
+  yearBuilt: toInputValue(postDetail?.yearBuilt),
+  availableFrom: postDetail?.availableFrom ? postDetail.availableFrom.slice(0, 10) : '',
+  deposit: toInputValue(postDetail?.deposit)
+});
+
+export const amenityLabel = (value) =>
+  AMENITIES.find((amenity) => amenity.value === value)?.label || value;
+
+export const furnishingLabel = (value) =>
+  FURNISHING_OPTIONS.find((option) => option.value === value)?.label || value;
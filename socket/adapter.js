@@ -0,0 +1,55 @@
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+
+// Routing goes through socket.io rooms, so fan-out and presence live in the
+// server's adapter. Every adapter has the same shape:
+//   { name, attach(io), close() }
+// attach() installs it on the server; close() releases its connections.
+
+// Single process: socket.io's built-in adapter keeps rooms in memory
+const createMemoryAdapter = () => ({
+  name: "memory",
+  attach: async () => {},
+  close: async () => {},
+});
+
+// Several instances behind a load balancer: rooms are shared over Redis
+// pub/sub, so io.to(room).emit() and fetchSockets() reach every instance.
+// Works with any Redis-compatible server, e.g. a local redis-server.
+const createRedisAdapter = (url) => {
+  let attached = false;
+  // Startup fails fast; once running, keep retrying through Redis restarts
+  const reconnectStrategy = (retries) => {
+    if (!attached && retries >= 5) return new Error(`Redis at ${url} is unreachable`);
+    return Math.min(retries * 200, 5000);
+  };
+
+  const pubClient = createClient({ url, socket: { reconnectStrategy } });
+  const subClient = pubClient.duplicate();
+
+  for (const client of [pubClient, subClient]) {
+    client.on("error", (error) => console.error("❌ Redis adapter error:", error.message));
+  }
+
+  return {
+    name: "redis",
+    attach: async (io) => {
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      io.adapter(createAdapter(pubClient, subClient));
+      attached = true;
+      console.log(`📡 Socket rooms shared through Redis at ${url}`);
+    },
+    close: async () => {
+      await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+    },
+  };
+};
+
+// SOCKET_ADAPTER=redis (with REDIS_URL) for multiple instances; anything
+// else runs in-process
+export const createSocketAdapter = (env = process.env) => {
+  if (env.SOCKET_ADAPTER === "redis") {
+    return createRedisAdapter(env.REDIS_URL || "redis://localhost:6379");
+  }
+  return createMemoryAdapter();
+};
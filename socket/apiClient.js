@@ -0,0 +1,27 @@
+// Reads from the API's /internal routes with the shared INTERNAL_API_KEY.
+// The API owns the database; this server never writes to it.
+const getInternal = async (path) => {
+  // Read per call: app.js loads .env after its imports are evaluated
+  const apiUrl = process.env.API_URL || "http://localhost:4000/api";
+  const internalKey = process.env.INTERNAL_API_KEY;
+  if (!internalKey) {
+    throw new Error("INTERNAL_API_KEY is not set");
+  }
+
+  const response = await fetch(`${apiUrl}/internal${path}`, {
+    headers: { "x-internal-key": internalKey },
+    signal: AbortSignal.timeout(5000),
+  });
+  if (!response.ok) {
+    throw new Error(`API responded ${response.status} for ${path}`);
+  }
+  return response.json();
+};
+
+// [{ id, chatId, content, senderId, sender, createdAt }], oldest first
+export const fetchUnreadMessages = async (userId) =>
+  (await getInternal(`/users/${userId}/unread-messages`)).messages;
+
+// [{ id, participantIds }]
+export const fetchConversations = async (userId) =>
+  (await getInternal(`/users/${userId}/conversations`)).conversations;
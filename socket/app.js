@@ -1,5 +1,10 @@
+import { createServer } from "http";
+import { timingSafeEqual } from "crypto";
 import { Server } from "socket.io";
 import dotenv from "dotenv";
+import { authenticateSocket } from "./auth.js";
+import { createSocketAdapter } from "./adapter.js";
+import { fetchUnreadMessages, fetchConversations } from "./apiClient.js";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -7,6 +12,9 @@ dotenv.config();
 // Get client URL and port from environment variables
 const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
 const PORT = process.env.PORT || 4001;
+// Shared secret the API uses to push events through /internal/events
+const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY;
+const MAX_EVENT_BODY_BYTES = 64 * 1024;
 
 // Allow multiple client origins
 const allowedOrigins = [
@@ -19,156 +27,215 @@ console.log(
   `📝 Socket server will accept connections from: ${allowedOrigins.join(", ")}`
 );
 
-const io = new Server({
-  cors: {
-    origin: allowedOrigins,
-    methods: ["GET", "POST"],
-    credentials: true,
-  },
-});
+const isInternalRequest = (req) => {
+  const key = req.headers["x-internal-key"];
+  if (!INTERNAL_API_KEY || typeof key !== "string") return false;
 
-let onlineUsers = [];
-
-const addUser = (userId, socketId) => {
-  const userExists = onlineUsers.find((user) => user.userId === userId);
-  if (!userExists) {
-    onlineUsers.push({ userId, socketId });
-    console.log(`👤 User ${userId} connected with socket ${socketId}`);
-    console.log(`🟢 Online users: ${onlineUsers.length}`);
-  } else {
-    // Update socket ID if user reconnects
-    userExists.socketId = socketId;
-    console.log(`👤 User ${userId} reconnected with new socket ${socketId}`);
-  }
+  const expected = Buffer.from(INTERNAL_API_KEY);
+  const received = Buffer.from(key);
+  return expected.length === received.length && timingSafeEqual(expected, received);
 };
 
-const removeUser = (socketId) => {
-  const user = onlineUsers.find((user) => user.socketId === socketId);
-  if (user) {
-    console.log(`👤 User ${user.userId} disconnected from socket ${socketId}`);
-  }
-  onlineUsers = onlineUsers.filter((user) => user.socketId !== socketId);
-  console.log(`🟢 Remaining online users: ${onlineUsers.length}`);
-};
-
-const getUser = (userId) => {
-  return onlineUsers.find((user) => user.userId === userId);
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
 };
 
-io.on("connection", (socket) => {
-  console.log(`🔌 New socket connection: ${socket.id}`);
+// Lets the API push { userId, event, data } to a user's tabs, or
+// { conversationId, event, data } to everyone in a conversation.
+// socket.io handles its own /socket.io/ requests before this runs.
+const handleInternalRequest = (req, res) => {
+  if (req.method !== "POST" || req.url !== "/internal/events") {
+    return sendJson(res, 404, { message: "Not found" });
+  }
 
-  // Extract userId from the connection handshake
-  const userId = socket.handshake.query?.userId;
+  if (!isInternalRequest(req)) {
+    console.warn("⚠️ Rejected internal event with a missing or invalid key");
+    return sendJson(res, 401, { message: "Unauthorized" });
+  }
 
-  if (userId) {
-    console.log(`👤 User ${userId} connected via socket ${socket.id}`);
-    addUser(userId, socket.id);
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > MAX_EVENT_BODY_BYTES) {
+      sendJson(res, 413, { message: "Payload too large" });
+      req.destroy();
+    }
+  });
 
-    // Store userId in the socket object for later use
-    socket.userId = userId;
+  req.on("end", async () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return sendJson(res, 400, { message: "Invalid JSON" });
+    }
 
-    // Broadcast online users
-    io.emit("onlineUsers", onlineUsers.map((u) => u.userId));
+    const { userId, conversationId, event, data } = payload;
+    if (!(userId || conversationId) || !event) {
+      return sendJson(res, 400, { message: "userId or conversationId, and event are required" });
+    }
 
-    // Deliver any pending messages immediately
-    deliverPendingMessages(userId, socket.id);
-  }
+    const room = userId ? userRoom(userId) : conversationRoom(conversationId);
+    io.to(room).emit(event, data);
 
-  socket.on("newUser", (userId) => {
-    addUser(userId, socket.id);
-    // Broadcast online users to all connected clients
-    io.emit("onlineUsers", onlineUsers.map((u) => u.userId));
+    const delivered = await roomHasSockets(room);
+    if (delivered) {
+      console.log(`📣 Pushed ${event} to ${room}`);
+    }
+    sendJson(res, 200, { delivered });
   });
+};
 
-  // Add this event listener inside the connection scope
-  socket.on("user:connect", ({ userId }) => {
-    console.log(`👤 User ${userId} connected via socket ${socket.id}`);
-    addUser(userId, socket.id);
+const httpServer = createServer(handleInternalRequest);
+
+const io = new Server(httpServer, {
+  cors: {
+    origin: allowedOrigins,
+    methods: ["GET", "POST"],
+    credentials: true,
+  },
+});
 
-    // Broadcast online users
-    io.emit("onlineUsers", onlineUsers.map((u) => u.userId));
+io.use(authenticateSocket);
+
+// Every tab joins its user's room, and the room of each conversation the
+// user is in. Rooms are held by the adapter, so with Redis they span all
+// instances and an emit reaches sockets connected anywhere.
+const userRoom = (userId) => `user:${userId}`;
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+// fetchSockets() asks every instance, so these see the whole cluster
+const roomHasSockets = async (room) => {
+  try {
+    return (await io.in(room).fetchSockets()).length > 0;
+  } catch (error) {
+    console.warn(`⚠️ Could not check presence in ${room}:`, error.message);
+    return false;
+  }
+};
 
-    // Deliver any pending messages
-    deliverPendingMessages(userId, socket.id);
-  });
+const broadcastOnlineUsers = async () => {
+  try {
+    const sockets = await io.fetchSockets();
+    io.emit("onlineUsers", [...new Set(sockets.map((socket) => socket.data.userId))]);
+  } catch (error) {
+    console.warn("⚠️ Could not list online users:", error.message);
+  }
+};
 
-  // Update the "sendMessage" event handler
-  socket.on("sendMessage", async ({ receiverId, data }) => {
-    console.log(
-      `📨 Message from ${data.senderId} to ${receiverId}: ${data.content.substring(
-        0,
-        20
-      )}...`
+// Loads the user's conversations from the API into socket.data and joins
+// their rooms. Called on connect and again when the client names a
+// conversation this socket doesn't know yet, e.g. one created since.
+const syncConversations = async (socket) => {
+  try {
+    const conversations = await fetchConversations(socket.data.userId);
+    socket.data.conversations = new Map(
+      conversations.map(({ id, participantIds }) => [id, participantIds])
     );
+    socket.join(conversations.map(({ id }) => conversationRoom(id)));
+  } catch (error) {
+    console.warn(`⚠️ Could not load conversations for user ${socket.data.userId}:`, error.message);
+  }
+};
 
-    // Get the socket's user ID from the onlineUsers array
-    const socketUser = onlineUsers.find((user) => user.socketId === socket.id);
+const isConversationPayload = (payload) =>
+  Boolean(payload) && typeof payload.conversationId === "string";
 
-    if (!socketUser) {
-      console.warn(`⚠️ Unauthorized socket attempt to send message`);
-      return;
-    }
+// Participant ids of a conversation the socket's user belongs to, or null
+const conversationMembers = async (socket, conversationId) => {
+  if (!socket.data.conversations?.has(conversationId)) {
+    await syncConversations(socket);
+  }
+  return socket.data.conversations?.get(conversationId) || null;
+};
 
-    if (data.senderId !== socketUser.userId) {
-      console.warn(
-        `⚠️ User ${socketUser.userId} attempted to send message as ${data.senderId}. Blocked.`
-      );
-      return;
+// Replays the user's unread messages from the database to a newly
+// connected socket. A failure only costs the live replay: the messages are
+// still in the database and load when the conversation is opened.
+const deliverPendingMessages = async (socket) => {
+  try {
+    const messages = await fetchUnreadMessages(socket.data.userId);
+    if (messages.length > 0) {
+      console.log(`📬 Delivering ${messages.length} unread messages to user ${socket.data.userId}`);
     }
+    messages.forEach((message) => socket.emit("getMessage", message));
+  } catch (error) {
+    console.warn(`⚠️ Could not load unread messages for user ${socket.data.userId}:`, error.message);
+  }
+};
 
-    const receiver = getUser(receiverId);
-
-    if (receiver) {
-      console.log(
-        `✅ Receiver ${receiverId} is online with socket ${receiver.socketId}`
-      );
-
-      // Send message to receiver
-      io.to(receiver.socketId).emit("getMessage", data);
-    } else {
-      console.log(
-        `❌ Receiver ${receiverId} is offline, message will be delivered when they connect`
-      );
+io.on("connection", async (socket) => {
+  // Set by authenticateSocket from the access token, never by the client
+  const { userId } = socket.data;
+  console.log(`🔌 New socket connection: ${socket.id} for user ${userId}`);
 
-      // Store pending messages for offline users
-      if (!global.pendingMessages) {
-        global.pendingMessages = {};
-      }
+  socket.join(userRoom(userId));
+  broadcastOnlineUsers();
 
-      if (!global.pendingMessages[receiverId]) {
-        global.pendingMessages[receiverId] = [];
-      }
+  // Payloads come straight from the client: a throw in an async listener
+  // is an unhandled rejection that would take the whole server down
+  socket.on("conversation:join", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    if (!isConversationPayload(payload)) {
+      return reply({ joined: false, error: "conversationId must be a string" });
+    }
 
-      global.pendingMessages[receiverId].push(data);
-      console.log(`📫 Message stored for offline user ${receiverId}`);
+    try {
+      const members = await conversationMembers(socket, payload.conversationId);
+      reply({ joined: Boolean(members) });
+    } catch (error) {
+      console.warn(`⚠️ Could not join conversation for user ${userId}:`, error.message);
+      reply({ joined: false, error: "Could not join the conversation" });
     }
   });
 
+  // "typing…" for the other participant. Only rooms this socket has
+  // actually joined are relayed to; nothing is stored.
+  for (const event of ["typing:start", "typing:stop"]) {
+    socket.on(event, (payload) => {
+      if (!isConversationPayload(payload)) return;
+      const room = conversationRoom(payload.conversationId);
+      if (!socket.rooms.has(room)) return;
+      socket.to(room).emit(event, { conversationId: payload.conversationId, userId });
+    });
+  }
+
   socket.on("disconnect", () => {
-    console.log(`🔌 Socket disconnected: ${socket.id}`);
-    removeUser(socket.id);
+    console.log(`🔌 Socket disconnected: ${socket.id} for user ${userId}`);
     // Broadcast online users to all connected clients
-    io.emit("onlineUsers", onlineUsers.map((u) => u.userId));
+    broadcastOnlineUsers();
   });
-});
 
-// Use environment variable for port
-io.listen(PORT);
-console.log(`🔌 Socket.io server running on port ${PORT}`);
-
-// Add function to deliver pending messages when a user connects
-const deliverPendingMessages = (userId, socketId) => {
-  if (global.pendingMessages && global.pendingMessages[userId]) {
-    console.log(
-      `📬 Delivering ${global.pendingMessages[userId].length} pending messages to user ${userId}`
-    );
+  // Handlers are registered first so nothing sent meanwhile is dropped
+  await syncConversations(socket);
+  deliverPendingMessages(socket);
+});
 
-    global.pendingMessages[userId].forEach((message) => {
-      io.to(socketId).emit("getMessage", message);
-    });
+if (!process.env.JWT_SECRET_KEY) {
+  console.warn("⚠️ JWT_SECRET_KEY is not set - every socket connection will be refused");
+}
+if (!INTERNAL_API_KEY) {
+  console.warn("⚠️ INTERNAL_API_KEY is not set - conversation rooms and unread replay are disabled");
+}
+
+const adapter = createSocketAdapter();
+try {
+  await adapter.attach(io);
+} catch (error) {
+  console.error(`❌ Could not start the ${adapter.name} socket adapter:`, error.message);
+  process.exit(1);
+}
 
-    // Clear pending messages after delivery
-    delete global.pendingMessages[userId];
-  }
+// Use environment variable for port
+httpServer.listen(PORT);
+console.log(`🔌 Socket.io server running on port ${PORT} (${adapter.name} adapter)`);
+
+const shutdown = async () => {
+  console.log("🛑 Shutting down socket server");
+  io.close();
+  await adapter.close();
+  process.exit(0);
 };
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);
@@ -0,0 +1,52 @@
+import jwt from "jsonwebtoken";
+
+// The socket server accepts the same access tokens the API issues. Clients
+// send theirs in the handshake's auth payload; browsers that only hold the
+// httpOnly "token" cookie are covered by reading the cookie header as well.
+const readHandshakeToken = (handshake) => {
+  if (typeof handshake.auth?.token === "string" && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const cookies = handshake.headers.cookie?.split(";") || [];
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === "token") return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  // Sent to the client with connect_error; TOKEN_EXPIRED means refresh and retry
+  error.data = { code };
+  return error;
+};
+
+// socket.io middleware: sets socket.data.userId from a valid access token and
+// refuses the connection otherwise. The token is only checked here, so an
+// open connection outlives the token's expiry.
+export const authenticateSocket = (socket, next) => {
+  const token = readHandshakeToken(socket.handshake);
+  if (!token) {
+    return next(authError("Authentication required", "TOKEN_MISSING"));
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    const userId = payload.id || payload._id || payload.userId;
+    if (!userId) {
+      return next(authError("Invalid token format: user ID missing", "TOKEN_INVALID"));
+    }
+
+    // socket.data is visible to other instances through fetchSockets()
+    socket.data.userId = String(userId);
+    next();
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return next(authError("Token expired", "TOKEN_EXPIRED"));
+    }
+    console.warn(`⚠️ Rejected socket ${socket.id}: ${error.message}`);
+    next(authError("Invalid token", "TOKEN_INVALID"));
+  }
+};